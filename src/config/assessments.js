@@ -0,0 +1,4 @@
+// Ordered from lowest to highest
+const RISK_LEVELS = ['low', 'moderate', 'high', 'very_high'];
+
+module.exports = { RISK_LEVELS };
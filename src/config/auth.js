@@ -0,0 +1,19 @@
+// Access tokens are short-lived; sessions are kept alive with refresh tokens
+// that rotate on every use and can be revoked server-side
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+const SESSION_REVOCATION_REASONS = {
+  LOGOUT: 'logout',
+  ADMIN: 'admin_revoked',
+  REFRESH_TOKEN_REUSE: 'refresh_token_reuse',
+  PASSWORD_CHANGE: 'password_change',
+  PASSWORD_RESET: 'password_reset',
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  SESSION_REVOCATION_REASONS,
+};
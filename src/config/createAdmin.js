@@ -0,0 +1,56 @@
+require('dotenv').config();
+const { pool } = require('./db');
+const { ROLES } = require('./roles');
+const { USER_STATUSES } = require('./users');
+const passwordService = require('../services/passwordService');
+
+// Usage: ADMIN_PASSWORD=... node src/config/createAdmin.js --email=<email> --name=<name>
+//
+// Creates the first administrator of a fresh installation. Further accounts
+// are provisioned through the user-management API. Refuses to run once an
+// active administrator exists.
+
+function parseArgs(argv) {
+  const options = {};
+  argv.forEach((arg) => {
+    const match = arg.match(/^--(email|name)=(.+)$/);
+    if (match) options[match[1]] = match[2];
+  });
+  return options;
+}
+
+async function run(argv) {
+  const { email, name } = parseArgs(argv);
+  const password = process.env.ADMIN_PASSWORD;
+
+  try {
+    if (!email || !name || !password) {
+      throw new Error('--email, --name and ADMIN_PASSWORD are required');
+    }
+
+    const { rows: admins } = await pool.query(
+      'SELECT id FROM users WHERE role = $1 AND status = $2 LIMIT 1',
+      [ROLES.ADMIN, USER_STATUSES.ACTIVE]
+    );
+    if (admins[0]) throw new Error('An active administrator already exists');
+
+    const passwordHash = await passwordService.preparePassword(password);
+    const { rows } = await pool.query(
+      `INSERT INTO users (name, email, password_hash, role, status)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+      [name, email, passwordHash, ROLES.ADMIN, USER_STATUSES.ACTIVE]
+    );
+    await passwordService.recordHistory(pool, rows[0].id, passwordHash);
+    console.log(`Administrator ${email} created`);
+  } catch (err) {
+    const reasons = err.reasons ? ` (${err.reasons.join(', ')})` : '';
+    console.error(`Could not create administrator: ${err.message}${reasons}`);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2));
+}
@@ -8,4 +8,19 @@ const pool = new Pool({
   password: process.env.DB_PASSWORD,
 });
 
-module.exports = { pool };
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { pool, withTransaction };
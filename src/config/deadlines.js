@@ -0,0 +1,68 @@
+const fs = require('fs');
+
+const DEADLINE_EVENTS = {
+  REFERRAL_CREATED: 'referral_created',
+  REFERRAL_ACCEPTED: 'referral_accepted',
+  ASSESSMENT_FILED: 'assessment_filed',
+  HEARING_SCHEDULED: 'hearing_scheduled',
+  HEARING_HELD: 'hearing_held',
+  HEARING_DECIDED: 'hearing_decided',
+};
+
+const DEADLINE_STATUSES = {
+  PENDING: 'pending',
+  AT_RISK: 'at_risk',
+  BREACHED: 'breached',
+  MET: 'met',
+  MET_LATE: 'met_late',
+};
+
+// Fraction of the allowed time after which an open deadline is reported at risk
+const AT_RISK_THRESHOLD = 0.75;
+
+// Each rule starts its clock on one event and is satisfied by another. The
+// allowed time is either fixed or keyed by referral urgency.
+const DEFAULT_DEADLINE_RULES = [
+  {
+    key: 'assessment_after_referral',
+    label: 'Clinical assessment after apprehension',
+    startsOn: DEADLINE_EVENTS.REFERRAL_CREATED,
+    satisfiedBy: DEADLINE_EVENTS.ASSESSMENT_FILED,
+    hoursByUrgency: { critical: 24, high: 48, medium: 72, low: 72 },
+  },
+  {
+    key: 'hearing_after_application',
+    label: 'Tribunal hearing after application',
+    startsOn: DEADLINE_EVENTS.REFERRAL_ACCEPTED,
+    satisfiedBy: DEADLINE_EVENTS.HEARING_HELD,
+    hours: 21 * 24,
+  },
+  {
+    key: 'hearing_held_as_scheduled',
+    label: 'Hearing held after being scheduled',
+    startsOn: DEADLINE_EVENTS.HEARING_SCHEDULED,
+    satisfiedBy: DEADLINE_EVENTS.HEARING_HELD,
+    hours: 14 * 24,
+  },
+  {
+    key: 'decision_after_hearing',
+    label: 'Written decision after hearing',
+    startsOn: DEADLINE_EVENTS.HEARING_HELD,
+    satisfiedBy: DEADLINE_EVENTS.HEARING_DECIDED,
+    hours: 7 * 24,
+  },
+];
+
+// Jurisdictions can replace the defaults with a JSON file of rules
+function loadDeadlineRules() {
+  if (!process.env.DEADLINE_RULES_PATH) return DEFAULT_DEADLINE_RULES;
+  return JSON.parse(fs.readFileSync(process.env.DEADLINE_RULES_PATH, 'utf8'));
+}
+
+module.exports = {
+  DEADLINE_EVENTS,
+  DEADLINE_STATUSES,
+  AT_RISK_THRESHOLD,
+  DEFAULT_DEADLINE_RULES,
+  loadDeadlineRules,
+};
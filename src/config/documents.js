@@ -0,0 +1,40 @@
+const DOCUMENT_PARENT_TYPES = {
+  REFERRAL: 'referral',
+  HEARING: 'hearing',
+  PAJSM_PARTICIPANT: 'pajsm_participant',
+};
+
+const DOCUMENT_CATEGORIES = [
+  'incident_report',
+  'clinical_letter',
+  'assessment_report',
+  'consent_form',
+  'court_document',
+  'other',
+];
+
+// Documents marked "professionals" are hidden from respondents
+const DOCUMENT_VISIBILITY = {
+  ALL_PARTIES: 'all_parties',
+  PROFESSIONALS: 'professionals',
+};
+
+const ALLOWED_MIME_TYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+  'image/tiff',
+  'text/plain',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+];
+
+const MAX_DOCUMENT_SIZE_BYTES = (parseInt(process.env.DOCUMENT_MAX_SIZE_MB, 10) || 20) * 1024 * 1024;
+
+module.exports = {
+  DOCUMENT_PARENT_TYPES,
+  DOCUMENT_CATEGORIES,
+  DOCUMENT_VISIBILITY,
+  ALLOWED_MIME_TYPES,
+  MAX_DOCUMENT_SIZE_BYTES,
+};
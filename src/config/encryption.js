@@ -0,0 +1,21 @@
+// Columns encrypted at the application layer, per table
+const ENCRYPTED_FIELDS = {
+  referrals: ['patient_name', 'incident_summary'],
+  assessments: ['findings', 'recommendation'],
+  hearings: ['decision_notes'],
+  pajsm_participants: ['accused_name', 'offence_description'],
+  pajsm_outcomes: ['reason'],
+  pajsm_victim_consents: ['given_by', 'revocation_reason'],
+  documents: ['filename'],
+  message_threads: ['subject'],
+  messages: ['body'],
+  users: ['mfa_secret'],
+};
+
+// Encrypted columns that stay searchable through a keyed blind index column
+const BLIND_INDEXES = {
+  referrals: { patient_name: 'patient_name_index' },
+  pajsm_participants: { accused_name: 'accused_name_index' },
+};
+
+module.exports = { ENCRYPTED_FIELDS, BLIND_INDEXES };
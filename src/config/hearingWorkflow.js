@@ -0,0 +1,41 @@
+const { ROLES } = require('./roles');
+
+const HEARING_STATUSES = {
+  SCHEDULED: 'scheduled',
+  IN_PROGRESS: 'in_progress',
+  DECIDED: 'decided',
+  ADJOURNED: 'adjourned',
+  CANCELLED: 'cancelled',
+};
+
+// Each lifecycle action lists the statuses it may start from, the status it
+// leaves the hearing in and the roles allowed to perform it
+const HEARING_ACTIONS = {
+  start: {
+    from: [HEARING_STATUSES.SCHEDULED],
+    to: HEARING_STATUSES.IN_PROGRESS,
+    roles: [ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN],
+  },
+  adjourn: {
+    from: [HEARING_STATUSES.SCHEDULED, HEARING_STATUSES.IN_PROGRESS],
+    to: HEARING_STATUSES.ADJOURNED,
+    roles: [ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN],
+  },
+  reschedule: {
+    from: [HEARING_STATUSES.SCHEDULED],
+    to: HEARING_STATUSES.SCHEDULED,
+    roles: [ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN],
+  },
+  cancel: {
+    from: [HEARING_STATUSES.SCHEDULED],
+    to: HEARING_STATUSES.CANCELLED,
+    roles: [ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN],
+  },
+  decide: {
+    from: [HEARING_STATUSES.IN_PROGRESS],
+    to: HEARING_STATUSES.DECIDED,
+    roles: [ROLES.TRIBUNAL_MEMBER],
+  },
+};
+
+module.exports = { HEARING_STATUSES, HEARING_ACTIONS };
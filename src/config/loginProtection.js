@@ -0,0 +1,30 @@
+// Failed-login policies, applied separately per account (email) and per
+// client IP. Failures past delayAfter must wait an exponentially growing
+// delay before the next attempt; lockAfter failures block the key outright.
+const ACCOUNT_POLICY = {
+  windowMinutes: 15,
+  delayAfter: 2,
+  baseDelaySeconds: 1,
+  maxDelaySeconds: 30,
+  lockAfter: parseInt(process.env.LOGIN_LOCK_THRESHOLD, 10) || 5,
+  lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15,
+};
+
+const IP_POLICY = {
+  windowMinutes: 15,
+  delayAfter: 10,
+  baseDelaySeconds: 1,
+  maxDelaySeconds: 60,
+  lockAfter: 100,
+  lockMinutes: 15,
+};
+
+const LOGIN_FAILURE_REASONS = {
+  INVALID_CREDENTIALS: 'invalid_credentials',
+  ACCOUNT_INACTIVE: 'account_inactive',
+  ACCOUNT_LOCKED: 'account_locked',
+  THROTTLED: 'throttled',
+  INVALID_MFA_CODE: 'invalid_mfa_code',
+};
+
+module.exports = { ACCOUNT_POLICY, IP_POLICY, LOGIN_FAILURE_REASONS };
@@ -0,0 +1,6 @@
+const MESSAGE_PARENT_TYPES = {
+  REFERRAL: 'referral',
+  PAJSM_PARTICIPANT: 'pajsm_participant',
+};
+
+module.exports = { MESSAGE_PARENT_TYPES };
@@ -0,0 +1,27 @@
+const { ROLES } = require('./roles');
+
+// Roles that must complete TOTP enrolment before they can sign in.
+// Override with a comma-separated list in MFA_REQUIRED_ROLES
+const DEFAULT_MFA_REQUIRED_ROLES = [ROLES.TRIBUNAL_MEMBER, ROLES.PHYSICIAN, ROLES.ADMIN];
+
+const MFA_REQUIRED_ROLES = process.env.MFA_REQUIRED_ROLES
+  ? process.env.MFA_REQUIRED_ROLES.split(',').map((r) => r.trim()).filter(Boolean)
+  : DEFAULT_MFA_REQUIRED_ROLES;
+
+const MFA_ISSUER = process.env.MFA_ISSUER || 'MHT Liaison';
+
+// Lifetime of the intermediate token issued between password and code
+const MFA_PENDING_TOKEN_TTL = '5m';
+
+// Accepted clock drift, in 30-second steps either side of now
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+module.exports = {
+  MFA_REQUIRED_ROLES,
+  MFA_ISSUER,
+  MFA_PENDING_TOKEN_TTL,
+  TOTP_WINDOW,
+  RECOVERY_CODE_COUNT,
+};
@@ -1,117 +1,186 @@
 require('dotenv').config();
-const { pool } = require('./db');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pool, withTransaction } = require('./db');
 
-const migration = `
-  CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+// Usage: node src/config/migrate.js [up|down|status] [--dry-run] [--steps=N]
+//
+// Migrations live in ./migrations as NNN_description.js modules exporting
+// `up` and `down` SQL. Applied versions and their checksums are tracked in
+// schema_migrations; editing an applied migration aborts every command.
 
-  CREATE TABLE IF NOT EXISTS users (
-    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+const CREATE_MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(20) PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
-    email VARCHAR(255) UNIQUE NOT NULL,
-    password_hash VARCHAR(255) NOT NULL,
-    role VARCHAR(50) NOT NULL CHECK (role IN ('police_officer', 'mental_health_professional', 'physician', 'tribunal_member', 'requesting_party', 'respondent', 'prosecutor', 'admin')),
-    created_at TIMESTAMP DEFAULT NOW(),
-    updated_at TIMESTAMP DEFAULT NOW()
+    checksum CHAR(64) NOT NULL,
+    applied_at TIMESTAMP DEFAULT NOW()
   );
+`;
 
-  CREATE TABLE IF NOT EXISTS referrals (
-    id UUID PRIMARY KEY,
-    patient_name VARCHAR(255) NOT NULL,
-    incident_summary TEXT NOT NULL,
-    urgency VARCHAR(20) NOT NULL CHECK (urgency IN ('low', 'medium', 'high', 'critical')),
-    referred_by UUID REFERENCES users(id),
-    status VARCHAR(30) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'in_assessment', 'completed', 'cancelled')),
-    created_at TIMESTAMP DEFAULT NOW(),
-    updated_at TIMESTAMP DEFAULT NOW()
-  );
+function checksum(migration) {
+  return crypto
+    .createHash('sha256')
+    .update(`${migration.up}\n-- down --\n${migration.down}`)
+    .digest('hex');
+}
 
-  CREATE TABLE IF NOT EXISTS assessments (
-    id UUID PRIMARY KEY,
-    referral_id UUID REFERENCES referrals(id),
-    assessed_by UUID REFERENCES users(id),
-    findings TEXT NOT NULL,
-    recommendation TEXT NOT NULL,
-    risk_level VARCHAR(20) CHECK (risk_level IN ('low', 'moderate', 'high', 'very_high')),
-    created_at TIMESTAMP DEFAULT NOW()
-  );
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+    .map((file) => {
+      const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+      const { up, down } = require(path.join(dir, file));
+      if (typeof up !== 'string' || typeof down !== 'string') {
+        throw new Error(`Migration ${file} must export "up" and "down" SQL strings`);
+      }
+      const migration = { version, name, file, up, down };
+      return { ...migration, checksum: checksum(migration) };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
 
-  CREATE TABLE IF NOT EXISTS hearings (
-    id UUID PRIMARY KEY,
-    referral_id UUID REFERENCES referrals(id),
-    scheduled_date TIMESTAMP NOT NULL,
-    location VARCHAR(255),
-    panel_members JSONB,
-    status VARCHAR(30) DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'in_progress', 'decided', 'adjourned', 'cancelled')),
-    decision VARCHAR(50),
-    decision_notes TEXT,
-    decided_by UUID REFERENCES users(id),
-    created_at TIMESTAMP DEFAULT NOW(),
-    updated_at TIMESTAMP DEFAULT NOW()
-  );
+  const seen = new Set();
+  for (const migration of migrations) {
+    if (seen.has(Number(migration.version))) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+    seen.add(Number(migration.version));
+  }
 
-  CREATE INDEX IF NOT EXISTS idx_referrals_status ON referrals(status);
-  CREATE INDEX IF NOT EXISTS idx_hearings_date ON hearings(scheduled_date);
-  CREATE INDEX IF NOT EXISTS idx_assessments_referral ON assessments(referral_id);
-
-  CREATE TABLE IF NOT EXISTS pajsm_participants (
-    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    referral_id UUID REFERENCES referrals(id),
-    accused_name VARCHAR(255) NOT NULL,
-    district VARCHAR(255),
-    vulnerabilities TEXT[] NOT NULL,
-    diagnosed BOOLEAN DEFAULT false,
-    offence_description TEXT,
-    offence_category VARCHAR(100),
-    prosecution_mode VARCHAR(20) CHECK (prosecution_mode IN ('summary', 'indictment')),
-    accepts_responsibility BOOLEAN DEFAULT false,
-    is_voluntary BOOLEAN DEFAULT false,
-    waives_delay BOOLEAN DEFAULT false,
-    criminally_fit BOOLEAN DEFAULT true,
-    victim_consent BOOLEAN,
-    victim_consent_mode VARCHAR(10) CHECK (victim_consent_mode IN ('written', 'verbal')),
-    stage VARCHAR(50) NOT NULL DEFAULT 'referral',
-    enrolled_at TIMESTAMP,
-    completed_at TIMESTAMP,
-    outcome VARCHAR(50) CHECK (outcome IN ('completed', 'withdrawn', 'returned_to_court')),
-    created_at TIMESTAMP DEFAULT NOW(),
-    updated_at TIMESTAMP DEFAULT NOW()
-  );
+  return migrations;
+}
 
-  CREATE TABLE IF NOT EXISTS pajsm_intervention_plans (
-    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    participant_id UUID NOT NULL REFERENCES pajsm_participants(id),
-    plan_details TEXT,
-    objectives JSONB,
-    created_by UUID REFERENCES users(id),
-    created_at TIMESTAMP DEFAULT NOW(),
-    updated_at TIMESTAMP DEFAULT NOW()
-  );
+// Compares migration files with the applied rows. `modified` lists applied
+// migrations whose file changed since; `missing` lists applied versions with
+// no file on disk.
+function plan(migrations, applied) {
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+  const known = new Set(migrations.map((m) => m.version));
 
-  CREATE TABLE IF NOT EXISTS pajsm_follow_ups (
-    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    participant_id UUID NOT NULL REFERENCES pajsm_participants(id),
-    follow_up_date TIMESTAMP NOT NULL,
-    notes TEXT,
-    recorded_by UUID REFERENCES users(id),
-    created_at TIMESTAMP DEFAULT NOW()
-  );
+  return {
+    applied: migrations.filter((m) => appliedByVersion.has(m.version)),
+    pending: migrations.filter((m) => !appliedByVersion.has(m.version)),
+    modified: migrations.filter(
+      (m) => appliedByVersion.has(m.version) && appliedByVersion.get(m.version).checksum !== m.checksum
+    ),
+    missing: applied.filter((row) => !known.has(row.version)),
+  };
+}
 
-  CREATE INDEX IF NOT EXISTS idx_pajsm_participants_referral ON pajsm_participants(referral_id);
-  CREATE INDEX IF NOT EXISTS idx_pajsm_participants_stage ON pajsm_participants(stage);
-  CREATE INDEX IF NOT EXISTS idx_pajsm_intervention_plans_participant ON pajsm_intervention_plans(participant_id);
-  CREATE INDEX IF NOT EXISTS idx_pajsm_follow_ups_participant ON pajsm_follow_ups(participant_id);
-`;
+function assertUnmodified(state) {
+  if (state.modified.length > 0) {
+    const files = state.modified.map((m) => m.file).join(', ');
+    throw new Error(`Applied migrations have been edited since they ran: ${files}`);
+  }
+  if (state.missing.length > 0) {
+    const versions = state.missing.map((row) => row.version).join(', ');
+    throw new Error(`Applied migrations are missing from disk: ${versions}`);
+  }
+}
+
+async function loadState() {
+  await pool.query(CREATE_MIGRATIONS_TABLE);
+  const { rows } = await pool.query('SELECT * FROM schema_migrations ORDER BY version ASC');
+  return plan(loadMigrations(), rows);
+}
+
+async function runInTransaction(sql, bookkeeping) {
+  await withTransaction(async (client) => {
+    await client.query(sql);
+    await client.query(bookkeeping.text, bookkeeping.values);
+  });
+}
+
+async function migrateUp({ dryRun }) {
+  const state = await loadState();
+  assertUnmodified(state);
+
+  if (state.pending.length === 0) {
+    console.log('Database is up to date');
+    return;
+  }
+
+  for (const migration of state.pending) {
+    if (dryRun) {
+      console.log(`Would apply ${migration.file}`);
+      continue;
+    }
+    await runInTransaction(migration.up, {
+      text: 'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+      values: [migration.version, migration.name, migration.checksum],
+    });
+    console.log(`Applied ${migration.file}`);
+  }
+}
+
+async function migrateDown({ dryRun, steps }) {
+  const state = await loadState();
+  assertUnmodified(state);
+
+  const targets = state.applied.slice().reverse().slice(0, steps);
+  if (targets.length === 0) {
+    console.log('No applied migrations to roll back');
+    return;
+  }
+
+  for (const migration of targets) {
+    if (dryRun) {
+      console.log(`Would roll back ${migration.file}`);
+      continue;
+    }
+    await runInTransaction(migration.down, {
+      text: 'DELETE FROM schema_migrations WHERE version = $1',
+      values: [migration.version],
+    });
+    console.log(`Rolled back ${migration.file}`);
+  }
+}
+
+async function printStatus() {
+  const state = await loadState();
+  const modified = new Set(state.modified.map((m) => m.version));
+
+  state.applied.forEach((m) => {
+    console.log(`${modified.has(m.version) ? 'MODIFIED' : 'applied '}  ${m.file}`);
+  });
+  state.pending.forEach((m) => console.log(`pending   ${m.file}`));
+  state.missing.forEach((row) => console.log(`MISSING   ${row.version}_${row.name}.js`));
+}
+
+function parseArgs(argv) {
+  const command = argv.find((arg) => !arg.startsWith('--')) || 'up';
+  const stepsArg = argv.find((arg) => arg.startsWith('--steps='));
+  return {
+    command,
+    dryRun: argv.includes('--dry-run'),
+    steps: stepsArg ? parseInt(stepsArg.split('=')[1], 10) : 1,
+  };
+}
+
+async function run(argv) {
+  const options = parseArgs(argv);
+  const commands = { up: migrateUp, down: migrateDown, status: printStatus };
 
-async function run() {
   try {
-    await pool.query(migration);
-    console.log('Migration completed successfully');
+    if (!commands[options.command]) {
+      throw new Error(`Unknown command "${options.command}" (expected up, down or status)`);
+    }
+    await commands[options.command](options);
   } catch (err) {
     console.error('Migration failed:', err.message);
-    process.exit(1);
+    process.exitCode = 1;
   } finally {
     await pool.end();
   }
 }
 
-run();
+if (require.main === module) {
+  run(process.argv.slice(2));
+}
+
+module.exports = { checksum, loadMigrations, plan, parseArgs };
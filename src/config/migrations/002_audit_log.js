@@ -0,0 +1,27 @@
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      action VARCHAR(100) NOT NULL,
+      user_id UUID,
+      role VARCHAR(50),
+      method VARCHAR(10),
+      path TEXT,
+      resource_id VARCHAR(255),
+      status_code INTEGER,
+      ip_address VARCHAR(64),
+      created_at TIMESTAMPTZ NOT NULL,
+      prev_hash CHAR(64),
+      hash CHAR(64) NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_resource ON audit_log(resource_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS audit_log;
+  `,
+};
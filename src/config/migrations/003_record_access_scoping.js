@@ -0,0 +1,27 @@
+module.exports = {
+  up: `
+    ALTER TABLE referrals ADD COLUMN IF NOT EXISTS respondent_id UUID REFERENCES users(id);
+    ALTER TABLE referrals ADD COLUMN IF NOT EXISTS assigned_clinician_id UUID REFERENCES users(id);
+    ALTER TABLE pajsm_participants ADD COLUMN IF NOT EXISTS assigned_clinician_id UUID REFERENCES users(id);
+
+    CREATE INDEX IF NOT EXISTS idx_referrals_referred_by ON referrals(referred_by);
+    CREATE INDEX IF NOT EXISTS idx_referrals_respondent ON referrals(respondent_id);
+    CREATE INDEX IF NOT EXISTS idx_referrals_assigned_clinician ON referrals(assigned_clinician_id);
+    CREATE INDEX IF NOT EXISTS idx_hearings_referral ON hearings(referral_id);
+    CREATE INDEX IF NOT EXISTS idx_hearings_panel_members ON hearings USING GIN (panel_members);
+    CREATE INDEX IF NOT EXISTS idx_pajsm_participants_clinician ON pajsm_participants(assigned_clinician_id);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_pajsm_participants_clinician;
+    DROP INDEX IF EXISTS idx_hearings_panel_members;
+    DROP INDEX IF EXISTS idx_hearings_referral;
+    DROP INDEX IF EXISTS idx_referrals_assigned_clinician;
+    DROP INDEX IF EXISTS idx_referrals_respondent;
+    DROP INDEX IF EXISTS idx_referrals_referred_by;
+
+    ALTER TABLE pajsm_participants DROP COLUMN IF EXISTS assigned_clinician_id;
+    ALTER TABLE referrals DROP COLUMN IF EXISTS assigned_clinician_id;
+    ALTER TABLE referrals DROP COLUMN IF EXISTS respondent_id;
+  `,
+};
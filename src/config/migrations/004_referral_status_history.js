@@ -0,0 +1,19 @@
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS referral_status_history (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      referral_id UUID NOT NULL REFERENCES referrals(id),
+      from_status VARCHAR(30),
+      to_status VARCHAR(30) NOT NULL,
+      changed_by UUID REFERENCES users(id),
+      reason TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_referral_status_history_referral ON referral_status_history(referral_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS referral_status_history;
+  `,
+};
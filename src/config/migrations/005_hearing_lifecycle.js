@@ -0,0 +1,21 @@
+module.exports = {
+  up: `
+    ALTER TABLE hearings ADD COLUMN IF NOT EXISTS adjourned_from UUID REFERENCES hearings(id);
+    ALTER TABLE hearings ADD COLUMN IF NOT EXISTS adjournment_reason TEXT;
+    ALTER TABLE hearings ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+    ALTER TABLE hearings ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;
+    ALTER TABLE hearings ADD COLUMN IF NOT EXISTS decided_at TIMESTAMP;
+
+    CREATE INDEX IF NOT EXISTS idx_hearings_adjourned_from ON hearings(adjourned_from);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_hearings_adjourned_from;
+
+    ALTER TABLE hearings DROP COLUMN IF EXISTS decided_at;
+    ALTER TABLE hearings DROP COLUMN IF EXISTS started_at;
+    ALTER TABLE hearings DROP COLUMN IF EXISTS cancellation_reason;
+    ALTER TABLE hearings DROP COLUMN IF EXISTS adjournment_reason;
+    ALTER TABLE hearings DROP COLUMN IF EXISTS adjourned_from;
+  `,
+};
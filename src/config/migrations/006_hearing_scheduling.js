@@ -0,0 +1,39 @@
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS hearing_rooms (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      name VARCHAR(255) NOT NULL,
+      location VARCHAR(255) NOT NULL,
+      capacity INTEGER,
+      active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS panel_member_availability (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user_id UUID NOT NULL REFERENCES users(id),
+      kind VARCHAR(20) NOT NULL CHECK (kind IN ('available', 'unavailable')),
+      starts_at TIMESTAMP NOT NULL,
+      ends_at TIMESTAMP NOT NULL,
+      reason TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      CHECK (ends_at > starts_at)
+    );
+
+    ALTER TABLE hearings ADD COLUMN IF NOT EXISTS duration_minutes INTEGER NOT NULL DEFAULT 60;
+    ALTER TABLE hearings ADD COLUMN IF NOT EXISTS room_id UUID REFERENCES hearing_rooms(id);
+
+    CREATE INDEX IF NOT EXISTS idx_hearings_room ON hearings(room_id);
+    CREATE INDEX IF NOT EXISTS idx_panel_member_availability_user ON panel_member_availability(user_id, starts_at);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_hearings_room;
+
+    ALTER TABLE hearings DROP COLUMN IF EXISTS room_id;
+    ALTER TABLE hearings DROP COLUMN IF EXISTS duration_minutes;
+
+    DROP TABLE IF EXISTS panel_member_availability;
+    DROP TABLE IF EXISTS hearing_rooms;
+  `,
+};
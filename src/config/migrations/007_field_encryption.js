@@ -0,0 +1,20 @@
+module.exports = {
+  up: `
+    ALTER TABLE referrals ALTER COLUMN patient_name TYPE TEXT;
+    ALTER TABLE referrals ADD COLUMN patient_name_index CHAR(64);
+    ALTER TABLE pajsm_participants ALTER COLUMN accused_name TYPE TEXT;
+    ALTER TABLE pajsm_participants ADD COLUMN accused_name_index CHAR(64);
+
+    CREATE INDEX idx_referrals_patient_name_index ON referrals(patient_name_index);
+    CREATE INDEX idx_pajsm_participants_accused_name_index ON pajsm_participants(accused_name_index);
+  `,
+
+  // Name columns stay TEXT: ciphertext no longer fits the original VARCHAR(255)
+  down: `
+    DROP INDEX IF EXISTS idx_pajsm_participants_accused_name_index;
+    DROP INDEX IF EXISTS idx_referrals_patient_name_index;
+
+    ALTER TABLE pajsm_participants DROP COLUMN IF EXISTS accused_name_index;
+    ALTER TABLE referrals DROP COLUMN IF EXISTS patient_name_index;
+  `,
+};
@@ -0,0 +1,25 @@
+module.exports = {
+  up: `
+    CREATE TABLE documents (
+      id UUID PRIMARY KEY,
+      parent_type VARCHAR(30) NOT NULL CHECK (parent_type IN ('referral', 'hearing', 'pajsm_participant')),
+      parent_id UUID NOT NULL,
+      filename TEXT NOT NULL,
+      mime_type VARCHAR(255) NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      sha256 CHAR(64) NOT NULL,
+      storage_backend VARCHAR(30) NOT NULL,
+      storage_key TEXT NOT NULL,
+      category VARCHAR(50) NOT NULL,
+      visibility VARCHAR(20) NOT NULL CHECK (visibility IN ('all_parties', 'professionals')),
+      uploaded_by UUID REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX idx_documents_parent ON documents(parent_type, parent_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS documents;
+  `,
+};
@@ -0,0 +1,59 @@
+module.exports = {
+  up: `
+    CREATE TABLE message_threads (
+      id UUID PRIMARY KEY,
+      parent_type VARCHAR(30) NOT NULL CHECK (parent_type IN ('referral', 'pajsm_participant')),
+      parent_id UUID NOT NULL,
+      subject TEXT NOT NULL,
+      created_by UUID REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE messages (
+      id UUID PRIMARY KEY,
+      thread_id UUID NOT NULL REFERENCES message_threads(id),
+      sender_id UUID NOT NULL REFERENCES users(id),
+      body TEXT NOT NULL,
+      internal BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE message_reads (
+      message_id UUID NOT NULL REFERENCES messages(id),
+      user_id UUID NOT NULL REFERENCES users(id),
+      read_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (message_id, user_id)
+    );
+
+    CREATE INDEX idx_message_threads_parent ON message_threads(parent_type, parent_id);
+    CREATE INDEX idx_messages_thread ON messages(thread_id, created_at);
+
+    -- Messages are retained as sent. The only permitted update is the key
+    -- rotation command re-encrypting the body, which flags its transaction.
+    CREATE FUNCTION prevent_message_mutation() RETURNS trigger AS $$
+    BEGIN
+      IF TG_OP = 'UPDATE'
+        AND current_setting('app.reencrypting', true) = 'on'
+        AND NEW.id = OLD.id
+        AND NEW.thread_id = OLD.thread_id
+        AND NEW.sender_id = OLD.sender_id
+        AND NEW.internal = OLD.internal
+        AND NEW.created_at = OLD.created_at THEN
+        RETURN NEW;
+      END IF;
+      RAISE EXCEPTION 'messages are immutable';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER messages_immutable
+      BEFORE UPDATE OR DELETE ON messages
+      FOR EACH ROW EXECUTE FUNCTION prevent_message_mutation();
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS message_reads;
+    DROP TABLE IF EXISTS messages;
+    DROP TABLE IF EXISTS message_threads;
+    DROP FUNCTION IF EXISTS prevent_message_mutation();
+  `,
+};
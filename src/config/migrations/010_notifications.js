@@ -0,0 +1,31 @@
+module.exports = {
+  up: `
+    CREATE TABLE notifications (
+      id UUID PRIMARY KEY,
+      user_id UUID NOT NULL REFERENCES users(id),
+      event_type VARCHAR(50) NOT NULL,
+      title TEXT NOT NULL,
+      body TEXT NOT NULL,
+      resource_type VARCHAR(30) NOT NULL,
+      resource_id UUID NOT NULL,
+      read_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX idx_notifications_user ON notifications(user_id, created_at DESC);
+
+    CREATE TABLE notification_preferences (
+      user_id UUID NOT NULL REFERENCES users(id),
+      event_type VARCHAR(50) NOT NULL,
+      in_app BOOLEAN NOT NULL DEFAULT TRUE,
+      email BOOLEAN NOT NULL DEFAULT TRUE,
+      updated_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (user_id, event_type)
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS notification_preferences;
+    DROP TABLE IF EXISTS notifications;
+  `,
+};
@@ -0,0 +1,35 @@
+module.exports = {
+  up: `
+    CREATE TABLE auth_sessions (
+      id UUID PRIMARY KEY,
+      user_id UUID NOT NULL REFERENCES users(id),
+      ip_address VARCHAR(64),
+      user_agent TEXT,
+      expires_at TIMESTAMP NOT NULL,
+      last_used_at TIMESTAMP DEFAULT NOW(),
+      revoked_at TIMESTAMP,
+      revoked_reason VARCHAR(50),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX idx_auth_sessions_user ON auth_sessions(user_id);
+
+    -- Only a hash of each refresh token is stored; a token that has been
+    -- used once and is presented again signals theft of the session
+    CREATE TABLE refresh_tokens (
+      id UUID PRIMARY KEY,
+      session_id UUID NOT NULL REFERENCES auth_sessions(id) ON DELETE CASCADE,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX idx_refresh_tokens_session ON refresh_tokens(session_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS refresh_tokens;
+    DROP TABLE IF EXISTS auth_sessions;
+  `,
+};
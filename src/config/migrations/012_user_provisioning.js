@@ -0,0 +1,41 @@
+module.exports = {
+  up: `
+    ALTER TABLE users
+      ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (status IN ('pending', 'invited', 'active', 'deactivated')),
+      ADD COLUMN organisation VARCHAR(255),
+      ADD COLUMN deactivated_at TIMESTAMP,
+      ALTER COLUMN password_hash DROP NOT NULL;
+
+    CREATE INDEX idx_users_role ON users(role);
+    CREATE INDEX idx_users_organisation ON users(organisation);
+
+    CREATE TABLE user_invitations (
+      id UUID PRIMARY KEY,
+      user_id UUID NOT NULL REFERENCES users(id),
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      accepted_at TIMESTAMP,
+      created_by UUID REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX idx_user_invitations_user ON user_invitations(user_id);
+
+    -- Before/after values of privilege changes, covered by the hash chain
+    ALTER TABLE audit_log ADD COLUMN details JSONB;
+  `,
+
+  down: `
+    ALTER TABLE audit_log DROP COLUMN IF EXISTS details;
+    DROP TABLE IF EXISTS user_invitations;
+    UPDATE users SET password_hash = '!' WHERE password_hash IS NULL;
+    DROP INDEX IF EXISTS idx_users_organisation;
+    DROP INDEX IF EXISTS idx_users_role;
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS deactivated_at,
+      DROP COLUMN IF EXISTS organisation,
+      DROP COLUMN IF EXISTS status,
+      ALTER COLUMN password_hash SET NOT NULL;
+  `,
+};
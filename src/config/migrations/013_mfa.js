@@ -0,0 +1,26 @@
+module.exports = {
+  up: `
+    ALTER TABLE users
+      ADD COLUMN mfa_secret TEXT,
+      ADD COLUMN mfa_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN mfa_last_counter BIGINT;
+
+    CREATE TABLE mfa_recovery_codes (
+      id UUID PRIMARY KEY,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash CHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX idx_mfa_recovery_codes_user ON mfa_recovery_codes(user_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS mfa_recovery_codes;
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS mfa_last_counter,
+      DROP COLUMN IF EXISTS mfa_enabled,
+      DROP COLUMN IF EXISTS mfa_secret;
+  `,
+};
@@ -0,0 +1,31 @@
+module.exports = {
+  up: `
+    CREATE TABLE login_throttle (
+      key VARCHAR(320) PRIMARY KEY,
+      failures INTEGER NOT NULL DEFAULT 0,
+      window_started_at TIMESTAMPTZ,
+      last_failure_at TIMESTAMPTZ,
+      locked_until TIMESTAMPTZ,
+      expires_at TIMESTAMPTZ NOT NULL
+    );
+
+    CREATE TABLE login_attempts (
+      id BIGSERIAL PRIMARY KEY,
+      email VARCHAR(255),
+      user_id UUID REFERENCES users(id),
+      ip_address VARCHAR(64),
+      user_agent TEXT,
+      success BOOLEAN NOT NULL,
+      failure_reason VARCHAR(50),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE INDEX idx_login_attempts_email ON login_attempts(email, created_at);
+    CREATE INDEX idx_login_attempts_ip ON login_attempts(ip_address, created_at);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS login_attempts;
+    DROP TABLE IF EXISTS login_throttle;
+  `,
+};
@@ -0,0 +1,28 @@
+module.exports = {
+  up: `
+    CREATE TABLE password_history (
+      id UUID PRIMARY KEY,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      password_hash VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX idx_password_history_user ON password_history(user_id, created_at DESC);
+
+    CREATE TABLE password_reset_tokens (
+      id UUID PRIMARY KEY,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS password_reset_tokens;
+    DROP TABLE IF EXISTS password_history;
+  `,
+};
@@ -0,0 +1,50 @@
+module.exports = {
+  up: `
+    CREATE TABLE pajsm_rule_sets (
+      version INTEGER PRIMARY KEY,
+      description TEXT,
+      definition JSONB NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'active')),
+      effective_from TIMESTAMP,
+      created_by UUID REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      activated_by UUID REFERENCES users(id),
+      activated_at TIMESTAMP,
+      CHECK (status = 'draft' OR effective_from IS NOT NULL)
+    );
+
+    CREATE INDEX idx_pajsm_rule_sets_effective ON pajsm_rule_sets(effective_from DESC)
+      WHERE status = 'active';
+
+    -- Version 1 reproduces the rules that were hard-coded until now
+    INSERT INTO pajsm_rule_sets (version, description, definition, status, effective_from,
+      activated_at)
+    VALUES (
+      1,
+      'Initial PAJ-SM+ eligibility rules',
+      '{
+        "vulnerabilities": ["mental_health_disorder", "intellectual_disability", "asd",
+          "substance_use_disorder", "traumatic_brain_injury"],
+        "absoluteExclusions": ["death_resulting_offences", "attempted_or_conspired_death_offences",
+          "superior_court_jurisdiction", "sexual_offences_against_minors",
+          "transport_offences_causing_injury", "terrorism", "criminal_organization",
+          "firearms_weapons_by_indictment"],
+        "summaryEligibleExceptions": ["domestic_violence", "sexual_violence", "elder_abuse"],
+        "districtOverrides": []
+      }',
+      'active',
+      TIMESTAMP '1970-01-01',
+      NOW()
+    );
+
+    ALTER TABLE pajsm_participants
+      ADD COLUMN eligibility_rule_set_version INTEGER REFERENCES pajsm_rule_sets(version);
+
+    UPDATE pajsm_participants SET eligibility_rule_set_version = 1;
+  `,
+
+  down: `
+    ALTER TABLE pajsm_participants DROP COLUMN IF EXISTS eligibility_rule_set_version;
+    DROP TABLE IF EXISTS pajsm_rule_sets;
+  `,
+};
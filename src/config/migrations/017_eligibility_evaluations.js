@@ -0,0 +1,25 @@
+module.exports = {
+  up: `
+    ALTER TABLE pajsm_participants ADD COLUMN capacity_to_learn BOOLEAN;
+
+    CREATE TABLE pajsm_eligibility_evaluations (
+      id UUID PRIMARY KEY,
+      participant_id UUID NOT NULL REFERENCES pajsm_participants(id),
+      rule_set_version INTEGER NOT NULL REFERENCES pajsm_rule_sets(version),
+      eligible BOOLEAN NOT NULL,
+      provisional BOOLEAN NOT NULL,
+      criteria JSONB NOT NULL,
+      reasons JSONB NOT NULL DEFAULT '[]',
+      evaluated_by UUID REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX idx_pajsm_eligibility_evaluations_participant
+      ON pajsm_eligibility_evaluations(participant_id, created_at DESC);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS pajsm_eligibility_evaluations;
+    ALTER TABLE pajsm_participants DROP COLUMN IF EXISTS capacity_to_learn;
+  `,
+};
@@ -0,0 +1,21 @@
+module.exports = {
+  up: `
+    CREATE TABLE pajsm_stage_history (
+      id UUID PRIMARY KEY,
+      participant_id UUID NOT NULL REFERENCES pajsm_participants(id),
+      from_stage VARCHAR(50),
+      to_stage VARCHAR(50) NOT NULL,
+      changed_by UUID REFERENCES users(id),
+      role VARCHAR(50),
+      justification TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX idx_pajsm_stage_history_participant
+      ON pajsm_stage_history(participant_id, created_at);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS pajsm_stage_history;
+  `,
+};
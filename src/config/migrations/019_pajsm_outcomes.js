@@ -0,0 +1,32 @@
+module.exports = {
+  up: `
+    -- One row per outcome decision and per reinstatement, in order. reason is
+    -- encrypted at the application layer.
+    CREATE TABLE pajsm_outcomes (
+      id UUID PRIMARY KEY,
+      participant_id UUID NOT NULL REFERENCES pajsm_participants(id),
+      outcome VARCHAR(50) NOT NULL
+        CHECK (outcome IN ('completed', 'withdrawn', 'returned_to_court', 'reinstated')),
+      reason_category VARCHAR(50) CHECK (reason_category IN (
+        'participant_choice', 'non_compliance', 'new_offence', 'consent_revoked',
+        'clinical_decision'
+      )),
+      reason TEXT,
+      effective_date TIMESTAMP NOT NULL,
+      authorized_by UUID REFERENCES users(id),
+      role VARCHAR(50),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX idx_pajsm_outcomes_participant ON pajsm_outcomes(participant_id, created_at);
+
+    -- Outcomes recorded before this table existed have no reason or actor
+    INSERT INTO pajsm_outcomes (id, participant_id, outcome, effective_date)
+    SELECT uuid_generate_v4(), id, outcome, COALESCE(completed_at, updated_at)
+    FROM pajsm_participants WHERE outcome IS NOT NULL;
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS pajsm_outcomes;
+  `,
+};
@@ -0,0 +1,51 @@
+module.exports = {
+  up: `
+    ALTER TABLE users DROP CONSTRAINT users_role_check;
+    ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN (
+      'police_officer', 'mental_health_professional', 'physician', 'tribunal_member',
+      'requesting_party', 'respondent', 'prosecutor', 'victim_services_worker', 'admin'
+    ));
+
+    ALTER TABLE pajsm_participants
+      ADD COLUMN victim_services_worker_id UUID REFERENCES users(id);
+
+    -- Each consent given by or for the victim, newest last. A reconfirmation
+    -- is a new record. given_by and revocation_reason are encrypted at the
+    -- application layer.
+    CREATE TABLE pajsm_victim_consents (
+      id UUID PRIMARY KEY,
+      participant_id UUID NOT NULL REFERENCES pajsm_participants(id),
+      given_by TEXT,
+      mode VARCHAR(10) NOT NULL CHECK (mode IN ('written', 'verbal')),
+      document_id UUID REFERENCES documents(id),
+      victim_services_worker_id UUID REFERENCES users(id),
+      given_at TIMESTAMP NOT NULL,
+      expires_at TIMESTAMP,
+      revoked_at TIMESTAMP,
+      revoked_by UUID REFERENCES users(id),
+      revocation_reason TEXT,
+      recorded_by UUID REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX idx_pajsm_victim_consents_participant
+      ON pajsm_victim_consents(participant_id, given_at);
+    CREATE INDEX idx_pajsm_participants_victim_services_worker
+      ON pajsm_participants(victim_services_worker_id);
+
+    -- Consent declared before records were kept, dated from enrolment
+    INSERT INTO pajsm_victim_consents (id, participant_id, mode, given_at)
+    SELECT uuid_generate_v4(), id, COALESCE(victim_consent_mode, 'verbal'), created_at
+    FROM pajsm_participants WHERE victim_consent = true;
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS pajsm_victim_consents;
+    ALTER TABLE pajsm_participants DROP COLUMN IF EXISTS victim_services_worker_id;
+    ALTER TABLE users DROP CONSTRAINT users_role_check;
+    ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN (
+      'police_officer', 'mental_health_professional', 'physician', 'tribunal_member',
+      'requesting_party', 'respondent', 'prosecutor', 'admin'
+    ));
+  `,
+};
@@ -0,0 +1,74 @@
+module.exports = {
+  up: `
+    -- Plans become versioned: the first version is the plan itself, later
+    -- ones are amendments. objectives keeps a snapshot of the objectives in
+    -- force after each version.
+    ALTER TABLE pajsm_intervention_plans
+      ADD COLUMN version INTEGER NOT NULL DEFAULT 1,
+      ADD COLUMN amendment_reason TEXT;
+
+    UPDATE pajsm_intervention_plans p SET version = numbered.version
+    FROM (
+      SELECT id, ROW_NUMBER() OVER (PARTITION BY participant_id ORDER BY created_at) AS version
+      FROM pajsm_intervention_plans
+    ) numbered
+    WHERE p.id = numbered.id;
+
+    CREATE UNIQUE INDEX idx_pajsm_intervention_plans_version
+      ON pajsm_intervention_plans(participant_id, version);
+
+    CREATE TABLE pajsm_plan_objectives (
+      id UUID PRIMARY KEY,
+      participant_id UUID NOT NULL REFERENCES pajsm_participants(id),
+      domain VARCHAR(50) NOT NULL CHECK (domain IN (
+        'housing', 'treatment_adherence', 'substance_use', 'employment_education',
+        'social_support', 'legal_obligations', 'other'
+      )),
+      target TEXT NOT NULL,
+      responsible_party VARCHAR(255),
+      due_date TIMESTAMP,
+      added_in_version INTEGER NOT NULL,
+      retired_in_version INTEGER,
+      created_by UUID REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE pajsm_objective_progress (
+      id UUID PRIMARY KEY,
+      objective_id UUID NOT NULL REFERENCES pajsm_plan_objectives(id),
+      follow_up_id UUID NOT NULL REFERENCES pajsm_follow_ups(id),
+      status VARCHAR(20) NOT NULL
+        CHECK (status IN ('not_started', 'in_progress', 'achieved', 'not_achieved')),
+      note TEXT,
+      recorded_by UUID REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX idx_pajsm_plan_objectives_participant ON pajsm_plan_objectives(participant_id);
+    CREATE INDEX idx_pajsm_objective_progress_objective
+      ON pajsm_objective_progress(objective_id, created_at);
+
+    -- Free-text objectives of each participant's latest plan carry over as
+    -- objectives in the "other" domain
+    INSERT INTO pajsm_plan_objectives
+      (id, participant_id, domain, target, added_in_version, created_by, created_at)
+    SELECT uuid_generate_v4(), p.participant_id, 'other', o.target, p.version, p.created_by,
+      p.created_at
+    FROM pajsm_intervention_plans p
+    CROSS JOIN LATERAL jsonb_array_elements_text(
+      CASE WHEN jsonb_typeof(p.objectives) = 'array' THEN p.objectives ELSE '[]'::jsonb END
+    ) AS o(target)
+    WHERE p.version = (SELECT MAX(version) FROM pajsm_intervention_plans
+                       WHERE participant_id = p.participant_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS pajsm_objective_progress;
+    DROP TABLE IF EXISTS pajsm_plan_objectives;
+    DROP INDEX IF EXISTS idx_pajsm_intervention_plans_version;
+    ALTER TABLE pajsm_intervention_plans
+      DROP COLUMN IF EXISTS amendment_reason,
+      DROP COLUMN IF EXISTS version;
+  `,
+};
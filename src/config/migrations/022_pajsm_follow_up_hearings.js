@@ -0,0 +1,30 @@
+module.exports = {
+  up: `
+    -- Follow-up hearings for PAJ-SM+ participants are ordinary hearings
+    -- linked to the participant; referral_id is kept when the file has one
+    ALTER TABLE hearings ADD COLUMN pajsm_participant_id UUID REFERENCES pajsm_participants(id);
+
+    -- A follow-up scheduled as a hearing is created with it and follows it
+    -- through reschedules and adjournments. appeared stays NULL until the
+    -- appearance is recorded.
+    ALTER TABLE pajsm_follow_ups
+      ADD COLUMN hearing_id UUID REFERENCES hearings(id),
+      ADD COLUMN appeared BOOLEAN,
+      ADD COLUMN appearance_recorded_by UUID REFERENCES users(id),
+      ADD COLUMN appearance_recorded_at TIMESTAMP;
+
+    CREATE INDEX idx_hearings_pajsm_participant ON hearings(pajsm_participant_id);
+    CREATE UNIQUE INDEX idx_pajsm_follow_ups_hearing ON pajsm_follow_ups(hearing_id);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_pajsm_follow_ups_hearing;
+    DROP INDEX IF EXISTS idx_hearings_pajsm_participant;
+    ALTER TABLE pajsm_follow_ups
+      DROP COLUMN IF EXISTS appearance_recorded_at,
+      DROP COLUMN IF EXISTS appearance_recorded_by,
+      DROP COLUMN IF EXISTS appeared,
+      DROP COLUMN IF EXISTS hearing_id;
+    ALTER TABLE hearings DROP COLUMN IF EXISTS pajsm_participant_id;
+  `,
+};
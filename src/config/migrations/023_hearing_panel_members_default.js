@@ -0,0 +1,18 @@
+module.exports = {
+  up: `
+    -- Hearings scheduled without a panel, or adjourned from one, were stored
+    -- with a NULL or JSON null panel; an empty list is what the code expects
+    UPDATE hearings SET panel_members = '[]'::jsonb
+    WHERE panel_members IS NULL OR jsonb_typeof(panel_members) <> 'array';
+
+    ALTER TABLE hearings
+      ALTER COLUMN panel_members SET DEFAULT '[]'::jsonb,
+      ALTER COLUMN panel_members SET NOT NULL;
+  `,
+
+  down: `
+    ALTER TABLE hearings
+      ALTER COLUMN panel_members DROP NOT NULL,
+      ALTER COLUMN panel_members DROP DEFAULT;
+  `,
+};
@@ -0,0 +1,43 @@
+const { PROGRAM_STAGES } = require('./pajsm');
+const { REFERRAL_URGENCIES } = require('./referralWorkflow');
+const { RISK_LEVELS } = require('./assessments');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Sortable fields per list endpoint. Every entry must be non-null (or
+// coalesced) so keyset cursors stay stable. Ranked fields sort by their
+// position in the given order rather than alphabetically.
+const REFERRAL_SORT_FIELDS = {
+  created_at: { column: 'created_at', type: 'timestamp' },
+  updated_at: { column: 'updated_at', type: 'timestamp' },
+  urgency: { column: 'urgency', rank: REFERRAL_URGENCIES },
+  status: { column: 'status', type: 'text', coalesce: "''" },
+};
+
+const HEARING_SORT_FIELDS = {
+  scheduled_date: { column: 'scheduled_date', type: 'timestamp' },
+  created_at: { column: 'created_at', type: 'timestamp' },
+  status: { column: 'status', type: 'text', coalesce: "''" },
+};
+
+const ASSESSMENT_SORT_FIELDS = {
+  created_at: { column: 'created_at', type: 'timestamp' },
+  risk_level: { column: 'risk_level', rank: RISK_LEVELS },
+};
+
+const PAJSM_SORT_FIELDS = {
+  created_at: { column: 'created_at', type: 'timestamp' },
+  updated_at: { column: 'updated_at', type: 'timestamp' },
+  stage: { column: 'stage', rank: PROGRAM_STAGES },
+  district: { column: 'district', type: 'text', coalesce: "''" },
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  REFERRAL_SORT_FIELDS,
+  HEARING_SORT_FIELDS,
+  ASSESSMENT_SORT_FIELDS,
+  PAJSM_SORT_FIELDS,
+};
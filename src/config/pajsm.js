@@ -45,7 +45,25 @@ const SUMMARY_ELIGIBLE_EXCEPTIONS = [
   'elder_abuse',
 ];
 
+// Eligibility rules are versioned in the pajsm_rule_sets table. Version 1 is
+// seeded from these lists and is used wherever no stored rule set is loaded.
+// districtOverrides entries replace the listed fields for one district.
+const BASELINE_RULE_SET = {
+  version: 1,
+  vulnerabilities: Object.values(VULNERABILITIES),
+  absoluteExclusions: ABSOLUTE_EXCLUSIONS,
+  summaryEligibleExceptions: SUMMARY_ELIGIBLE_EXCEPTIONS,
+  districtOverrides: [],
+};
+
+const RULE_SET_STATUSES = {
+  DRAFT: 'draft',
+  ACTIVE: 'active',
+};
+
+// Evaluated in this order; each appears once in every eligibility result
 const ELIGIBILITY_CRITERIA = [
+  'recognized_vulnerability',
   'admissible_offence',
   'accepts_responsibility',
   'voluntary_participation',
@@ -54,6 +72,12 @@ const ELIGIBILITY_CRITERIA = [
   'criminally_fit_and_responsible',
 ];
 
+const CRITERION_STATUSES = {
+  MET: 'met',
+  NOT_MET: 'not_met',
+  NEEDS_CLINICAL_CONFIRMATION: 'needs_clinical_confirmation',
+};
+
 const PROGRAM_STAGE_KEYS = {
   REFERRAL: 'referral',
   PROSECUTOR_EVALUATION: 'prosecutor_evaluation',
@@ -72,13 +96,40 @@ const PROGRAM_STAGES = [
   PROGRAM_STAGE_KEYS.PROGRAM_OUTCOME,
 ];
 
+const PROGRAM_OUTCOMES = ['completed', 'withdrawn', 'returned_to_court'];
+
+// Areas of the participant's life an intervention plan objective can address
+const OBJECTIVE_DOMAINS = [
+  'housing',
+  'treatment_adherence',
+  'substance_use',
+  'employment_education',
+  'social_support',
+  'legal_obligations',
+  'other',
+];
+
+// Progress on an objective, as reported at each follow-up
+const PROGRESS_STATUSES = {
+  NOT_STARTED: 'not_started',
+  IN_PROGRESS: 'in_progress',
+  ACHIEVED: 'achieved',
+  NOT_ACHIEVED: 'not_achieved',
+};
+
 module.exports = {
   VULNERABILITIES,
   VULNERABILITY_LABELS,
   EXCLUSIONS,
   ABSOLUTE_EXCLUSIONS,
   SUMMARY_ELIGIBLE_EXCEPTIONS,
+  BASELINE_RULE_SET,
+  RULE_SET_STATUSES,
   ELIGIBILITY_CRITERIA,
+  CRITERION_STATUSES,
   PROGRAM_STAGE_KEYS,
   PROGRAM_STAGES,
+  PROGRAM_OUTCOMES,
+  OBJECTIVE_DOMAINS,
+  PROGRESS_STATUSES,
 };
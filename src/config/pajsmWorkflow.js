@@ -0,0 +1,122 @@
+const { ROLES } = require('./roles');
+const { PROGRAM_STAGE_KEYS } = require('./pajsm');
+
+// Conditions that must hold before a participant may leave a stage, with the
+// message reported while each one is still blocking. The checks themselves
+// are in pajsmService.
+const STAGE_REQUIREMENTS = {
+  not_final_stage: 'The participant is already at the final stage',
+  no_final_outcome: 'The participant already has a final outcome',
+  eligibility_evaluated: 'An eligibility evaluation finding the participant eligible is required',
+  eligibility_confirmed:
+    'Every eligibility criterion must be met and clinically confirmed; none may remain provisional',
+  intervention_plan_on_file: 'An intervention plan must be on file',
+  follow_up_recorded: 'At least one hearing follow-up must be recorded',
+  victim_consent_current:
+    'The offence requires victim consent that is on file, unexpired, not revoked and, ' +
+    'where the stage requires it, reconfirmed since the stage began',
+};
+
+// Who may close each stage, and what must be true first. Every move also
+// requires a justification, kept in pajsm_stage_history.
+const STAGE_EXIT_RULES = {
+  [PROGRAM_STAGE_KEYS.REFERRAL]: {
+    roles: [ROLES.MENTAL_HEALTH_PROFESSIONAL, ROLES.PROSECUTOR, ROLES.ADMIN],
+    requirements: ['no_final_outcome', 'eligibility_evaluated', 'victim_consent_current'],
+  },
+  // Leaving prosecutor evaluation is the prosecutor's approval
+  [PROGRAM_STAGE_KEYS.PROSECUTOR_EVALUATION]: {
+    roles: [ROLES.PROSECUTOR],
+    requirements: ['no_final_outcome', 'eligibility_evaluated', 'victim_consent_current'],
+  },
+  [PROGRAM_STAGE_KEYS.CLINICAL_ELIGIBILITY]: {
+    roles: [ROLES.MENTAL_HEALTH_PROFESSIONAL, ROLES.PHYSICIAN],
+    requirements: ['no_final_outcome', 'eligibility_confirmed', 'victim_consent_current'],
+  },
+  [PROGRAM_STAGE_KEYS.INTERVENTION_PLAN]: {
+    roles: [ROLES.MENTAL_HEALTH_PROFESSIONAL, ROLES.ADMIN],
+    requirements: ['no_final_outcome', 'intervention_plan_on_file', 'victim_consent_current'],
+  },
+  [PROGRAM_STAGE_KEYS.HEARING_FOLLOWUPS]: {
+    roles: [ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN],
+    requirements: ['no_final_outcome', 'follow_up_recorded', 'victim_consent_current'],
+  },
+};
+
+// Clinicians record diagnosis and capacity-to-learn findings that lift a
+// provisional eligibility result
+const CLINICAL_CONFIRMATION_ROLES = [ROLES.MENTAL_HEALTH_PROFESSIONAL, ROLES.PHYSICIAN];
+
+// The plan is written during the intervention_plan stage and can be amended,
+// as a new version, from then until the program ends
+const PLAN_AMENDMENT_STAGES = [
+  PROGRAM_STAGE_KEYS.INTERVENTION_PLAN,
+  PROGRAM_STAGE_KEYS.HEARING_FOLLOWUPS,
+];
+
+// Appearance of the participant at a follow-up hearing. A hearing with no
+// appearance recorded once it is over, plus the grace period for recording
+// it, is flagged as missed.
+const APPEARANCE_STATUSES = {
+  PENDING: 'pending',
+  ATTENDED: 'attended',
+  MISSED: 'missed',
+  CANCELLED: 'cancelled',
+};
+const APPEARANCE_RECORDING_GRACE_MINUTES = 120;
+
+// Why a participant left the program, recorded with every withdrawal and
+// return to court
+const OUTCOME_REASON_CATEGORIES = {
+  PARTICIPANT_CHOICE: 'participant_choice',
+  NON_COMPLIANCE: 'non_compliance',
+  NEW_OFFENCE: 'new_offence',
+  CONSENT_REVOKED: 'consent_revoked',
+  CLINICAL_DECISION: 'clinical_decision',
+};
+
+// Consent revocation has its own endpoint, which also clears victim consent
+const WITHDRAWAL_REASON_CATEGORIES = Object.values(OUTCOME_REASON_CATEGORIES).filter(
+  (category) => category !== OUTCOME_REASON_CATEGORIES.CONSENT_REVOKED
+);
+
+// Outcomes that send the file back to the regular court process. Only these
+// can be reinstated, and they come with a return-to-court package.
+const COURT_RETURN_OUTCOMES = ['withdrawn', 'returned_to_court'];
+
+// Where the offence requires victim consent, the consent on file must be
+// current. At these stages it must also have been given or reconfirmed since
+// the participant entered the stage.
+const VICTIM_CONSENT_STATUSES = {
+  ACTIVE: 'active',
+  MISSING: 'missing',
+  REVOKED: 'revoked',
+  EXPIRED: 'expired',
+  RECONFIRMATION_DUE: 'reconfirmation_due',
+};
+const CONSENT_RECONFIRMATION_STAGES = [
+  PROGRAM_STAGE_KEYS.INTERVENTION_PLAN,
+  PROGRAM_STAGE_KEYS.HEARING_FOLLOWUPS,
+];
+
+// Victim services workers record consent and its revocation on behalf of the victim
+const VICTIM_CONSENT_ROLES = [ROLES.VICTIM_SERVICES_WORKER, ROLES.ADMIN];
+
+// The prosecutor or the court decides whether a returned file re-enters the program
+const REINSTATEMENT_ROLES = [ROLES.PROSECUTOR, ROLES.TRIBUNAL_MEMBER];
+
+module.exports = {
+  STAGE_REQUIREMENTS,
+  STAGE_EXIT_RULES,
+  CLINICAL_CONFIRMATION_ROLES,
+  PLAN_AMENDMENT_STAGES,
+  APPEARANCE_STATUSES,
+  APPEARANCE_RECORDING_GRACE_MINUTES,
+  OUTCOME_REASON_CATEGORIES,
+  WITHDRAWAL_REASON_CATEGORIES,
+  COURT_RETURN_OUTCOMES,
+  VICTIM_CONSENT_STATUSES,
+  CONSENT_RECONFIRMATION_STAGES,
+  VICTIM_CONSENT_ROLES,
+  REINSTATEMENT_ROLES,
+};
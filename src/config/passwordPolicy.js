@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 12,
+  maxLength: 128,
+  // Number of previous passwords a user may not reuse
+  historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE, 10) || 5,
+};
+
+const BCRYPT_ROUNDS = 12;
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+const DEFAULT_BREACHED_PASSWORDS_PATH = path.join(__dirname, 'breached-passwords.txt');
+
+let breachedPasswords = null;
+
+// One password per line; blank lines and # comments are ignored
+function loadBreachedPasswords() {
+  if (breachedPasswords) return breachedPasswords;
+
+  const file = process.env.BREACHED_PASSWORDS_PATH || DEFAULT_BREACHED_PASSWORDS_PATH;
+  breachedPasswords = new Set(
+    fs
+      .readFileSync(file, 'utf8')
+      .split(/\r?\n/)
+      .map((line) => line.trim().toLowerCase())
+      .filter((line) => line && !line.startsWith('#'))
+  );
+  return breachedPasswords;
+}
+
+module.exports = {
+  PASSWORD_POLICY,
+  BCRYPT_ROUNDS,
+  PASSWORD_RESET_TTL_MINUTES,
+  loadBreachedPasswords,
+};
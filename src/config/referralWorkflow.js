@@ -0,0 +1,49 @@
+const { ROLES } = require('./roles');
+
+const REFERRAL_STATUSES = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  IN_ASSESSMENT: 'in_assessment',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+};
+
+// Ordered from least to most urgent
+const REFERRAL_URGENCIES = ['low', 'medium', 'high', 'critical'];
+
+const TERMINAL_REFERRAL_STATUSES = [REFERRAL_STATUSES.COMPLETED, REFERRAL_STATUSES.CANCELLED];
+
+// Allowed next statuses from each status
+const REFERRAL_TRANSITIONS = {
+  [REFERRAL_STATUSES.PENDING]: [REFERRAL_STATUSES.ACCEPTED, REFERRAL_STATUSES.CANCELLED],
+  [REFERRAL_STATUSES.ACCEPTED]: [REFERRAL_STATUSES.IN_ASSESSMENT, REFERRAL_STATUSES.CANCELLED],
+  [REFERRAL_STATUSES.IN_ASSESSMENT]: [REFERRAL_STATUSES.COMPLETED, REFERRAL_STATUSES.CANCELLED],
+  [REFERRAL_STATUSES.COMPLETED]: [],
+  [REFERRAL_STATUSES.CANCELLED]: [],
+};
+
+// Roles allowed to move a referral into each status
+const REFERRAL_STATUS_ROLES = {
+  [REFERRAL_STATUSES.ACCEPTED]: [ROLES.MENTAL_HEALTH_PROFESSIONAL, ROLES.PHYSICIAN, ROLES.ADMIN],
+  [REFERRAL_STATUSES.IN_ASSESSMENT]: [ROLES.MENTAL_HEALTH_PROFESSIONAL, ROLES.PHYSICIAN, ROLES.ADMIN],
+  [REFERRAL_STATUSES.COMPLETED]: [ROLES.MENTAL_HEALTH_PROFESSIONAL, ROLES.PHYSICIAN, ROLES.ADMIN],
+  [REFERRAL_STATUSES.CANCELLED]: [
+    ROLES.POLICE_OFFICER,
+    ROLES.REQUESTING_PARTY,
+    ROLES.MENTAL_HEALTH_PROFESSIONAL,
+    ROLES.PHYSICIAN,
+    ROLES.ADMIN,
+  ],
+};
+
+// Transitions that must carry a reason in the history record
+const REASON_REQUIRED_STATUSES = [REFERRAL_STATUSES.CANCELLED];
+
+module.exports = {
+  REFERRAL_STATUSES,
+  REFERRAL_URGENCIES,
+  TERMINAL_REFERRAL_STATUSES,
+  REFERRAL_TRANSITIONS,
+  REFERRAL_STATUS_ROLES,
+  REASON_REQUIRED_STATUSES,
+};
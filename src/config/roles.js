@@ -6,6 +6,7 @@ const ROLES = {
   REQUESTING_PARTY: 'requesting_party',
   RESPONDENT: 'respondent',
   PROSECUTOR: 'prosecutor',
+  VICTIM_SERVICES_WORKER: 'victim_services_worker',
   ADMIN: 'admin',
 };
 
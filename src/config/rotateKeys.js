@@ -0,0 +1,82 @@
+require('dotenv').config();
+const { pool, withTransaction } = require('./db');
+const { ENCRYPTED_FIELDS, BLIND_INDEXES } = require('./encryption');
+const { decrypt, encryptRow, needsRotation } = require('../utils/fieldEncryption');
+
+// Usage: node src/config/rotateKeys.js [--dry-run] [--all]
+//
+// Re-encrypts every encrypted column that is still plaintext or was written
+// under an older key version, refreshing blind indexes on the way. Pass --all
+// to rewrite every row, e.g. after changing BLIND_INDEX_KEY.
+
+const BATCH_SIZE = 500;
+
+function rowNeedsRotation(table, row) {
+  return ENCRYPTED_FIELDS[table].some((field) => needsRotation(row[field]));
+}
+
+async function rotateTable(table, { dryRun, all }) {
+  const fields = ENCRYPTED_FIELDS[table];
+  let lastId = null;
+  let scanned = 0;
+  let rotated = 0;
+
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT id, ${fields.join(', ')} FROM ${table}
+       WHERE $1::uuid IS NULL OR id > $1::uuid
+       ORDER BY id ASC LIMIT $2`,
+      [lastId, BATCH_SIZE]
+    );
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      scanned++;
+      lastId = row.id;
+      if (!all && !rowNeedsRotation(table, row)) continue;
+
+      rotated++;
+      if (dryRun) continue;
+
+      const plaintext = {};
+      fields.forEach((field) => {
+        plaintext[field] = decrypt(row[field]);
+      });
+      const values = encryptRow(table, plaintext);
+      const columns = [...fields, ...Object.values(BLIND_INDEXES[table] || {})];
+
+      // Immutable tables (messages) only accept updates flagged as re-encryption
+      await withTransaction(async (client) => {
+        await client.query("SET LOCAL app.reencrypting = 'on'");
+        await client.query(
+          `UPDATE ${table} SET ${columns.map((c, i) => `${c} = $${i + 2}`).join(', ')}
+           WHERE id = $1`,
+          [row.id, ...columns.map((c) => values[c])]
+        );
+      });
+    }
+  }
+
+  return { scanned, rotated };
+}
+
+async function run(argv) {
+  const options = { dryRun: argv.includes('--dry-run'), all: argv.includes('--all') };
+
+  try {
+    for (const table of Object.keys(ENCRYPTED_FIELDS)) {
+      const { scanned, rotated } = await rotateTable(table, options);
+      const verb = options.dryRun ? 'would re-encrypt' : 're-encrypted';
+      console.log(`${table}: scanned ${scanned}, ${verb} ${rotated}`);
+    }
+  } catch (err) {
+    console.error('Key rotation failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2));
+}
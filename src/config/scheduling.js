@@ -0,0 +1,29 @@
+const DEFAULT_HEARING_DURATION_MINUTES = 60;
+
+// Sitting hours used when suggesting slots, in server local time
+const SITTING_HOURS = { start: 9, end: 17 };
+
+const SITTING_DAYS = [1, 2, 3, 4, 5];
+
+// Hearing times are stored in UTC; calendar days, such as a day's docket,
+// are those of the court's time zone
+const COURT_TIME_ZONE = process.env.COURT_TIME_ZONE || 'America/Montreal';
+
+const SLOT_INCREMENT_MINUTES = 30;
+
+const SUGGESTION_HORIZON_DAYS = 30;
+
+const DEFAULT_SUGGESTION_COUNT = 5;
+
+const AVAILABILITY_KINDS = ['available', 'unavailable'];
+
+module.exports = {
+  DEFAULT_HEARING_DURATION_MINUTES,
+  SITTING_HOURS,
+  SITTING_DAYS,
+  COURT_TIME_ZONE,
+  SLOT_INCREMENT_MINUTES,
+  SUGGESTION_HORIZON_DAYS,
+  DEFAULT_SUGGESTION_COUNT,
+  AVAILABILITY_KINDS,
+};
@@ -0,0 +1,23 @@
+const USER_STATUSES = {
+  PENDING: 'pending',
+  INVITED: 'invited',
+  ACTIVE: 'active',
+  DEACTIVATED: 'deactivated',
+};
+
+// Allowed next statuses from each status. Invited users become active only by
+// accepting their invitation; pending self-registrations need admin approval
+const USER_STATUS_TRANSITIONS = {
+  [USER_STATUSES.PENDING]: [USER_STATUSES.ACTIVE, USER_STATUSES.DEACTIVATED],
+  [USER_STATUSES.INVITED]: [USER_STATUSES.DEACTIVATED],
+  [USER_STATUSES.ACTIVE]: [USER_STATUSES.DEACTIVATED],
+  [USER_STATUSES.DEACTIVATED]: [USER_STATUSES.ACTIVE],
+};
+
+const INVITATION_TTL_HOURS = parseInt(process.env.INVITATION_TTL_HOURS, 10) || 72;
+
+module.exports = {
+  USER_STATUSES,
+  USER_STATUS_TRANSITIONS,
+  INVITATION_TTL_HOURS,
+};
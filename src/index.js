@@ -9,11 +9,23 @@ const referralRoutes = require('./routes/referrals');
 const tribunalRoutes = require('./routes/tribunals');
 const assessmentRoutes = require('./routes/assessments');
 const pajsmRoutes = require('./routes/pajsm');
+const auditRoutes = require('./routes/audit');
+const deadlineRoutes = require('./routes/deadlines');
+const userRoutes = require('./routes/users');
+const notificationRoutes = require('./routes/notifications');
+const { registerSubscribers } = require('./services/notificationService');
 const { errorHandler } = require('./middleware/errorHandler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Client IPs feed login throttling, so honour X-Forwarded-For only from
+// the configured proxy hops
+if (process.env.TRUST_PROXY) {
+  const hops = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(hops) ? Number(hops) : hops);
+}
+
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
@@ -24,6 +36,10 @@ app.use('/api/v1/referrals', referralRoutes);
 app.use('/api/v1/tribunals', tribunalRoutes);
 app.use('/api/v1/assessments', assessmentRoutes);
 app.use('/api/v1/pajsm', pajsmRoutes);
+app.use('/api/v1/audit', auditRoutes);
+app.use('/api/v1/deadlines', deadlineRoutes);
+app.use('/api/v1/users', userRoutes);
+app.use('/api/v1/notifications', notificationRoutes);
 
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
@@ -31,6 +47,8 @@ app.get('/health', (req, res) => {
 
 app.use(errorHandler);
 
+registerSubscribers();
+
 app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
 });
@@ -1,17 +1,34 @@
 const { logger } = require('../utils/logger');
+const auditService = require('../services/auditService');
+
+function auditLog(action, options = {}) {
+  const resourceParam = options.resourceParam || 'id';
 
-function auditLog(action) {
   return (req, res, next) => {
-    const entry = {
-      action,
-      userId: req.user?.id || 'anonymous',
-      role: req.user?.role || 'unknown',
-      path: req.path,
-      method: req.method,
-      timestamp: new Date().toISOString(),
-    };
+    // Recorded once the response is sent so the entry carries the final status
+    res.on('finish', () => {
+      const entry = {
+        action,
+        userId: req.user?.id || null,
+        role: req.user?.role || null,
+        path: req.originalUrl.split('?')[0],
+        method: req.method,
+        resourceId: req.params?.[resourceParam] || null,
+        statusCode: res.statusCode,
+        ipAddress: req.ip,
+        createdAt: new Date().toISOString(),
+        details: res.locals.auditDetails || null,
+      };
+
+      logger.info({ audit: entry });
+
+      if (process.env.AUDIT_LOG_ENABLED === 'false') return;
+
+      auditService.record(entry).catch((err) => {
+        logger.error({ message: 'Failed to persist audit entry', action, error: err.message });
+      });
+    });
 
-    logger.info({ audit: entry });
     next();
   };
 }
@@ -1,27 +1,59 @@
 const jwt = require('jsonwebtoken');
+const authService = require('../services/authService');
 
-function authenticate(req, res, next) {
+// Same envelope as errorHandler, for responses sent before any route runs
+function deny(res, statusCode, code, message) {
+  return res.status(statusCode).json({ error: { code, message } });
+}
+
+async function authenticate(req, res, next) {
   const header = req.headers.authorization;
   if (!header || !header.startsWith('Bearer ')) {
-    return res.status(401).json({ error: { message: 'Authentication required' } });
+    return deny(res, 401, 'UNAUTHENTICATED', 'Authentication required');
   }
 
   try {
     const token = header.split(' ')[1];
     req.user = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return deny(res, 401, 'UNAUTHENTICATED', 'Invalid or expired token');
+  }
+
+  if (req.user.typ !== authService.TOKEN_TYPES.ACCESS) {
+    return deny(res, 401, 'UNAUTHENTICATED', 'Invalid or expired token');
+  }
+
+  // A still-valid access token stops working as soon as its session is revoked
+  try {
+    if (!(await authService.isSessionActive(req.user.sid))) {
+      return deny(res, 401, 'UNAUTHENTICATED', 'Session has been revoked');
+    }
     next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// For MFA enrolment, which is reachable both from a signed-in session and
+// from the MFA-pending token of a user who must enrol before signing in
+function authenticateForMfa(req, res, next) {
+  const header = req.headers.authorization || '';
+  try {
+    req.user = authService.verifyMfaPendingToken(header.split(' ')[1]);
+    req.mfaPending = true;
+    return next();
   } catch {
-    return res.status(401).json({ error: { message: 'Invalid or expired token' } });
+    return authenticate(req, res, next);
   }
 }
 
 function authorize(...roles) {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ error: { message: 'Insufficient permissions' } });
+      return deny(res, 403, 'FORBIDDEN', 'Insufficient permissions');
     }
     next();
   };
 }
 
-module.exports = { authenticate, authorize };
+module.exports = { authenticate, authenticateForMfa, authorize };
@@ -1,14 +1,47 @@
 const { logger } = require('../utils/logger');
 
+// Stable machine-readable codes clients can branch on; the message is for humans
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  423: 'LOCKED',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+};
+
+function errorCodeFor(err, status) {
+  if (err.errorCode) return err.errorCode;
+  if (err.type === 'entity.parse.failed') return 'INVALID_JSON';
+  return ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+// Error envelope: { error: { code, message, fields?, reasons?, details? } }
+//   fields  - per-field validation failures: [{ path, code, message }]
+//   reasons - business-rule failures, e.g. why a participant is not eligible
 function errorHandler(err, req, res, next) {
   logger.error({ message: err.message, stack: err.stack, path: req.path });
 
   const status = err.statusCode || 500;
-  res.status(status).json({
+  const body = {
     error: {
+      code: errorCodeFor(err, status),
       message: status === 500 ? 'Internal server error' : err.message,
     },
-  });
+  };
+  if (status !== 500) {
+    if (err.fields) body.error.fields = err.fields;
+    if (err.reasons) body.error.reasons = err.reasons;
+    if (err.details) body.error.details = err.details;
+  }
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+  res.status(status).json(body);
 }
 
 module.exports = { errorHandler };
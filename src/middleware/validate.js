@@ -0,0 +1,34 @@
+const { check } = require('../utils/validation');
+
+const SOURCES = ['params', 'query', 'body'];
+
+// validate({ params, query, body }) checks each part of the request against
+// its schema. Query and params are coerced from strings; on success the
+// validated (and coerced) values replace the originals.
+function validate(schemas) {
+  return (req, res, next) => {
+    const fields = [];
+    const validated = {};
+
+    SOURCES.forEach((source) => {
+      if (!schemas[source]) return;
+      const input = source === 'body' && req.body === undefined ? {} : req[source];
+      const result = check(schemas[source], input, source, { coerce: source !== 'body' });
+      fields.push(...result.errors);
+      validated[source] = result.value;
+    });
+
+    if (fields.length > 0) {
+      const err = new Error('Request validation failed');
+      err.statusCode = 400;
+      err.errorCode = 'VALIDATION_FAILED';
+      err.fields = fields;
+      return next(err);
+    }
+
+    Object.assign(req, validated);
+    next();
+  };
+}
+
+module.exports = { validate };
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, authorize } = require('../middleware/auth');
 const { auditLog } = require('../middleware/auditLog');
+const { validate } = require('../middleware/validate');
+const { byId } = require('../schemas/common');
+const schemas = require('../schemas/assessments');
 const { ROLES } = require('../config/roles');
 const assessmentService = require('../services/assessmentService');
 
@@ -11,6 +14,7 @@ router.post(
   '/',
   authorize(ROLES.MENTAL_HEALTH_PROFESSIONAL, ROLES.PHYSICIAN, ROLES.ADMIN),
   auditLog('CREATE_ASSESSMENT'),
+  validate(schemas.createAssessment),
   async (req, res, next) => {
     try {
       const assessment = await assessmentService.create(req.body, req.user);
@@ -21,16 +25,21 @@ router.post(
   }
 );
 
-router.get('/', auditLog('LIST_ASSESSMENTS'), async (req, res, next) => {
-  try {
-    const assessments = await assessmentService.list(req.user);
-    res.json(assessments);
-  } catch (err) {
-    next(err);
+router.get(
+  '/',
+  auditLog('LIST_ASSESSMENTS'),
+  validate(schemas.listAssessments),
+  async (req, res, next) => {
+    try {
+      const assessments = await assessmentService.list(req.user, req.query);
+      res.json(assessments);
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
-router.get('/:id', auditLog('VIEW_ASSESSMENT'), async (req, res, next) => {
+router.get('/:id', auditLog('VIEW_ASSESSMENT'), validate(byId), async (req, res, next) => {
   try {
     const assessment = await assessmentService.getById(req.params.id, req.user);
     res.json(assessment);
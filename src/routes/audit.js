@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { auditLog } = require('../middleware/auditLog');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/audit');
+const { ROLES } = require('../config/roles');
+const auditService = require('../services/auditService');
+const loginProtection = require('../services/loginProtectionService');
+
+router.use(authenticate, authorize(ROLES.ADMIN));
+
+router.get(
+  '/',
+  auditLog('AUDIT_QUERY'),
+  validate(schemas.queryAuditLog),
+  async (req, res, next) => {
+    try {
+      const entries = await auditService.query({
+        userId: req.query.userId,
+        action: req.query.action,
+        resourceId: req.query.resourceId,
+        from: req.query.from,
+        to: req.query.to,
+        limit: req.query.limit,
+        offset: req.query.offset,
+      });
+      res.json(entries);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.get('/verify', auditLog('AUDIT_VERIFY'), async (req, res, next) => {
+  try {
+    const result = await auditService.verify();
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get(
+  '/login-attempts',
+  auditLog('LOGIN_ATTEMPTS_QUERY'),
+  validate(schemas.queryLoginAttempts),
+  async (req, res, next) => {
+    try {
+      const attempts = await loginProtection.listAttempts({
+        email: req.query.email,
+        userId: req.query.userId,
+        ipAddress: req.query.ipAddress,
+        success: req.query.success,
+        from: req.query.from,
+        to: req.query.to,
+        limit: req.query.limit,
+        offset: req.query.offset,
+      });
+      res.json(attempts);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -1,20 +1,162 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate, authenticateForMfa } = require('../middleware/auth');
+const { auditLog } = require('../middleware/auditLog');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
 const authService = require('../services/authService');
+const userService = require('../services/userService');
+const mfaService = require('../services/mfaService');
+const passwordService = require('../services/passwordService');
+const loginProtection = require('../services/loginProtectionService');
 
-router.post('/login', async (req, res, next) => {
+function sessionContext(req) {
+  return { ipAddress: req.ip, userAgent: req.get('user-agent') };
+}
+
+router.post('/login', validate(schemas.login), async (req, res, next) => {
   try {
     const { email, password } = req.body;
-    const result = await authService.login(email, password);
+    const result = await authService.login(email, password, sessionContext(req));
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/mfa/verify', validate(schemas.verifyMfa), async (req, res, next) => {
+  try {
+    const result = await mfaService.verifyLogin(
+      req.body.mfaToken,
+      { code: req.body.code, recoveryCode: req.body.recoveryCode },
+      sessionContext(req)
+    );
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post(
+  '/mfa/enroll',
+  authenticateForMfa,
+  auditLog('MFA_ENROLL_START'),
+  async (req, res, next) => {
+    try {
+      const result = await mfaService.beginEnrollment(req.user);
+      res.json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Completing enrolment from an MFA-pending token also completes that sign-in
+router.post(
+  '/mfa/enroll/verify',
+  authenticateForMfa,
+  auditLog('MFA_ENROLL_CONFIRM'),
+  validate(schemas.confirmMfaCode),
+  async (req, res, next) => {
+    try {
+      const result = await mfaService.confirmEnrollment(req.user, req.body.code);
+      if (req.mfaPending) {
+        await loginProtection.recordSuccess(req.user.email, {
+          ...sessionContext(req),
+          userId: req.user.id,
+        });
+        const session = await authService.startSession(req.user, sessionContext(req));
+        return res.json({ ...result, ...session });
+      }
+      res.json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.post(
+  '/mfa/recovery-codes',
+  authenticate,
+  auditLog('MFA_RECOVERY_CODES_REGENERATE'),
+  validate(schemas.confirmMfaCode),
+  async (req, res, next) => {
+    try {
+      const result = await mfaService.regenerateRecoveryCodes(req.user, req.body.code);
+      res.json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.post('/refresh', validate(schemas.refresh), async (req, res, next) => {
+  try {
+    const result = await authService.refresh(req.body.refreshToken);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/logout', authenticate, auditLog('LOGOUT'), async (req, res, next) => {
+  try {
+    await authService.logout(req.user);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/activate', validate(schemas.activate), async (req, res, next) => {
+  try {
+    const user = await userService.acceptInvitation(req.body.token, req.body.password);
+    res.json(user);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post(
+  '/password/change',
+  authenticate,
+  auditLog('CHANGE_PASSWORD'),
+  validate(schemas.changePassword),
+  async (req, res, next) => {
+    try {
+      const result = await passwordService.changePassword(
+        req.user,
+        req.body.currentPassword,
+        req.body.newPassword
+      );
+      res.json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.post('/password/forgot', validate(schemas.forgotPassword), async (req, res, next) => {
+  try {
+    await passwordService.requestReset(req.body.email);
+    res.status(202).json({ message: 'If the account exists, a reset link has been sent' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/password/reset', validate(schemas.resetPassword), async (req, res, next) => {
+  try {
+    const result = await passwordService.resetPassword(req.body.token, req.body.newPassword);
     res.json(result);
   } catch (err) {
     next(err);
   }
 });
 
-router.post('/register', async (req, res, next) => {
+router.post('/register', validate(schemas.register), async (req, res, next) => {
   try {
-    const user = await authService.register(req.body);
+    const user = await userService.register(req.body);
     res.status(201).json(user);
   } catch (err) {
     next(err);
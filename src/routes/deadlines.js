@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { auditLog } = require('../middleware/auditLog');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/deadlines');
+const { ROLES } = require('../config/roles');
+const deadlineService = require('../services/deadlineService');
+
+router.use(authenticate);
+
+router.get('/rules', auditLog('LIST_DEADLINE_RULES'), async (req, res, next) => {
+  try {
+    res.json(deadlineService.getRules());
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get(
+  '/',
+  authorize(ROLES.TRIBUNAL_MEMBER, ROLES.MENTAL_HEALTH_PROFESSIONAL, ROLES.PHYSICIAN, ROLES.ADMIN),
+  auditLog('LIST_DEADLINES'),
+  validate(schemas.listDeadlines),
+  async (req, res, next) => {
+    try {
+      const cases = await deadlineService.listFlagged(req.user, req.query);
+      res.json(cases);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
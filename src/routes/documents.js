@@ -0,0 +1,75 @@
+const express = require('express');
+const { auditLog } = require('../middleware/auditLog');
+const { validate } = require('../middleware/validate');
+const { byId } = require('../schemas/common');
+const schemas = require('../schemas/documents');
+const { MAX_DOCUMENT_SIZE_BYTES } = require('../config/documents');
+const documentService = require('../services/documentService');
+
+// Mounted under a parent router at /:id/documents; the parent's
+// authentication applies and :id identifies the parent record
+function documentRoutes(parentType) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/', auditLog('LIST_DOCUMENTS'), validate(byId), async (req, res, next) => {
+    try {
+      const documents = await documentService.list(parentType, req.params.id, req.user);
+      res.json(documents);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // The file is sent as the raw request body with its own Content-Type;
+  // metadata travels in the query string
+  router.post(
+    '/',
+    express.raw({ type: '*/*', limit: MAX_DOCUMENT_SIZE_BYTES }),
+    auditLog('UPLOAD_DOCUMENT'),
+    validate(schemas.uploadDocument),
+    async (req, res, next) => {
+      try {
+        const document = await documentService.upload(
+          parentType,
+          req.params.id,
+          {
+            filename: req.query.filename,
+            mimeType: (req.get('content-type') || '').split(';')[0].trim(),
+            content: req.body,
+          },
+          { category: req.query.category, visibility: req.query.visibility },
+          req.user
+        );
+        res.status(201).json(document);
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.get(
+    '/:documentId',
+    auditLog('DOWNLOAD_DOCUMENT', { resourceParam: 'documentId' }),
+    validate(schemas.downloadDocument),
+    async (req, res, next) => {
+      try {
+        const { document, content } = await documentService.download(
+          parentType,
+          req.params.id,
+          req.params.documentId,
+          req.user
+        );
+        res.attachment(document.filename);
+        res.type(document.mime_type);
+        res.set('X-Content-SHA256', document.sha256);
+        res.send(content);
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { documentRoutes };
@@ -0,0 +1,78 @@
+const express = require('express');
+const { auditLog } = require('../middleware/auditLog');
+const { validate } = require('../middleware/validate');
+const { byId } = require('../schemas/common');
+const schemas = require('../schemas/messages');
+const messageService = require('../services/messageService');
+
+// Mounted under a parent router at /:id/threads; the parent's
+// authentication applies and :id identifies the parent case
+function threadRoutes(parentType) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/', auditLog('LIST_MESSAGE_THREADS'), validate(byId), async (req, res, next) => {
+    try {
+      const threads = await messageService.listThreads(parentType, req.params.id, req.user);
+      res.json(threads);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post(
+    '/',
+    auditLog('CREATE_MESSAGE_THREAD'),
+    validate(schemas.createThread),
+    async (req, res, next) => {
+      try {
+        const thread = await messageService.createThread(parentType, req.params.id, req.body, req.user);
+        res.status(201).json(thread);
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.get(
+    '/:threadId',
+    auditLog('VIEW_MESSAGE_THREAD', { resourceParam: 'threadId' }),
+    validate(schemas.viewThread),
+    async (req, res, next) => {
+      try {
+        const thread = await messageService.getThread(
+          parentType,
+          req.params.id,
+          req.params.threadId,
+          req.user
+        );
+        res.json(thread);
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  router.post(
+    '/:threadId/messages',
+    auditLog('POST_MESSAGE', { resourceParam: 'threadId' }),
+    validate(schemas.postMessage),
+    async (req, res, next) => {
+      try {
+        const message = await messageService.postMessage(
+          parentType,
+          req.params.id,
+          req.params.threadId,
+          req.body,
+          req.user
+        );
+        res.status(201).json(message);
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { threadRoutes };
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { auditLog } = require('../middleware/auditLog');
+const { validate } = require('../middleware/validate');
+const { byId } = require('../schemas/common');
+const schemas = require('../schemas/notifications');
+const notificationService = require('../services/notificationService');
+
+router.use(authenticate);
+
+router.get(
+  '/',
+  auditLog('LIST_NOTIFICATIONS'),
+  validate(schemas.listNotifications),
+  async (req, res, next) => {
+    try {
+      const notifications = await notificationService.list(req.user, {
+        unread: req.query.unread,
+        limit: req.query.limit,
+      });
+      res.json(notifications);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.get('/preferences', auditLog('VIEW_NOTIFICATION_PREFERENCES'), async (req, res, next) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.user);
+    res.json(preferences);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.put(
+  '/preferences',
+  auditLog('UPDATE_NOTIFICATION_PREFERENCES'),
+  validate(schemas.updatePreferences),
+  async (req, res, next) => {
+    try {
+      const preferences = await notificationService.updatePreferences(
+        req.body.preferences,
+        req.user
+      );
+      res.json(preferences);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.post('/read-all', auditLog('READ_ALL_NOTIFICATIONS'), async (req, res, next) => {
+  try {
+    const result = await notificationService.markAllRead(req.user);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.patch('/:id/read', auditLog('READ_NOTIFICATION'), validate(byId), async (req, res, next) => {
+  try {
+    const notification = await notificationService.markRead(req.params.id, req.user);
+    res.json(notification);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -2,44 +2,146 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, authorize } = require('../middleware/auth');
 const { auditLog } = require('../middleware/auditLog');
+const { validate } = require('../middleware/validate');
+const { byId } = require('../schemas/common');
+const schemas = require('../schemas/pajsm');
 const { ROLES } = require('../config/roles');
+const {
+  CLINICAL_CONFIRMATION_ROLES,
+  VICTIM_CONSENT_ROLES,
+  REINSTATEMENT_ROLES,
+} = require('../config/pajsmWorkflow');
+const { DOCUMENT_PARENT_TYPES } = require('../config/documents');
+const { MESSAGE_PARENT_TYPES } = require('../config/messaging');
+const { documentRoutes } = require('./documents');
+const { threadRoutes } = require('./messages');
 const pajsmService = require('../services/pajsmService');
 const eligibilityService = require('../services/eligibilityService');
+const ruleSetService = require('../services/ruleSetService');
 
 router.use(authenticate);
 
-// Reference endpoints
-router.get('/reference/vulnerabilities', auditLog('LIST_VULNERABILITIES'), async (req, res, next) => {
-  try {
-    res.json(eligibilityService.getVulnerabilityTypes());
-  } catch (err) {
-    next(err);
+// Reference endpoints, reflecting the rule set currently in force
+router.get(
+  '/reference/vulnerabilities',
+  auditLog('LIST_VULNERABILITIES'),
+  validate(schemas.referenceQuery),
+  async (req, res, next) => {
+    try {
+      const ruleSet = await ruleSetService.current();
+      res.json(eligibilityService.getVulnerabilityTypes(ruleSet, req.query.district));
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
-router.get('/reference/exclusions', auditLog('LIST_EXCLUSIONS'), async (req, res, next) => {
-  try {
-    res.json(eligibilityService.getExclusions());
-  } catch (err) {
-    next(err);
+router.get(
+  '/reference/exclusions',
+  auditLog('LIST_EXCLUSIONS'),
+  validate(schemas.referenceQuery),
+  async (req, res, next) => {
+    try {
+      const ruleSet = await ruleSetService.current();
+      res.json(eligibilityService.getExclusions(ruleSet, req.query.district));
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
 // Eligibility check
-router.post('/eligibility/check', auditLog('CHECK_ELIGIBILITY'), async (req, res, next) => {
+router.post(
+  '/eligibility/check',
+  auditLog('CHECK_ELIGIBILITY'),
+  validate(schemas.checkEligibility),
+  async (req, res, next) => {
+    try {
+      const result = await ruleSetService.evaluate(req.body);
+      res.json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Eligibility rule sets
+router.get('/rule-sets', auditLog('LIST_RULE_SETS'), async (req, res, next) => {
   try {
-    const result = eligibilityService.checkEligibility(req.body);
-    res.json(result);
+    res.json(await ruleSetService.list());
   } catch (err) {
     next(err);
   }
 });
 
+router.post(
+  '/rule-sets',
+  authorize(ROLES.ADMIN),
+  auditLog('CREATE_RULE_SET'),
+  validate(schemas.createRuleSet),
+  async (req, res, next) => {
+    try {
+      const ruleSet = await ruleSetService.createDraft(req.body, req.user);
+      res.locals.auditDetails = { version: ruleSet.version };
+      res.status(201).json(ruleSet);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.get(
+  '/rule-sets/:version',
+  auditLog('VIEW_RULE_SET', { resourceParam: 'version' }),
+  validate(schemas.byRuleSetVersion),
+  async (req, res, next) => {
+    try {
+      res.json(await ruleSetService.getByVersion(req.params.version));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.get(
+  '/rule-sets/:version/preview',
+  authorize(ROLES.ADMIN),
+  auditLog('PREVIEW_RULE_SET', { resourceParam: 'version' }),
+  validate(schemas.previewRuleSet),
+  async (req, res, next) => {
+    try {
+      res.json(await ruleSetService.preview(req.params.version, req.query));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.post(
+  '/rule-sets/:version/activate',
+  authorize(ROLES.ADMIN),
+  auditLog('ACTIVATE_RULE_SET', { resourceParam: 'version' }),
+  validate(schemas.byRuleSetVersion),
+  async (req, res, next) => {
+    try {
+      const ruleSet = await ruleSetService.activate(req.params.version, req.user);
+      res.locals.auditDetails = {
+        version: ruleSet.version,
+        effectiveFrom: new Date(ruleSet.effectiveFrom).toISOString(),
+      };
+      res.json(ruleSet);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 // Enroll
 router.post(
   '/enroll',
   authorize(ROLES.MENTAL_HEALTH_PROFESSIONAL, ROLES.PROSECUTOR, ROLES.ADMIN),
   auditLog('PAJSM_ENROLL'),
+  validate(schemas.enrollParticipant),
   async (req, res, next) => {
     try {
       const participant = await pajsmService.enroll(req.body, req.user);
@@ -51,17 +153,43 @@ router.post(
 );
 
 // List participants
-router.get('/', auditLog('PAJSM_LIST'), async (req, res, next) => {
-  try {
-    const participants = await pajsmService.list(req.user);
-    res.json(participants);
-  } catch (err) {
-    next(err);
+router.get(
+  '/',
+  auditLog('PAJSM_LIST'),
+  validate(schemas.listParticipants),
+  async (req, res, next) => {
+    try {
+      const participants = await pajsmService.list(req.user, req.query);
+      res.json(participants);
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
+
+// Participants due at follow-up hearings on a day, with their plan compliance
+router.get(
+  '/docket',
+  authorize(
+    ROLES.TRIBUNAL_MEMBER,
+    ROLES.PROSECUTOR,
+    ROLES.MENTAL_HEALTH_PROFESSIONAL,
+    ROLES.ADMIN
+  ),
+  auditLog('PAJSM_VIEW_DOCKET'),
+  validate(schemas.docketQuery),
+  async (req, res, next) => {
+    try {
+      const docket = await pajsmService.getDocket(req.user, req.query);
+      res.json(docket);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
 
 // Get participant by ID
-router.get('/:id', auditLog('PAJSM_VIEW'), async (req, res, next) => {
+router.get('/:id', auditLog('PAJSM_VIEW'), validate(byId), async (req, res, next) => {
   try {
     const participant = await pajsmService.getById(req.params.id, req.user);
     res.json(participant);
@@ -70,14 +198,90 @@ router.get('/:id', auditLog('PAJSM_VIEW'), async (req, res, next) => {
   }
 });
 
-// Advance stage
+// Stored eligibility evaluations, for review by the prosecutor
+router.get(
+  '/:id/eligibility',
+  auditLog('PAJSM_VIEW_ELIGIBILITY'),
+  validate(byId),
+  async (req, res, next) => {
+    try {
+      const evaluations = await pajsmService.listEvaluations(req.params.id, req.user);
+      res.json(evaluations);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Where the participant stands against the exit requirements of their stage
+router.get(
+  '/:id/stage-requirements',
+  auditLog('PAJSM_VIEW_STAGE_REQUIREMENTS'),
+  validate(byId),
+  async (req, res, next) => {
+    try {
+      const requirements = await pajsmService.getStageRequirements(req.params.id, req.user);
+      res.json(requirements);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.get(
+  '/:id/stage-history',
+  auditLog('PAJSM_VIEW_STAGE_HISTORY'),
+  validate(byId),
+  async (req, res, next) => {
+    try {
+      const history = await pajsmService.getStageHistory(req.params.id, req.user);
+      res.json(history);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Advance stage; per-stage role rules and exit requirements are enforced by pajsmService
 router.patch(
   '/:id/advance',
-  authorize(ROLES.MENTAL_HEALTH_PROFESSIONAL, ROLES.PROSECUTOR, ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN),
+  authorize(
+    ROLES.MENTAL_HEALTH_PROFESSIONAL,
+    ROLES.PHYSICIAN,
+    ROLES.PROSECUTOR,
+    ROLES.TRIBUNAL_MEMBER,
+    ROLES.ADMIN
+  ),
   auditLog('PAJSM_ADVANCE_STAGE'),
+  validate(schemas.advanceStage),
+  async (req, res, next) => {
+    try {
+      const participant = await pajsmService.advanceStage(
+        req.params.id,
+        req.body.justification,
+        req.user
+      );
+      res.locals.auditDetails = { toStage: participant.stage };
+      res.json(participant);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Clinical confirmation of diagnosis and capacity to learn
+router.post(
+  '/:id/clinical-confirmation',
+  authorize(...CLINICAL_CONFIRMATION_ROLES),
+  auditLog('PAJSM_CLINICAL_CONFIRMATION'),
+  validate(schemas.confirmClinicalEligibility),
   async (req, res, next) => {
     try {
-      const participant = await pajsmService.advanceStage(req.params.id, req.user);
+      const participant = await pajsmService.confirmClinicalEligibility(
+        req.params.id,
+        req.body,
+        req.user
+      );
       res.json(participant);
     } catch (err) {
       next(err);
@@ -85,14 +289,16 @@ router.patch(
   }
 );
 
-// Withdraw
+// Withdraw, with a categorised reason and an effective date
 router.patch(
   '/:id/withdraw',
   authorize(ROLES.MENTAL_HEALTH_PROFESSIONAL, ROLES.PROSECUTOR, ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN),
   auditLog('PAJSM_WITHDRAW'),
+  validate(schemas.withdrawParticipant),
   async (req, res, next) => {
     try {
-      const participant = await pajsmService.withdraw(req.params.id, req.body.reason, req.user);
+      const participant = await pajsmService.withdraw(req.params.id, req.body, req.user);
+      res.locals.auditDetails = { reasonCategory: req.body.reason_category };
       res.json(participant);
     } catch (err) {
       next(err);
@@ -100,14 +306,72 @@ router.patch(
   }
 );
 
-// Revoke victim consent
+// Victim consent records and the status of the consent in force
+router.get(
+  '/:id/victim-consents',
+  auditLog('PAJSM_VIEW_VICTIM_CONSENTS'),
+  validate(byId),
+  async (req, res, next) => {
+    try {
+      const consents = await pajsmService.listVictimConsents(req.params.id, req.user);
+      res.json(consents);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Record or reconfirm victim consent
+router.post(
+  '/:id/victim-consents',
+  authorize(...VICTIM_CONSENT_ROLES),
+  auditLog('PAJSM_RECORD_VICTIM_CONSENT'),
+  validate(schemas.recordVictimConsent),
+  async (req, res, next) => {
+    try {
+      const consent = await pajsmService.recordVictimConsent(req.params.id, req.body, req.user);
+      res.locals.auditDetails = { consentId: consent.id, mode: consent.mode };
+      res.status(201).json(consent);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Revoke victim consent, returning the file to court
 router.patch(
   '/:id/revoke-consent',
-  authorize(ROLES.ADMIN),
+  authorize(...VICTIM_CONSENT_ROLES),
   auditLog('PAJSM_REVOKE_CONSENT'),
+  validate(schemas.revokeVictimConsent),
+  async (req, res, next) => {
+    try {
+      const participant = await pajsmService.revokeVictimConsent(
+        req.params.id,
+        req.body,
+        req.user
+      );
+      res.json(participant);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Reinstate a withdrawn or returned participant at the stage they left
+router.post(
+  '/:id/reinstate',
+  authorize(...REINSTATEMENT_ROLES),
+  auditLog('PAJSM_REINSTATE'),
+  validate(schemas.reinstateParticipant),
   async (req, res, next) => {
     try {
-      const participant = await pajsmService.revokeVictimConsent(req.params.id, req.user);
+      const participant = await pajsmService.reinstate(
+        req.params.id,
+        req.body.justification,
+        req.user
+      );
+      res.locals.auditDetails = { stage: participant.stage };
       res.json(participant);
     } catch (err) {
       next(err);
@@ -115,11 +379,42 @@ router.patch(
   }
 );
 
+router.get(
+  '/:id/outcomes',
+  auditLog('PAJSM_VIEW_OUTCOMES'),
+  validate(byId),
+  async (req, res, next) => {
+    try {
+      const outcomes = await pajsmService.listOutcomes(req.params.id, req.user);
+      res.json(outcomes);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Everything that happened during the program, for the prosecutor and the court
+router.get(
+  '/:id/court-package',
+  authorize(ROLES.PROSECUTOR, ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN),
+  auditLog('PAJSM_VIEW_COURT_PACKAGE'),
+  validate(byId),
+  async (req, res, next) => {
+    try {
+      const courtPackage = await pajsmService.getCourtPackage(req.params.id, req.user);
+      res.json(courtPackage);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 // Create intervention plan
 router.post(
   '/:id/intervention-plan',
   authorize(ROLES.MENTAL_HEALTH_PROFESSIONAL, ROLES.ADMIN),
   auditLog('PAJSM_CREATE_INTERVENTION_PLAN'),
+  validate(schemas.createInterventionPlan),
   async (req, res, next) => {
     try {
       const plan = await pajsmService.createInterventionPlan(req.params.id, req.body, req.user);
@@ -130,11 +425,93 @@ router.post(
   }
 );
 
+// Amend the intervention plan, creating a new version
+router.post(
+  '/:id/intervention-plan/amendments',
+  authorize(ROLES.MENTAL_HEALTH_PROFESSIONAL, ROLES.ADMIN),
+  auditLog('PAJSM_AMEND_INTERVENTION_PLAN'),
+  validate(schemas.amendInterventionPlan),
+  async (req, res, next) => {
+    try {
+      const plan = await pajsmService.amendInterventionPlan(req.params.id, req.body, req.user);
+      res.locals.auditDetails = { version: plan.version };
+      res.status(201).json(plan);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.get(
+  '/:id/intervention-plans',
+  auditLog('PAJSM_VIEW_INTERVENTION_PLANS'),
+  validate(byId),
+  async (req, res, next) => {
+    try {
+      const plans = await pajsmService.listInterventionPlans(req.params.id, req.user);
+      res.json(plans);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Where each plan objective stands, as reviewed at follow-up hearings
+router.get(
+  '/:id/plan-compliance',
+  auditLog('PAJSM_VIEW_PLAN_COMPLIANCE'),
+  validate(byId),
+  async (req, res, next) => {
+    try {
+      const compliance = await pajsmService.getPlanCompliance(req.params.id, req.user);
+      res.json(compliance);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Schedule a follow-up hearing through the tribunal's hearing scheduling
+router.post(
+  '/:id/follow-up-hearings',
+  authorize(ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN),
+  auditLog('PAJSM_SCHEDULE_FOLLOW_UP_HEARING'),
+  validate(schemas.scheduleFollowUpHearing),
+  async (req, res, next) => {
+    try {
+      const hearing = await pajsmService.scheduleFollowUpHearing(
+        req.params.id,
+        req.body,
+        req.user
+      );
+      res.locals.auditDetails = { hearingId: hearing.id };
+      res.status(201).json(hearing);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.get(
+  '/:id/follow-ups',
+  auditLog('PAJSM_VIEW_FOLLOW_UPS'),
+  validate(byId),
+  async (req, res, next) => {
+    try {
+      const followUps = await pajsmService.listFollowUps(req.params.id, req.user);
+      res.json(followUps);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 // Add follow-up
 router.post(
   '/:id/follow-ups',
   authorize(ROLES.TRIBUNAL_MEMBER, ROLES.MENTAL_HEALTH_PROFESSIONAL, ROLES.ADMIN),
   auditLog('PAJSM_ADD_FOLLOW_UP'),
+  validate(schemas.addFollowUp),
   async (req, res, next) => {
     try {
       const followUp = await pajsmService.addFollowUp(req.params.id, req.body, req.user);
@@ -145,4 +522,7 @@ router.post(
   }
 );
 
+router.use('/:id/documents', documentRoutes(DOCUMENT_PARENT_TYPES.PAJSM_PARTICIPANT));
+router.use('/:id/threads', threadRoutes(MESSAGE_PARENT_TYPES.PAJSM_PARTICIPANT));
+
 module.exports = router;
@@ -2,8 +2,16 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, authorize } = require('../middleware/auth');
 const { auditLog } = require('../middleware/auditLog');
+const { validate } = require('../middleware/validate');
+const { byId } = require('../schemas/common');
+const schemas = require('../schemas/referrals');
 const { ROLES } = require('../config/roles');
+const { DOCUMENT_PARENT_TYPES } = require('../config/documents');
+const { MESSAGE_PARENT_TYPES } = require('../config/messaging');
+const { documentRoutes } = require('./documents');
+const { threadRoutes } = require('./messages');
 const referralService = require('../services/referralService');
+const deadlineService = require('../services/deadlineService');
 
 router.use(authenticate);
 
@@ -11,6 +19,7 @@ router.post(
   '/',
   authorize(ROLES.POLICE_OFFICER, ROLES.REQUESTING_PARTY, ROLES.ADMIN),
   auditLog('CREATE_REFERRAL'),
+  validate(schemas.createReferral),
   async (req, res, next) => {
     try {
       const referral = await referralService.create(req.body, req.user);
@@ -21,31 +30,88 @@ router.post(
   }
 );
 
-router.get('/', auditLog('LIST_REFERRALS'), async (req, res, next) => {
-  try {
-    const referrals = await referralService.list(req.user);
-    res.json(referrals);
-  } catch (err) {
-    next(err);
+router.get(
+  '/',
+  auditLog('LIST_REFERRALS'),
+  validate(schemas.listReferrals),
+  async (req, res, next) => {
+    try {
+      const referrals = await referralService.list(req.user, req.query);
+      res.json(referrals);
+    } catch (err) {
+      next(err);
+    }
   }
-});
-
-router.get('/:id', auditLog('VIEW_REFERRAL'), async (req, res, next) => {
-  try {
-    const referral = await referralService.getById(req.params.id, req.user);
-    res.json(referral);
-  } catch (err) {
-    next(err);
+);
+
+router.get(
+  '/:id',
+  auditLog('VIEW_REFERRAL'),
+  validate(byId),
+  async (req, res, next) => {
+    try {
+      const referral = await referralService.getById(req.params.id, req.user);
+      const { deadlines, breached } = await deadlineService.forReferral(referral.id);
+      res.json({ ...referral, deadlines, deadlineBreached: breached });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
+router.get(
+  '/:id/history',
+  auditLog('VIEW_REFERRAL_HISTORY'),
+  validate(byId),
+  async (req, res, next) => {
+    try {
+      const history = await referralService.getStatusHistory(req.params.id, req.user);
+      res.json(history);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Per-transition role rules are enforced by referralService
 router.patch(
   '/:id/status',
-  authorize(ROLES.MENTAL_HEALTH_PROFESSIONAL, ROLES.PHYSICIAN, ROLES.ADMIN),
+  authorize(
+    ROLES.MENTAL_HEALTH_PROFESSIONAL,
+    ROLES.PHYSICIAN,
+    ROLES.POLICE_OFFICER,
+    ROLES.REQUESTING_PARTY,
+    ROLES.ADMIN
+  ),
   auditLog('UPDATE_REFERRAL_STATUS'),
+  validate(schemas.updateStatus),
+  async (req, res, next) => {
+    try {
+      const referral = await referralService.updateStatus(
+        req.params.id,
+        req.body.status,
+        req.body.reason,
+        req.user
+      );
+      res.json(referral);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.patch(
+  '/:id/assign',
+  authorize(ROLES.ADMIN),
+  auditLog('ASSIGN_REFERRAL_CLINICIAN'),
+  validate(schemas.assignClinician),
   async (req, res, next) => {
     try {
-      const referral = await referralService.updateStatus(req.params.id, req.body.status, req.user);
+      const referral = await referralService.assignClinician(
+        req.params.id,
+        req.body.clinicianId,
+        req.user
+      );
       res.json(referral);
     } catch (err) {
       next(err);
@@ -53,4 +119,7 @@ router.patch(
   }
 );
 
+router.use('/:id/documents', documentRoutes(DOCUMENT_PARENT_TYPES.REFERRAL));
+router.use('/:id/threads', threadRoutes(MESSAGE_PARENT_TYPES.REFERRAL));
+
 module.exports = router;
@@ -2,8 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, authorize } = require('../middleware/auth');
 const { auditLog } = require('../middleware/auditLog');
+const { validate } = require('../middleware/validate');
+const { byId } = require('../schemas/common');
+const schemas = require('../schemas/tribunals');
 const { ROLES } = require('../config/roles');
+const { DOCUMENT_PARENT_TYPES } = require('../config/documents');
+const { documentRoutes } = require('./documents');
 const tribunalService = require('../services/tribunalService');
+const schedulingService = require('../services/schedulingService');
 
 router.use(authenticate);
 
@@ -11,6 +17,7 @@ router.post(
   '/',
   authorize(ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN),
   auditLog('SCHEDULE_HEARING'),
+  validate(schemas.scheduleHearing),
   async (req, res, next) => {
     try {
       const hearing = await tribunalService.schedule(req.body, req.user);
@@ -21,16 +28,115 @@ router.post(
   }
 );
 
-router.get('/', auditLog('LIST_HEARINGS'), async (req, res, next) => {
-  try {
-    const hearings = await tribunalService.list(req.user);
-    res.json(hearings);
-  } catch (err) {
-    next(err);
+router.get(
+  '/rooms',
+  authorize(ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN),
+  auditLog('LIST_HEARING_ROOMS'),
+  async (req, res, next) => {
+    try {
+      res.json(await schedulingService.listRooms());
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
+
+router.post(
+  '/rooms',
+  authorize(ROLES.ADMIN),
+  auditLog('CREATE_HEARING_ROOM'),
+  validate(schemas.createRoom),
+  async (req, res, next) => {
+    try {
+      const room = await schedulingService.createRoom(req.body);
+      res.status(201).json(room);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.get(
+  '/availability',
+  authorize(ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN),
+  auditLog('LIST_PANEL_AVAILABILITY'),
+  validate(schemas.listAvailability),
+  async (req, res, next) => {
+    try {
+      const userId = req.query.userId || req.user.id;
+      res.json(await schedulingService.listAvailability(userId));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.post(
+  '/availability',
+  authorize(ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN),
+  auditLog('ADD_PANEL_AVAILABILITY'),
+  validate(schemas.addAvailability),
+  async (req, res, next) => {
+    try {
+      const availability = await schedulingService.addAvailability(req.body, req.user);
+      res.status(201).json(availability);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.delete(
+  '/availability/:id',
+  authorize(ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN),
+  auditLog('REMOVE_PANEL_AVAILABILITY'),
+  validate(byId),
+  async (req, res, next) => {
+    try {
+      await schedulingService.removeAvailability(req.params.id, req.user);
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.get(
+  '/slots/suggest',
+  authorize(ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN),
+  auditLog('SUGGEST_HEARING_SLOTS'),
+  validate(schemas.suggestSlots),
+  async (req, res, next) => {
+    try {
+      const slots = await schedulingService.suggestSlots({
+        panelMembers: req.query.panelMembers ? req.query.panelMembers.split(',') : [],
+        roomId: req.query.roomId,
+        durationMinutes: req.query.durationMinutes,
+        from: req.query.from,
+        count: req.query.count,
+      });
+      res.json(slots);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.get(
+  '/',
+  auditLog('LIST_HEARINGS'),
+  validate(schemas.listHearings),
+  async (req, res, next) => {
+    try {
+      const hearings = await tribunalService.list(req.user, req.query);
+      res.json(hearings);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
 
-router.get('/:id', auditLog('VIEW_HEARING'), async (req, res, next) => {
+router.get('/:id', auditLog('VIEW_HEARING'), validate(byId), async (req, res, next) => {
   try {
     const hearing = await tribunalService.getById(req.params.id, req.user);
     res.json(hearing);
@@ -39,10 +145,85 @@ router.get('/:id', auditLog('VIEW_HEARING'), async (req, res, next) => {
   }
 });
 
+router.get(
+  '/:id/adjournments',
+  auditLog('VIEW_HEARING_ADJOURNMENTS'),
+  validate(byId),
+  async (req, res, next) => {
+    try {
+      const chain = await tribunalService.getAdjournmentChain(req.params.id, req.user);
+      res.json(chain);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.patch(
+  '/:id/start',
+  authorize(ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN),
+  auditLog('START_HEARING'),
+  validate(byId),
+  async (req, res, next) => {
+    try {
+      const hearing = await tribunalService.start(req.params.id, req.user);
+      res.json(hearing);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.patch(
+  '/:id/adjourn',
+  authorize(ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN),
+  auditLog('ADJOURN_HEARING'),
+  validate(schemas.adjournHearing),
+  async (req, res, next) => {
+    try {
+      const result = await tribunalService.adjourn(req.params.id, req.body, req.user);
+      res.json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.patch(
+  '/:id/reschedule',
+  authorize(ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN),
+  auditLog('RESCHEDULE_HEARING'),
+  validate(schemas.rescheduleHearing),
+  async (req, res, next) => {
+    try {
+      const hearing = await tribunalService.reschedule(req.params.id, req.body, req.user);
+      res.json(hearing);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.patch(
+  '/:id/cancel',
+  authorize(ROLES.TRIBUNAL_MEMBER, ROLES.ADMIN),
+  auditLog('CANCEL_HEARING'),
+  validate(schemas.cancelHearing),
+  async (req, res, next) => {
+    try {
+      const hearing = await tribunalService.cancel(req.params.id, req.body, req.user);
+      res.json(hearing);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 router.patch(
   '/:id/decision',
   authorize(ROLES.TRIBUNAL_MEMBER),
   auditLog('RECORD_DECISION'),
+  validate(schemas.recordDecision),
   async (req, res, next) => {
     try {
       const hearing = await tribunalService.recordDecision(req.params.id, req.body, req.user);
@@ -53,4 +234,6 @@ router.patch(
   }
 );
 
+router.use('/:id/documents', documentRoutes(DOCUMENT_PARENT_TYPES.HEARING));
+
 module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { auditLog } = require('../middleware/auditLog');
+const { validate } = require('../middleware/validate');
+const { byId } = require('../schemas/common');
+const schemas = require('../schemas/users');
+const { ROLES } = require('../config/roles');
+const { USER_STATUSES } = require('../config/users');
+const authService = require('../services/authService');
+const userService = require('../services/userService');
+const mfaService = require('../services/mfaService');
+const loginProtection = require('../services/loginProtectionService');
+
+router.use(authenticate, authorize(ROLES.ADMIN));
+
+router.get('/', auditLog('LIST_USERS'), validate(schemas.listUsers), async (req, res, next) => {
+  try {
+    const users = await userService.list({
+      role: req.query.role,
+      organisation: req.query.organisation,
+      status: req.query.status,
+    });
+    res.json(users);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post(
+  '/invitations',
+  auditLog('INVITE_USER'),
+  validate(schemas.inviteUser),
+  async (req, res, next) => {
+    try {
+      const { changes, ...result } = await userService.invite(req.body, req.user);
+      res.locals.auditDetails = changes;
+      res.status(201).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.get('/:id', auditLog('VIEW_USER'), validate(byId), async (req, res, next) => {
+  try {
+    const user = await userService.getById(req.params.id);
+    res.json(user);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post(
+  '/:id/invitations',
+  auditLog('REISSUE_INVITATION'),
+  validate(byId),
+  async (req, res, next) => {
+    try {
+      const result = await userService.reissueInvitation(req.params.id, req.user);
+      res.status(201).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.patch(
+  '/:id/role',
+  auditLog('CHANGE_USER_ROLE'),
+  validate(schemas.changeRole),
+  async (req, res, next) => {
+    try {
+      const { user, changes } = await userService.changeRole(
+        req.params.id,
+        req.body.role,
+        req.user
+      );
+      res.locals.auditDetails = changes;
+      res.json(user);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.patch(
+  '/:id/approve',
+  auditLog('APPROVE_USER'),
+  validate(schemas.approveUser),
+  async (req, res, next) => {
+    try {
+      const { user, changes } = await userService.approve(req.params.id, req.body.role, req.user);
+      res.locals.auditDetails = changes;
+      res.json(user);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.patch(
+  '/:id/deactivate',
+  auditLog('DEACTIVATE_USER'),
+  validate(schemas.changeStatus),
+  async (req, res, next) => {
+    try {
+      const { user, changes } = await userService.changeStatus(
+        req.params.id,
+        USER_STATUSES.DEACTIVATED,
+        req.body.reason,
+        req.user
+      );
+      res.locals.auditDetails = changes;
+      res.json(user);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.patch(
+  '/:id/reactivate',
+  auditLog('REACTIVATE_USER'),
+  validate(schemas.changeStatus),
+  async (req, res, next) => {
+    try {
+      const { user, changes } = await userService.changeStatus(
+        req.params.id,
+        USER_STATUSES.ACTIVE,
+        req.body.reason,
+        req.user
+      );
+      res.locals.auditDetails = changes;
+      res.json(user);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.post('/:id/unlock', auditLog('UNLOCK_USER'), validate(byId), async (req, res, next) => {
+  try {
+    const result = await loginProtection.unlockAccount(req.params.id);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/:id/mfa', auditLog('RESET_USER_MFA'), validate(byId), async (req, res, next) => {
+  try {
+    const result = await mfaService.reset(req.params.id);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get(
+  '/:id/sessions',
+  auditLog('LIST_USER_SESSIONS'),
+  validate(byId),
+  async (req, res, next) => {
+    try {
+      const sessions = await authService.listSessions(req.params.id);
+      res.json(sessions);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.delete(
+  '/:id/sessions',
+  auditLog('REVOKE_USER_SESSIONS'),
+  validate(byId),
+  async (req, res, next) => {
+    try {
+      const result = await authService.revokeAllSessions(req.params.id);
+      res.json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const { object, string, uuid, oneOf, oneOfList, optional } = require('../utils/validation');
+const { RISK_LEVELS } = require('../config/assessments');
+const { pageQuery } = require('./common');
+
+const createAssessment = {
+  body: object({
+    referralId: uuid(),
+    findings: string({ minLength: 1, maxLength: 20000 }),
+    recommendation: string({ minLength: 1, maxLength: 20000 }),
+    riskLevel: optional(oneOf(RISK_LEVELS)),
+  }),
+};
+
+const listAssessments = {
+  query: object({
+    ...pageQuery,
+    referralId: optional(uuid()),
+    riskLevel: optional(oneOfList(RISK_LEVELS)),
+  }),
+};
+
+module.exports = { createAssessment, listAssessments };
@@ -0,0 +1,37 @@
+const {
+  object,
+  string,
+  integer,
+  boolean,
+  uuid,
+  dateTime,
+  optional,
+} = require('../utils/validation');
+
+const range = {
+  from: optional(dateTime()),
+  to: optional(dateTime()),
+  limit: optional(integer({ min: 1, max: 1000 })),
+  offset: optional(integer({ min: 0 })),
+};
+
+const queryAuditLog = {
+  query: object({
+    userId: optional(uuid()),
+    action: optional(string({ maxLength: 100 })),
+    resourceId: optional(string({ maxLength: 255 })),
+    ...range,
+  }),
+};
+
+const queryLoginAttempts = {
+  query: object({
+    email: optional(string({ maxLength: 255 })),
+    userId: optional(uuid()),
+    ipAddress: optional(string({ maxLength: 45 })),
+    success: optional(boolean()),
+    ...range,
+  }),
+};
+
+module.exports = { queryAuditLog, queryLoginAttempts };
@@ -0,0 +1,66 @@
+const { object, string, email, oneOf, optional, nullable } = require('../utils/validation');
+const { ROLES } = require('../config/roles');
+
+// Length and strength rules for new passwords are applied by passwordService,
+// which reports every failed rule at once; this only bounds the input size
+const password = string({ minLength: 1, maxLength: 1024 });
+const token = string({ minLength: 1, maxLength: 512 });
+const otpCode = string({ pattern: /^\d{6}$/ });
+
+const login = {
+  body: object({ email: email(), password }),
+};
+
+const verifyMfa = {
+  body: object({
+    mfaToken: token,
+    code: optional(otpCode),
+    recoveryCode: optional(string({ minLength: 1, maxLength: 64 })),
+  }),
+};
+
+const confirmMfaCode = {
+  body: object({ code: otpCode }),
+};
+
+const refresh = {
+  body: object({ refreshToken: token }),
+};
+
+const activate = {
+  body: object({ token, password }),
+};
+
+const changePassword = {
+  body: object({ currentPassword: password, newPassword: password }),
+};
+
+const forgotPassword = {
+  body: object({ email: email() }),
+};
+
+const resetPassword = {
+  body: object({ token, newPassword: password }),
+};
+
+const register = {
+  body: object({
+    name: string({ minLength: 1, maxLength: 255 }),
+    email: email(),
+    password,
+    role: oneOf(Object.values(ROLES)),
+    organisation: optional(nullable(string({ maxLength: 255 }))),
+  }),
+};
+
+module.exports = {
+  login,
+  verifyMfa,
+  confirmMfaCode,
+  refresh,
+  activate,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  register,
+};
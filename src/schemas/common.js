@@ -0,0 +1,16 @@
+const { object, uuid, integer, string, optional } = require('../utils/validation');
+const { MAX_PAGE_SIZE } = require('../config/pagination');
+
+const idParams = object({ id: uuid() });
+
+// For routes whose only input is the :id of the record
+const byId = { params: idParams };
+
+// Shared by every cursor-paginated list endpoint
+const pageQuery = {
+  limit: optional(integer({ min: 1, max: MAX_PAGE_SIZE })),
+  cursor: optional(string({ maxLength: 500 })),
+  sort: optional(string({ maxLength: 50 })),
+};
+
+module.exports = { idParams, byId, pageQuery };
@@ -0,0 +1,12 @@
+const { object, oneOfList, optional } = require('../utils/validation');
+const { DEADLINE_STATUSES } = require('../config/deadlines');
+const { pageQuery } = require('./common');
+
+const listDeadlines = {
+  query: object({
+    ...pageQuery,
+    status: optional(oneOfList(Object.values(DEADLINE_STATUSES))),
+  }),
+};
+
+module.exports = { listDeadlines };
@@ -0,0 +1,19 @@
+const { object, string, uuid, oneOf, optional } = require('../utils/validation');
+const { DOCUMENT_CATEGORIES, DOCUMENT_VISIBILITY } = require('../config/documents');
+const { idParams } = require('./common');
+
+// The file itself is the raw request body, so only the query is described here
+const uploadDocument = {
+  params: idParams,
+  query: object({
+    filename: string({ minLength: 1, maxLength: 255 }),
+    category: optional(oneOf(DOCUMENT_CATEGORIES)),
+    visibility: optional(oneOf(Object.values(DOCUMENT_VISIBILITY))),
+  }),
+};
+
+const downloadDocument = {
+  params: object({ id: uuid(), documentId: uuid() }),
+};
+
+module.exports = { uploadDocument, downloadDocument };
@@ -0,0 +1,26 @@
+const { object, string, boolean, uuid, optional } = require('../utils/validation');
+const { idParams } = require('./common');
+
+const messageBody = string({ minLength: 1, maxLength: 20000 });
+
+const createThread = {
+  params: idParams,
+  body: object({
+    subject: string({ minLength: 1, maxLength: 255 }),
+    body: messageBody,
+    internal: optional(boolean()),
+  }),
+};
+
+const threadParams = object({ id: uuid(), threadId: uuid() });
+
+const viewThread = {
+  params: threadParams,
+};
+
+const postMessage = {
+  params: threadParams,
+  body: object({ body: messageBody, internal: optional(boolean()) }),
+};
+
+module.exports = { createThread, viewThread, postMessage };
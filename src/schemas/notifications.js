@@ -0,0 +1,24 @@
+const { object, string, integer, boolean, array, optional } = require('../utils/validation');
+
+const listNotifications = {
+  query: object({
+    unread: optional(boolean()),
+    limit: optional(integer({ min: 1, max: 200 })),
+  }),
+};
+
+// Event types are checked against the notification templates by the service
+const updatePreferences = {
+  body: object({
+    preferences: array(
+      object({
+        eventType: string({ minLength: 1, maxLength: 100 }),
+        inApp: optional(boolean()),
+        email: optional(boolean()),
+      }),
+      { minItems: 1, maxItems: 100 }
+    ),
+  }),
+};
+
+module.exports = { listNotifications, updatePreferences };
@@ -0,0 +1,272 @@
+const {
+  object,
+  string,
+  boolean,
+  integer,
+  uuid,
+  dateTime,
+  oneOf,
+  oneOfList,
+  array,
+  optional,
+  nullable,
+} = require('../utils/validation');
+const {
+  VULNERABILITIES,
+  PROGRAM_STAGES,
+  PROGRAM_OUTCOMES,
+  OBJECTIVE_DOMAINS,
+  PROGRESS_STATUSES,
+} = require('../config/pajsm');
+const { WITHDRAWAL_REASON_CATEGORIES } = require('../config/pajsmWorkflow');
+const { idParams, pageQuery } = require('./common');
+
+const PROSECUTION_MODES = ['summary', 'indictment'];
+const VICTIM_CONSENT_MODES = ['written', 'verbal'];
+
+// Eligibility is a domain decision: missing criteria are reported in the
+// eligibility reasons rather than rejected as malformed input
+const eligibilityFields = {
+  vulnerabilities: optional(array(oneOf(Object.values(VULNERABILITIES)), { maxItems: 10 })),
+  diagnosed: optional(boolean()),
+  offence_category: optional(nullable(string({ maxLength: 100 }))),
+  prosecution_mode: optional(nullable(oneOf(PROSECUTION_MODES))),
+  accepts_responsibility: optional(boolean()),
+  is_voluntary: optional(boolean()),
+  waives_delay: optional(boolean()),
+  criminally_fit: optional(boolean()),
+  capacity_to_learn: optional(nullable(boolean())),
+  victim_consent: optional(nullable(boolean())),
+  victim_consent_mode: optional(nullable(oneOf(VICTIM_CONSENT_MODES))),
+};
+
+const district = string({ minLength: 1, maxLength: 255 });
+
+// District overrides may differ from the default rules of the rule set
+const checkEligibility = {
+  body: object({ ...eligibilityFields, district: optional(nullable(district)) }),
+};
+
+const referenceQuery = {
+  query: object({ district: optional(district) }),
+};
+
+const enrollParticipant = {
+  body: object({
+    ...eligibilityFields,
+    accused_name: string({ minLength: 1, maxLength: 255 }),
+    referral_id: optional(nullable(uuid())),
+    district: optional(nullable(district)),
+    offence_description: optional(nullable(string({ maxLength: 10000 }))),
+    assigned_clinician_id: optional(nullable(uuid())),
+    victim_services_worker_id: optional(nullable(uuid())),
+  }),
+};
+
+const listParticipants = {
+  query: object({
+    ...pageQuery,
+    stage: optional(oneOfList(PROGRAM_STAGES)),
+    district: optional(district),
+    outcome: optional(oneOfList(PROGRAM_OUTCOMES)),
+    vulnerability: optional(oneOfList(Object.values(VULNERABILITIES))),
+    accusedName: optional(string({ maxLength: 255 })),
+  }),
+};
+
+const advanceStage = {
+  params: idParams,
+  body: object({ justification: string({ minLength: 1, maxLength: 2000 }) }),
+};
+
+const confirmClinicalEligibility = {
+  params: idParams,
+  body: object({ diagnosed: boolean(), capacity_to_learn: boolean() }),
+};
+
+const outcomeReason = string({ minLength: 1, maxLength: 2000 });
+
+// effective_date defaults to now and may be backdated, never set in the future
+const withdrawParticipant = {
+  params: idParams,
+  body: object({
+    reason_category: oneOf(WITHDRAWAL_REASON_CATEGORIES),
+    reason: optional(outcomeReason),
+    effective_date: optional(dateTime()),
+  }),
+};
+
+// Written consent must link the signed form among the participant's documents
+const recordVictimConsent = {
+  params: idParams,
+  body: object({
+    given_by: string({ minLength: 1, maxLength: 255 }),
+    mode: oneOf(VICTIM_CONSENT_MODES),
+    document_id: optional(uuid()),
+    given_at: optional(dateTime()),
+    expires_at: optional(dateTime()),
+    victim_services_worker_id: optional(uuid()),
+  }),
+};
+
+const revokeVictimConsent = {
+  params: idParams,
+  body: object({
+    reason: outcomeReason,
+    effective_date: optional(dateTime()),
+  }),
+};
+
+const reinstateParticipant = {
+  params: idParams,
+  body: object({ justification: outcomeReason }),
+};
+
+const planDetails = optional(nullable(string({ maxLength: 20000 })));
+const objectiveTarget = string({ minLength: 1, maxLength: 2000 });
+const responsibleParty = string({ minLength: 1, maxLength: 255 });
+
+const objective = object({
+  domain: oneOf(OBJECTIVE_DOMAINS),
+  target: objectiveTarget,
+  responsible_party: optional(responsibleParty),
+  due_date: optional(dateTime()),
+});
+
+const createInterventionPlan = {
+  params: idParams,
+  body: object({
+    plan_details: planDetails,
+    objectives: optional(array(objective, { maxItems: 50 })),
+  }),
+};
+
+// Objectives are added, changed or retired by id; the domain of an existing
+// objective does not change. An explicit null clears an optional field.
+const amendInterventionPlan = {
+  params: idParams,
+  body: object({
+    reason: string({ minLength: 1, maxLength: 2000 }),
+    plan_details: planDetails,
+    add: optional(array(objective, { maxItems: 50 })),
+    update: optional(
+      array(
+        object({
+          id: uuid(),
+          target: optional(objectiveTarget),
+          responsible_party: optional(nullable(responsibleParty)),
+          due_date: optional(nullable(dateTime())),
+        }),
+        { maxItems: 50 }
+      )
+    ),
+    retire: optional(array(uuid(), { maxItems: 50 })),
+  }),
+};
+
+const offenceCategories = array(string({ minLength: 1, maxLength: 100 }), { maxItems: 100 });
+const ruleLists = {
+  vulnerabilities: array(oneOf(Object.values(VULNERABILITIES)), { minItems: 1 }),
+  absoluteExclusions: offenceCategories,
+  summaryEligibleExceptions: offenceCategories,
+};
+
+const createRuleSet = {
+  body: object({
+    description: optional(string({ maxLength: 2000 })),
+    effectiveFrom: optional(dateTime()),
+    ...ruleLists,
+    districtOverrides: optional(
+      array(
+        object({
+          district,
+          vulnerabilities: optional(ruleLists.vulnerabilities),
+          absoluteExclusions: optional(offenceCategories),
+          summaryEligibleExceptions: optional(offenceCategories),
+        }),
+        { maxItems: 100 }
+      )
+    ),
+  }),
+};
+
+const ruleSetParams = object({ version: integer({ min: 1 }) });
+
+const byRuleSetVersion = {
+  params: ruleSetParams,
+};
+
+const previewRuleSet = {
+  params: ruleSetParams,
+  query: object({
+    district: optional(district),
+    enrolledFrom: optional(dateTime()),
+    enrolledTo: optional(dateTime()),
+    limit: optional(integer({ min: 1, max: 1000 })),
+  }),
+};
+
+// A follow-up either completes the one created with a follow-up hearing
+// (hearing_id and appeared) or stands alone with its own follow_up_date
+const addFollowUp = {
+  params: idParams,
+  body: object({
+    hearing_id: optional(uuid()),
+    appeared: optional(boolean()),
+    follow_up_date: optional(dateTime()),
+    notes: optional(nullable(string({ maxLength: 20000 }))),
+    progress: optional(
+      array(
+        object({
+          objective_id: uuid(),
+          status: oneOf(Object.values(PROGRESS_STATUSES)),
+          note: optional(string({ maxLength: 2000 })),
+        }),
+        { maxItems: 50 }
+      )
+    ),
+  }),
+};
+
+// Same booking options as any other hearing
+const scheduleFollowUpHearing = {
+  params: idParams,
+  body: object({
+    scheduledDate: dateTime(),
+    location: optional(string({ minLength: 1, maxLength: 255 })),
+    panelMembers: optional(array(uuid(), { maxItems: 10 })),
+    roomId: optional(nullable(uuid())),
+    durationMinutes: optional(integer({ min: 5, max: 8 * 60 })),
+    allowConflicts: optional(boolean()),
+  }),
+};
+
+const docketQuery = {
+  query: object({
+    date: string({ pattern: /^\d{4}-\d{2}-\d{2}$/ }),
+    district: optional(district),
+  }),
+};
+
+module.exports = {
+  PROSECUTION_MODES,
+  VICTIM_CONSENT_MODES,
+  checkEligibility,
+  referenceQuery,
+  enrollParticipant,
+  listParticipants,
+  advanceStage,
+  confirmClinicalEligibility,
+  withdrawParticipant,
+  recordVictimConsent,
+  revokeVictimConsent,
+  reinstateParticipant,
+  createInterventionPlan,
+  amendInterventionPlan,
+  addFollowUp,
+  scheduleFollowUpHearing,
+  docketQuery,
+  createRuleSet,
+  byRuleSetVersion,
+  previewRuleSet,
+};
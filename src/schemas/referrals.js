@@ -0,0 +1,47 @@
+const {
+  object,
+  string,
+  uuid,
+  dateTime,
+  oneOf,
+  oneOfList,
+  optional,
+  nullable,
+} = require('../utils/validation');
+const { REFERRAL_STATUSES, REFERRAL_URGENCIES } = require('../config/referralWorkflow');
+const { idParams, pageQuery } = require('./common');
+
+const createReferral = {
+  body: object({
+    patientName: string({ minLength: 1, maxLength: 255 }),
+    incidentSummary: string({ minLength: 1, maxLength: 10000 }),
+    urgency: oneOf(REFERRAL_URGENCIES),
+    respondentId: optional(nullable(uuid())),
+  }),
+};
+
+const listReferrals = {
+  query: object({
+    ...pageQuery,
+    status: optional(oneOfList(Object.values(REFERRAL_STATUSES))),
+    urgency: optional(oneOfList(REFERRAL_URGENCIES)),
+    createdFrom: optional(dateTime()),
+    createdTo: optional(dateTime()),
+    patientName: optional(string({ maxLength: 255 })),
+  }),
+};
+
+const updateStatus = {
+  params: idParams,
+  body: object({
+    status: oneOf(Object.values(REFERRAL_STATUSES)),
+    reason: optional(string({ minLength: 1, maxLength: 2000 })),
+  }),
+};
+
+const assignClinician = {
+  params: idParams,
+  body: object({ clinicianId: uuid() }),
+};
+
+module.exports = { createReferral, listReferrals, updateStatus, assignClinician };
@@ -0,0 +1,121 @@
+const {
+  object,
+  string,
+  integer,
+  boolean,
+  uuid,
+  dateTime,
+  oneOf,
+  oneOfList,
+  array,
+  optional,
+  nullable,
+} = require('../utils/validation');
+const { HEARING_STATUSES } = require('../config/hearingWorkflow');
+const { AVAILABILITY_KINDS } = require('../config/scheduling');
+const { idParams, pageQuery } = require('./common');
+
+const durationMinutes = integer({ min: 5, max: 8 * 60 });
+
+const scheduleHearing = {
+  body: object({
+    referralId: uuid(),
+    scheduledDate: dateTime(),
+    location: optional(string({ minLength: 1, maxLength: 255 })),
+    panelMembers: optional(array(uuid(), { maxItems: 10 })),
+    roomId: optional(nullable(uuid())),
+    durationMinutes: optional(durationMinutes),
+    allowConflicts: optional(boolean()),
+  }),
+};
+
+const listHearings = {
+  query: object({
+    ...pageQuery,
+    status: optional(oneOfList(Object.values(HEARING_STATUSES))),
+    from: optional(dateTime()),
+    to: optional(dateTime()),
+    location: optional(string({ maxLength: 255 })),
+    roomId: optional(uuid()),
+    referralId: optional(uuid()),
+  }),
+};
+
+const adjournHearing = {
+  params: idParams,
+  body: object({
+    reason: string({ minLength: 1, maxLength: 2000 }),
+    newDate: dateTime(),
+    allowConflicts: optional(boolean()),
+  }),
+};
+
+const rescheduleHearing = {
+  params: idParams,
+  body: object({
+    scheduledDate: dateTime(),
+    roomId: optional(uuid()),
+    durationMinutes: optional(durationMinutes),
+    location: optional(string({ minLength: 1, maxLength: 255 })),
+    allowConflicts: optional(boolean()),
+  }),
+};
+
+const cancelHearing = {
+  params: idParams,
+  body: object({ reason: string({ minLength: 1, maxLength: 2000 }) }),
+};
+
+const recordDecision = {
+  params: idParams,
+  body: object({
+    decision: string({ minLength: 1, maxLength: 50 }),
+    notes: optional(string({ maxLength: 20000 })),
+  }),
+};
+
+const createRoom = {
+  body: object({
+    name: string({ minLength: 1, maxLength: 255 }),
+    location: string({ minLength: 1, maxLength: 255 }),
+    capacity: optional(nullable(integer({ min: 1 }))),
+  }),
+};
+
+const listAvailability = {
+  query: object({ userId: optional(uuid()) }),
+};
+
+const addAvailability = {
+  body: object({
+    userId: optional(uuid()),
+    kind: oneOf(AVAILABILITY_KINDS),
+    startsAt: dateTime(),
+    endsAt: dateTime(),
+    reason: optional(string({ maxLength: 2000 })),
+  }),
+};
+
+// panelMembers arrives as a comma-separated list of user ids
+const suggestSlots = {
+  query: object({
+    panelMembers: optional(string({ pattern: /^[0-9a-f-]{36}(,[0-9a-f-]{36})*$/i })),
+    roomId: optional(uuid()),
+    durationMinutes: optional(durationMinutes),
+    from: optional(dateTime()),
+    count: optional(integer({ min: 1, max: 50 })),
+  }),
+};
+
+module.exports = {
+  scheduleHearing,
+  listHearings,
+  adjournHearing,
+  rescheduleHearing,
+  cancelHearing,
+  recordDecision,
+  createRoom,
+  listAvailability,
+  addAvailability,
+  suggestSlots,
+};
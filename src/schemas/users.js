@@ -0,0 +1,40 @@
+const { object, string, email, oneOf, optional, nullable } = require('../utils/validation');
+const { ROLES } = require('../config/roles');
+const { USER_STATUSES } = require('../config/users');
+const { idParams } = require('./common');
+
+const role = oneOf(Object.values(ROLES));
+
+const listUsers = {
+  query: object({
+    role: optional(role),
+    organisation: optional(string({ maxLength: 255 })),
+    status: optional(oneOf(Object.values(USER_STATUSES))),
+  }),
+};
+
+const inviteUser = {
+  body: object({
+    name: string({ minLength: 1, maxLength: 255 }),
+    email: email(),
+    role,
+    organisation: optional(nullable(string({ maxLength: 255 }))),
+  }),
+};
+
+const changeRole = {
+  params: idParams,
+  body: object({ role }),
+};
+
+const approveUser = {
+  params: idParams,
+  body: object({ role: optional(role) }),
+};
+
+const changeStatus = {
+  params: idParams,
+  body: object({ reason: optional(string({ minLength: 1, maxLength: 2000 })) }),
+};
+
+module.exports = { listUsers, inviteUser, changeRole, approveUser, changeStatus };
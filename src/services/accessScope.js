@@ -0,0 +1,90 @@
+const { ROLES } = require('../config/roles');
+
+// Each helper returns a SQL condition restricting the aliased table to the
+// rows the user may see, appending any bind values to `params`. Callers
+// treat a row outside the scope exactly like a missing row (404).
+
+const CLINICIAN_ROLES = [ROLES.MENTAL_HEALTH_PROFESSIONAL, ROLES.PHYSICIAN];
+
+// A user given as { role, idColumn } is matched through that SQL column
+// rather than a bound id, to find every user of the role within the scope
+function bindUser(user, params) {
+  if (user.idColumn) return user.idColumn;
+  params.push(user.id);
+  return `$${params.length}`;
+}
+
+function referralScope(user, alias, params) {
+  switch (user.role) {
+    case ROLES.ADMIN:
+      return 'TRUE';
+    case ROLES.POLICE_OFFICER:
+    case ROLES.REQUESTING_PARTY:
+      return `${alias}.referred_by = ${bindUser(user, params)}`;
+    case ROLES.RESPONDENT:
+      return `${alias}.respondent_id = ${bindUser(user, params)}`;
+    case ROLES.MENTAL_HEALTH_PROFESSIONAL:
+    case ROLES.PHYSICIAN:
+      return `${alias}.assigned_clinician_id = ${bindUser(user, params)}`;
+    case ROLES.TRIBUNAL_MEMBER:
+      return `EXISTS (SELECT 1 FROM hearings sh WHERE sh.referral_id = ${alias}.id
+        AND sh.panel_members @> jsonb_build_array(${bindUser(user, params)}::text))`;
+    case ROLES.PROSECUTOR:
+      return `EXISTS (SELECT 1 FROM pajsm_participants sp WHERE sp.referral_id = ${alias}.id)`;
+    default:
+      return 'FALSE';
+  }
+}
+
+function viaReferral(user, column, params) {
+  return `EXISTS (SELECT 1 FROM referrals sr WHERE sr.id = ${column}
+    AND ${referralScope(user, 'sr', params)})`;
+}
+
+// PAJ-SM+ follow-up hearings are also visible to whoever can see the participant
+function hearingScope(user, alias, params) {
+  if (user.role === ROLES.ADMIN) return 'TRUE';
+  if (user.role === ROLES.TRIBUNAL_MEMBER) {
+    return `${alias}.panel_members @> jsonb_build_array(${bindUser(user, params)}::text)`;
+  }
+  return `(${viaReferral(user, `${alias}.referral_id`, params)} OR EXISTS (
+    SELECT 1 FROM pajsm_participants sp WHERE sp.id = ${alias}.pajsm_participant_id
+    AND ${pajsmScope(user, 'sp', params)}))`;
+}
+
+function assessmentScope(user, alias, params) {
+  if (user.role === ROLES.ADMIN) return 'TRUE';
+  if (CLINICIAN_ROLES.includes(user.role)) {
+    const userParam = bindUser(user, params);
+    return `(${alias}.assessed_by = ${userParam} OR EXISTS (SELECT 1 FROM referrals sr
+      WHERE sr.id = ${alias}.referral_id AND sr.assigned_clinician_id = ${userParam}))`;
+  }
+  return viaReferral(user, `${alias}.referral_id`, params);
+}
+
+function pajsmScope(user, alias, params) {
+  if (user.role === ROLES.ADMIN || user.role === ROLES.PROSECUTOR) return 'TRUE';
+  if (CLINICIAN_ROLES.includes(user.role)) {
+    const userParam = bindUser(user, params);
+    return `(${alias}.assigned_clinician_id = ${userParam} OR EXISTS (SELECT 1 FROM referrals sr
+      WHERE sr.id = ${alias}.referral_id AND sr.assigned_clinician_id = ${userParam}))`;
+  }
+  if (user.role === ROLES.VICTIM_SERVICES_WORKER) {
+    return `${alias}.victim_services_worker_id = ${bindUser(user, params)}`;
+  }
+  // Panel members see the participants whose follow-up hearings they sit on
+  if (user.role === ROLES.TRIBUNAL_MEMBER) {
+    return `(EXISTS (SELECT 1 FROM hearings sh WHERE sh.pajsm_participant_id = ${alias}.id
+      AND sh.panel_members @> jsonb_build_array(${bindUser(user, params)}::text))
+      OR ${viaReferral(user, `${alias}.referral_id`, params)})`;
+  }
+  return viaReferral(user, `${alias}.referral_id`, params);
+}
+
+module.exports = {
+  CLINICIAN_ROLES,
+  referralScope,
+  hearingScope,
+  assessmentScope,
+  pajsmScope,
+};
@@ -1,30 +1,75 @@
 const { pool } = require('../config/db');
 const { v4: uuidv4 } = require('uuid');
+const { assessmentScope } = require('./accessScope');
+const referralService = require('./referralService');
+const { encryptRow, decryptRow } = require('../utils/fieldEncryption');
+const { RISK_LEVELS } = require('../config/assessments');
+const { ASSESSMENT_SORT_FIELDS } = require('../config/pagination');
+const { parsePage, keyset, toPage, parseEnumFilter } = require('../utils/listQuery');
+
+const decrypt = (row) => decryptRow('assessments', row);
 
 async function create(data, user) {
+  // The assessor must be able to see the referral being assessed
+  await referralService.getById(data.referralId, user);
+
   const id = uuidv4();
+  const sensitive = encryptRow('assessments', {
+    findings: data.findings,
+    recommendation: data.recommendation,
+  });
   const { rows } = await pool.query(
     `INSERT INTO assessments (id, referral_id, assessed_by, findings, recommendation, risk_level)
      VALUES ($1, $2, $3, $4, $5, $6)
      RETURNING *`,
-    [id, data.referralId, user.id, data.findings, data.recommendation, data.riskLevel]
+    [id, data.referralId, user.id, sensitive.findings, sensitive.recommendation, data.riskLevel]
   );
-  return rows[0];
+  return decrypt(rows[0]);
 }
 
-async function list(user) {
-  const { rows } = await pool.query('SELECT * FROM assessments ORDER BY created_at DESC');
-  return rows;
+async function list(user, filters = {}) {
+  const page = parsePage(filters, ASSESSMENT_SORT_FIELDS, '-created_at');
+  const riskLevels = parseEnumFilter(filters.riskLevel, RISK_LEVELS, 'riskLevel');
+
+  const params = [];
+  const conditions = [assessmentScope(user, 'a', params)];
+
+  if (filters.referralId) {
+    params.push(filters.referralId);
+    conditions.push(`a.referral_id = $${params.length}`);
+  }
+  if (riskLevels) {
+    params.push(riskLevels);
+    conditions.push(`a.risk_level = ANY($${params.length})`);
+  }
+
+  const order = keyset(page, ASSESSMENT_SORT_FIELDS, 'a', params);
+  if (order.condition) conditions.push(order.condition);
+  params.push(page.limit + 1);
+
+  const { rows } = await pool.query(
+    `SELECT a.*, ${order.sortKey} FROM assessments a
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY ${order.orderBy}
+     LIMIT $${params.length}`,
+    params
+  );
+  return toPage(rows, page, decrypt);
 }
 
 async function getById(id, user) {
-  const { rows } = await pool.query('SELECT * FROM assessments WHERE id = $1', [id]);
+  const params = [id];
+  const scope = assessmentScope(user, 'a', params);
+  const { rows } = await pool.query(
+    `SELECT a.* FROM assessments a WHERE a.id = $1 AND ${scope}`,
+    params
+  );
   if (!rows[0]) {
     const err = new Error('Assessment not found');
     err.statusCode = 404;
     throw err;
   }
-  return rows[0];
+  return decrypt(rows[0]);
 }
 
 module.exports = { create, list, getById };
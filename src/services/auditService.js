@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { pool, withTransaction } = require('../config/db');
+
+// Arbitrary constant used to serialise appends to the hash chain
+const AUDIT_CHAIN_LOCK = 7341001;
+const VERIFY_BATCH_SIZE = 1000;
+
+// Key-sorted serialisation, so details read back from JSONB (which reorders
+// keys) hash to the same value they were written with. Otherwise it follows
+// JSON.stringify, which is how the details are stored: dates become ISO
+// strings and undefined keys are dropped.
+function canonicalJson(value) {
+  if (value && typeof value.toJSON === 'function') return canonicalJson(value.toJSON());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function computeHash(entry, prevHash) {
+  const fields = [
+    prevHash || null,
+    entry.action,
+    entry.userId || null,
+    entry.role || null,
+    entry.method || null,
+    entry.path || null,
+    entry.resourceId || null,
+    entry.statusCode ?? null,
+    entry.ipAddress || null,
+    entry.createdAt,
+  ];
+  // Details were added later; entries without them keep their original hash
+  if (entry.details) fields.push(entry.details);
+  const payload = canonicalJson(fields);
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+function rowToEntry(row) {
+  return {
+    action: row.action,
+    userId: row.user_id,
+    role: row.role,
+    method: row.method,
+    path: row.path,
+    resourceId: row.resource_id,
+    statusCode: row.status_code,
+    ipAddress: row.ip_address,
+    createdAt: new Date(row.created_at).toISOString(),
+    details: row.details || null,
+  };
+}
+
+async function record(entry) {
+  const createdAt = entry.createdAt || new Date().toISOString();
+
+  return withTransaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [AUDIT_CHAIN_LOCK]);
+
+    const { rows: last } = await client.query(
+      'SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1'
+    );
+    const prevHash = last[0] ? last[0].hash : null;
+    const hash = computeHash({ ...entry, createdAt }, prevHash);
+
+    const { rows } = await client.query(
+      `INSERT INTO audit_log
+        (action, user_id, role, method, path, resource_id, status_code, ip_address,
+         created_at, prev_hash, hash, details)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+       RETURNING *`,
+      [
+        entry.action,
+        entry.userId || null,
+        entry.role || null,
+        entry.method || null,
+        entry.path || null,
+        entry.resourceId || null,
+        entry.statusCode ?? null,
+        entry.ipAddress || null,
+        createdAt,
+        prevHash,
+        hash,
+        entry.details ? JSON.stringify(entry.details) : null,
+      ]
+    );
+    return rows[0];
+  });
+}
+
+async function query(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.userId) {
+    params.push(filters.userId);
+    conditions.push(`user_id = $${params.length}`);
+  }
+  if (filters.action) {
+    params.push(filters.action);
+    conditions.push(`action = $${params.length}`);
+  }
+  if (filters.resourceId) {
+    params.push(filters.resourceId);
+    conditions.push(`resource_id = $${params.length}`);
+  }
+  if (filters.from) {
+    params.push(filters.from);
+    conditions.push(`created_at >= $${params.length}`);
+  }
+  if (filters.to) {
+    params.push(filters.to);
+    conditions.push(`created_at <= $${params.length}`);
+  }
+
+  const limit = Math.min(parseInt(filters.limit, 10) || 100, 1000);
+  const offset = parseInt(filters.offset, 10) || 0;
+  params.push(limit, offset);
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { rows } = await pool.query(
+    `SELECT * FROM audit_log ${where}
+     ORDER BY id DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+// Walks the whole chain in insertion order and recomputes every hash.
+// Any edited, inserted or deleted row breaks the link to its successor.
+async function verify() {
+  let lastId = 0;
+  let prevHash = null;
+  let checked = 0;
+
+  for (;;) {
+    const { rows } = await pool.query(
+      'SELECT * FROM audit_log WHERE id > $1 ORDER BY id ASC LIMIT $2',
+      [lastId, VERIFY_BATCH_SIZE]
+    );
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      if ((row.prev_hash || null) !== prevHash) {
+        return { valid: false, entriesChecked: checked, firstInvalidId: row.id, reason: 'broken_link' };
+      }
+      if (computeHash(rowToEntry(row), prevHash) !== row.hash) {
+        return { valid: false, entriesChecked: checked, firstInvalidId: row.id, reason: 'hash_mismatch' };
+      }
+      prevHash = row.hash;
+      lastId = row.id;
+      checked++;
+    }
+  }
+
+  return { valid: true, entriesChecked: checked, firstInvalidId: null, reason: null };
+}
+
+module.exports = { computeHash, record, query, verify };
@@ -1,33 +1,260 @@
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { pool } = require('../config/db');
+const { v4: uuidv4 } = require('uuid');
+const { pool, withTransaction } = require('../config/db');
+const {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  SESSION_REVOCATION_REASONS,
+} = require('../config/auth');
+const { USER_STATUSES } = require('../config/users');
+const { BCRYPT_ROUNDS } = require('../config/passwordPolicy');
+const { MFA_REQUIRED_ROLES, MFA_PENDING_TOKEN_TTL } = require('../config/mfa');
+const { LOGIN_FAILURE_REASONS } = require('../config/loginProtection');
+const loginProtection = require('./loginProtectionService');
+const { logger } = require('../utils/logger');
+
+const TOKEN_TYPES = { ACCESS: 'access', MFA_PENDING: 'mfa_pending' };
+
+function unauthorized(message) {
+  const err = new Error(message);
+  err.statusCode = 401;
+  return err;
+}
+
+// Compared against when there is no account or no password yet, so a failed
+// login takes as long whether or not the email is registered
+let dummyPasswordHash = null;
+function passwordHashFor(user) {
+  if (user && user.password_hash) return user.password_hash;
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = bcrypt.hash(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+  }
+  return dummyPasswordHash;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function refreshExpiry(now = new Date()) {
+  return new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Decides what a presented refresh token means. A token that was already
+// exchanged is only ever presented again by someone holding a stolen copy
+function assessRefreshToken(record, now = new Date()) {
+  if (!record) return 'invalid';
+  if (record.revoked_at) return 'revoked';
+  if (record.used_at) return 'reused';
+  if (new Date(record.expires_at) <= now || new Date(record.session_expires_at) <= now) {
+    return 'expired';
+  }
+  return 'valid';
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId, typ: TOKEN_TYPES.ACCESS },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Proves the password step only; authenticate rejects it everywhere except
+// the MFA verification and enrolment endpoints
+function signMfaPendingToken(user) {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, typ: TOKEN_TYPES.MFA_PENDING },
+    process.env.JWT_SECRET,
+    { expiresIn: MFA_PENDING_TOKEN_TTL }
+  );
+}
+
+function verifyMfaPendingToken(token) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    if (payload.typ === TOKEN_TYPES.MFA_PENDING) return payload;
+  } catch {
+    // fall through to the shared error
+  }
+  throw unauthorized('Invalid or expired MFA token');
+}
+
+async function issueRefreshToken(db, sessionId) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await db.query(
+    `INSERT INTO refresh_tokens (id, session_id, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [uuidv4(), sessionId, hashToken(token), refreshExpiry()]
+  );
+  return token;
+}
+
+async function login(email, password, context = {}) {
+  await loginProtection.guard(email, context);
 
-async function login(email, password) {
   const { rows } = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
   const user = rows[0];
 
-  if (!user || !(await bcrypt.compare(password, user.password_hash))) {
-    const err = new Error('Invalid credentials');
-    err.statusCode = 401;
+  const matches = await bcrypt.compare(password || '', await passwordHashFor(user));
+  if (!user || !user.password_hash || !matches) {
+    await loginProtection.recordFailure(email, LOGIN_FAILURE_REASONS.INVALID_CREDENTIALS, {
+      ...context,
+      userId: user && user.id,
+    });
+    throw unauthorized('Invalid credentials');
+  }
+  if (user.status !== USER_STATUSES.ACTIVE) {
+    await loginProtection.recordFailure(email, LOGIN_FAILURE_REASONS.ACCOUNT_INACTIVE, {
+      ...context,
+      userId: user.id,
+    });
+    const err = new Error('Account is not active');
+    err.statusCode = 403;
     throw err;
   }
 
-  const token = jwt.sign(
-    { id: user.id, email: user.email, role: user.role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '8h' }
+  // For MFA users the failure counter is only cleared once the second factor
+  // succeeds, so a known password cannot be used to reset MFA guessing
+  if (user.mfa_enabled) {
+    return { mfaRequired: true, mfaToken: signMfaPendingToken(user) };
+  }
+  if (MFA_REQUIRED_ROLES.includes(user.role)) {
+    return { mfaEnrollmentRequired: true, mfaToken: signMfaPendingToken(user) };
+  }
+
+  await loginProtection.recordSuccess(email, { ...context, userId: user.id });
+  return startSession(user, context);
+}
+
+async function startSession(user, context = {}) {
+  const sessionId = uuidv4();
+  const refreshToken = await withTransaction(async (client) => {
+    await client.query(
+      `INSERT INTO auth_sessions (id, user_id, ip_address, user_agent, expires_at)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [sessionId, user.id, context.ipAddress, context.userAgent, refreshExpiry()]
+    );
+    return issueRefreshToken(client, sessionId);
+  });
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken,
+    user: { id: user.id, email: user.email, role: user.role },
+  };
+}
+
+async function revokeSession(db, sessionId, reason) {
+  await db.query(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $1
+     WHERE id = $2 AND revoked_at IS NULL`,
+    [reason, sessionId]
   );
+}
+
+// Exchanges a refresh token for a new access/refresh pair. The old refresh
+// token is spent; presenting it again revokes the whole session
+async function refresh(refreshToken) {
+  if (!refreshToken) throw unauthorized('Refresh token required');
+
+  const outcome = await withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `SELECT t.*, s.user_id, s.revoked_at, s.expires_at AS session_expires_at
+       FROM refresh_tokens t JOIN auth_sessions s ON s.id = t.session_id
+       WHERE t.token_hash = $1
+       FOR UPDATE OF t, s`,
+      [hashToken(refreshToken)]
+    );
+    const record = rows[0];
+    const state = assessRefreshToken(record);
+
+    if (state === 'reused') {
+      await revokeSession(client, record.session_id, SESSION_REVOCATION_REASONS.REFRESH_TOKEN_REUSE);
+      return { state, record };
+    }
+    if (state !== 'valid') return { state };
 
-  return { token, user: { id: user.id, email: user.email, role: user.role } };
+    await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1', [record.id]);
+    await client.query('UPDATE auth_sessions SET last_used_at = NOW() WHERE id = $1', [
+      record.session_id,
+    ]);
+
+    // Re-read the user so role and status changes take effect on the next access token
+    const { rows: users } = await client.query(
+      'SELECT id, email, role, status FROM users WHERE id = $1',
+      [record.user_id]
+    );
+    if (users[0].status !== USER_STATUSES.ACTIVE) return { state: 'inactive' };
+
+    return {
+      state,
+      token: signAccessToken(users[0], record.session_id),
+      refreshToken: await issueRefreshToken(client, record.session_id),
+    };
+  });
+
+  if (outcome.state === 'reused') {
+    logger.warn({
+      message: 'Refresh token reuse detected, session revoked',
+      sessionId: outcome.record.session_id,
+      userId: outcome.record.user_id,
+    });
+  }
+  if (outcome.state !== 'valid') throw unauthorized('Invalid or expired refresh token');
+
+  return { token: outcome.token, refreshToken: outcome.refreshToken };
+}
+
+async function logout(user) {
+  await revokeSession(pool, user.sid, SESSION_REVOCATION_REASONS.LOGOUT);
 }
 
-async function register({ name, email, password, role }) {
-  const passwordHash = await bcrypt.hash(password, 12);
+async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
   const { rows } = await pool.query(
-    'INSERT INTO users (name, email, password_hash, role) VALUES ($1, $2, $3, $4) RETURNING id, name, email, role',
-    [name, email, passwordHash, role]
+    'SELECT revoked_at, expires_at FROM auth_sessions WHERE id = $1',
+    [sessionId]
+  );
+  return Boolean(rows[0] && !rows[0].revoked_at && new Date(rows[0].expires_at) > new Date());
+}
+
+async function listSessions(userId) {
+  const { rows } = await pool.query(
+    `SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at, revoked_at,
+       revoked_reason
+     FROM auth_sessions WHERE user_id = $1 ORDER BY created_at DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+// exceptSessionId keeps the caller's own session alive, e.g. after a password change
+async function revokeAllSessions(
+  userId,
+  reason = SESSION_REVOCATION_REASONS.ADMIN,
+  exceptSessionId = null
+) {
+  const { rowCount } = await pool.query(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $1
+     WHERE user_id = $2 AND revoked_at IS NULL AND ($3::uuid IS NULL OR id <> $3::uuid)`,
+    [reason, userId, exceptSessionId]
   );
-  return rows[0];
+  return { revoked: rowCount };
 }
 
-module.exports = { login, register };
+module.exports = {
+  TOKEN_TYPES,
+  hashToken,
+  assessRefreshToken,
+  verifyMfaPendingToken,
+  login,
+  startSession,
+  refresh,
+  logout,
+  isSessionActive,
+  listSessions,
+  revokeAllSessions,
+};
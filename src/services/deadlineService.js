@@ -0,0 +1,141 @@
+const { pool } = require('../config/db');
+const {
+  DEADLINE_STATUSES,
+  AT_RISK_THRESHOLD,
+  loadDeadlineRules,
+} = require('../config/deadlines');
+const { TERMINAL_REFERRAL_STATUSES } = require('../config/referralWorkflow');
+const { REFERRAL_SORT_FIELDS, MAX_PAGE_SIZE } = require('../config/pagination');
+const { referralScope } = require('./accessScope');
+const { parsePage, keyset, toPage } = require('../utils/listQuery');
+
+const HOUR = 60 * 60 * 1000;
+const SCAN_BATCH_SIZE = MAX_PAGE_SIZE;
+
+const rules = loadDeadlineRules();
+
+// Earliest occurrence of each event that can start or satisfy a deadline
+const CASE_FACTS_COLUMNS = `
+  r.id, r.urgency, r.status,
+    r.created_at AS referral_created,
+    (SELECT MIN(created_at) FROM referral_status_history
+      WHERE referral_id = r.id AND to_status = 'accepted') AS referral_accepted,
+    (SELECT MIN(created_at) FROM assessments WHERE referral_id = r.id) AS assessment_filed,
+    (SELECT MIN(created_at) FROM hearings WHERE referral_id = r.id) AS hearing_scheduled,
+    (SELECT MIN(started_at) FROM hearings WHERE referral_id = r.id) AS hearing_held,
+    (SELECT MIN(decided_at) FROM hearings WHERE referral_id = r.id) AS hearing_decided`;
+
+function allowedHours(rule, urgency) {
+  if (rule.hoursByUrgency) return rule.hoursByUrgency[urgency] ?? rule.hours;
+  return rule.hours;
+}
+
+function evaluateDeadlines(facts, now = new Date(), deadlineRules = rules) {
+  const results = [];
+
+  for (const rule of deadlineRules) {
+    const startedAt = facts[rule.startsOn] ? new Date(facts[rule.startsOn]) : null;
+    const hours = allowedHours(rule, facts.urgency);
+    if (!startedAt || hours == null) continue;
+
+    const dueAt = new Date(startedAt.getTime() + hours * HOUR);
+    const satisfiedAt = facts[rule.satisfiedBy] ? new Date(facts[rule.satisfiedBy]) : null;
+
+    let status;
+    if (satisfiedAt) {
+      status = satisfiedAt <= dueAt ? DEADLINE_STATUSES.MET : DEADLINE_STATUSES.MET_LATE;
+    } else if (now > dueAt) {
+      status = DEADLINE_STATUSES.BREACHED;
+    } else if (now - startedAt >= AT_RISK_THRESHOLD * (dueAt - startedAt)) {
+      status = DEADLINE_STATUSES.AT_RISK;
+    } else {
+      status = DEADLINE_STATUSES.PENDING;
+    }
+
+    results.push({
+      rule: rule.key,
+      label: rule.label,
+      startedAt,
+      dueAt,
+      satisfiedAt,
+      status,
+    });
+  }
+
+  return results;
+}
+
+function summarise(deadlines) {
+  return {
+    deadlines,
+    breached: deadlines.some(
+      (d) => d.status === DEADLINE_STATUSES.BREACHED || d.status === DEADLINE_STATUSES.MET_LATE
+    ),
+  };
+}
+
+async function forReferral(referralId) {
+  const { rows } = await pool.query(
+    `SELECT ${CASE_FACTS_COLUMNS} FROM referrals r WHERE r.id = $1`,
+    [referralId]
+  );
+  if (!rows[0]) return summarise([]);
+  return summarise(evaluateDeadlines(rows[0]));
+}
+
+// Open referrals, in page order after the cursor, one batch at a time
+async function openReferralBatch(user, page, cursor) {
+  const params = [TERMINAL_REFERRAL_STATUSES];
+  const conditions = ['r.status <> ALL($1)', referralScope(user, 'r', params)];
+  const order = keyset({ ...page, cursor }, REFERRAL_SORT_FIELDS, 'r', params);
+  if (order.condition) conditions.push(order.condition);
+  params.push(SCAN_BATCH_SIZE);
+
+  const { rows } = await pool.query(
+    `SELECT ${CASE_FACTS_COLUMNS}, ${order.sortKey} FROM referrals r
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY ${order.orderBy}
+     LIMIT $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+// Open referrals visible to the user with at least one deadline in the
+// requested statuses (breached and at risk by default). Deadlines are
+// evaluated here rather than in SQL, so open referrals are scanned in batches
+// until the page is full or none are left.
+async function listFlagged(user, filters = {}) {
+  const page = parsePage(filters, REFERRAL_SORT_FIELDS, 'created_at');
+  const wanted = filters.status
+    ? filters.status.split(',')
+    : [DEADLINE_STATUSES.BREACHED, DEADLINE_STATUSES.AT_RISK];
+
+  const now = new Date();
+  const flagged = [];
+  let cursor = page.cursor;
+  for (;;) {
+    const rows = await openReferralBatch(user, page, cursor);
+    rows.forEach((facts) => {
+      const deadlines = evaluateDeadlines(facts, now).filter((d) => wanted.includes(d.status));
+      if (deadlines.length > 0) flagged.push({ ...facts, deadlines });
+    });
+    // One flagged row beyond the page tells toPage there is another page
+    if (flagged.length > page.limit || rows.length < SCAN_BATCH_SIZE) break;
+    const last = rows[rows.length - 1];
+    cursor = [last.sort_key, last.id];
+  }
+
+  return toPage(flagged, page, (row) => ({
+    referralId: row.id,
+    urgency: row.urgency,
+    status: row.status,
+    deadlines: row.deadlines,
+  }));
+}
+
+function getRules() {
+  return rules;
+}
+
+module.exports = { evaluateDeadlines, forReferral, listFlagged, getRules };
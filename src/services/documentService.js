@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const { pool } = require('../config/db');
+const { v4: uuidv4 } = require('uuid');
+const { ROLES } = require('../config/roles');
+const {
+  DOCUMENT_PARENT_TYPES,
+  DOCUMENT_CATEGORIES,
+  DOCUMENT_VISIBILITY,
+  ALLOWED_MIME_TYPES,
+  MAX_DOCUMENT_SIZE_BYTES,
+} = require('../config/documents');
+const { getStorage } = require('./storage');
+const { encryptRow, decryptRow } = require('../utils/fieldEncryption');
+const referralService = require('./referralService');
+const tribunalService = require('./tribunalService');
+const pajsmService = require('./pajsmService');
+
+// Document access follows the parent record: anyone who can see the parent can
+// see its documents, except respondents, who only see "all_parties" documents
+const PARENT_LOADERS = {
+  [DOCUMENT_PARENT_TYPES.REFERRAL]: referralService.getById,
+  [DOCUMENT_PARENT_TYPES.HEARING]: tribunalService.getById,
+  [DOCUMENT_PARENT_TYPES.PAJSM_PARTICIPANT]: pajsmService.getById,
+};
+
+const decrypt = (row) => decryptRow('documents', row);
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function validateUpload(file, meta = {}) {
+  if (!file.filename) {
+    throw badRequest('A filename is required');
+  }
+  if (!ALLOWED_MIME_TYPES.includes(file.mimeType)) {
+    const err = new Error(`File type "${file.mimeType || 'unknown'}" is not allowed`);
+    err.statusCode = 415;
+    throw err;
+  }
+  if (!Buffer.isBuffer(file.content) || file.content.length === 0) {
+    throw badRequest('Uploaded file is empty');
+  }
+  if (file.content.length > MAX_DOCUMENT_SIZE_BYTES) {
+    const err = new Error('Uploaded file exceeds the maximum document size');
+    err.statusCode = 413;
+    throw err;
+  }
+  if (meta.category && !DOCUMENT_CATEGORIES.includes(meta.category)) {
+    throw badRequest(`Unknown document category "${meta.category}"`);
+  }
+  if (meta.visibility && !Object.values(DOCUMENT_VISIBILITY).includes(meta.visibility)) {
+    throw badRequest(`Unknown document visibility "${meta.visibility}"`);
+  }
+}
+
+function visibilityFilter(user) {
+  return user.role === ROLES.RESPONDENT ? [DOCUMENT_VISIBILITY.ALL_PARTIES] : null;
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+async function upload(parentType, parentId, file, meta, user) {
+  await PARENT_LOADERS[parentType](parentId, user);
+  validateUpload(file, meta);
+
+  // Respondents can submit documents but cannot restrict them from other parties
+  const visibility =
+    user.role === ROLES.RESPONDENT
+      ? DOCUMENT_VISIBILITY.ALL_PARTIES
+      : meta.visibility || DOCUMENT_VISIBILITY.PROFESSIONALS;
+
+  const id = uuidv4();
+  const storage = getStorage();
+  const storageKey = `${parentType}/${parentId}/${id}`;
+  await storage.put(storageKey, file.content);
+
+  const sensitive = encryptRow('documents', { filename: file.filename });
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO documents
+        (id, parent_type, parent_id, filename, mime_type, size_bytes, sha256,
+         storage_backend, storage_key, category, visibility, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [
+        id,
+        parentType,
+        parentId,
+        sensitive.filename,
+        file.mimeType,
+        file.content.length,
+        sha256(file.content),
+        storage.name,
+        storageKey,
+        meta.category || 'other',
+        visibility,
+        user.id,
+      ]
+    );
+    return decrypt(rows[0]);
+  } catch (err) {
+    await storage.remove(storageKey);
+    throw err;
+  }
+}
+
+async function list(parentType, parentId, user) {
+  await PARENT_LOADERS[parentType](parentId, user);
+
+  const params = [parentType, parentId];
+  let visibility = '';
+  const allowed = visibilityFilter(user);
+  if (allowed) {
+    params.push(allowed);
+    visibility = `AND visibility = ANY($${params.length})`;
+  }
+
+  const { rows } = await pool.query(
+    `SELECT * FROM documents
+     WHERE parent_type = $1 AND parent_id = $2 ${visibility}
+     ORDER BY created_at DESC`,
+    params
+  );
+  return rows.map(decrypt);
+}
+
+async function getById(parentType, parentId, documentId, user) {
+  const documents = await list(parentType, parentId, user);
+  const document = documents.find((d) => d.id === documentId);
+  if (!document) {
+    const err = new Error('Document not found');
+    err.statusCode = 404;
+    throw err;
+  }
+  return document;
+}
+
+// Returns the stored bytes after checking them against the recorded checksum
+async function download(parentType, parentId, documentId, user) {
+  const document = await getById(parentType, parentId, documentId, user);
+  const storage = getStorage();
+  if (document.storage_backend !== storage.name) {
+    throw new Error(`Document is stored on the "${document.storage_backend}" backend`);
+  }
+
+  const content = await storage.get(document.storage_key);
+  if (sha256(content) !== document.sha256) {
+    throw new Error(`Checksum mismatch for document ${document.id}`);
+  }
+  return { document, content };
+}
+
+module.exports = { validateUpload, upload, list, getById, download };
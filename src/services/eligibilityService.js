@@ -1,78 +1,188 @@
 const {
-  VULNERABILITIES,
   VULNERABILITY_LABELS,
-  EXCLUSIONS,
-  ABSOLUTE_EXCLUSIONS,
-  SUMMARY_ELIGIBLE_EXCEPTIONS,
+  BASELINE_RULE_SET,
+  ELIGIBILITY_CRITERIA,
+  CRITERION_STATUSES,
 } = require('../config/pajsm');
 
-const VALID_VULNERABILITIES = Object.values(VULNERABILITIES);
+const OVERRIDABLE_FIELDS = ['vulnerabilities', 'absoluteExclusions', 'summaryEligibleExceptions'];
 
-function checkEligibility(data) {
+// Applies the district's override, if the rule set has one, on top of the
+// rule set's own lists
+function rulesFor(ruleSet, district) {
+  const rules = { version: ruleSet.version };
+  const overrides = ruleSet.districtOverrides || [];
+  const override = district && overrides.find((o) => o.district === district);
+  OVERRIDABLE_FIELDS.forEach((field) => {
+    rules[field] = override && override[field] ? override[field] : ruleSet[field];
+  });
+  return rules;
+}
+
+const { MET, NOT_MET, NEEDS_CLINICAL_CONFIRMATION } = CRITERION_STATUSES;
+
+// Inputs are echoed back with null for anything not supplied
+function inputOf(data, fields) {
+  const input = {};
+  fields.forEach((field) => {
+    input[field] = data[field] === undefined ? null : data[field];
+  });
+  return input;
+}
+
+function outcome(status, code, messages = []) {
+  return { status, code, messages };
+}
+
+// A criterion that is a simple yes/no declaration on the file
+function declaration(field, metCode, notMetCode, message) {
+  return {
+    fields: [field],
+    evaluate: (data) =>
+      data[field] ? outcome(MET, metCode) : outcome(NOT_MET, notMetCode, [message]),
+  };
+}
+
+// Each evaluator returns a status, a stable reason code and, when the
+// criterion is not met, the human-readable reasons
+const CRITERIA = {
+  // A vulnerability reported without a diagnosis still qualifies, but only
+  // provisionally until a clinician confirms it
+  recognized_vulnerability: {
+    fields: ['vulnerabilities', 'diagnosed'],
+    evaluate: (data, rules) => {
+      const recognized =
+        Array.isArray(data.vulnerabilities) &&
+        data.vulnerabilities.some((v) => rules.vulnerabilities.includes(v));
+      if (!recognized) {
+        return outcome(NOT_MET, 'NO_RECOGNIZED_VULNERABILITY', [
+          'At least one recognized vulnerability is required',
+        ]);
+      }
+      if (!data.diagnosed) {
+        return outcome(NEEDS_CLINICAL_CONFIRMATION, 'VULNERABILITY_NOT_DIAGNOSED');
+      }
+      return outcome(MET, 'VULNERABILITY_DIAGNOSED');
+    },
+  },
+
+  admissible_offence: {
+    fields: ['offence_category', 'prosecution_mode', 'victim_consent'],
+    evaluate: (data, rules) => {
+      const category = data.offence_category;
+      if (rules.absoluteExclusions.includes(category)) {
+        return outcome(NOT_MET, 'OFFENCE_EXCLUDED', [
+          `Offence category "${category}" is absolutely excluded from PAJ-SM+`,
+        ]);
+      }
+      // Conditionally-excluded offences need summary prosecution and victim consent
+      if (rules.summaryEligibleExceptions.includes(category)) {
+        const messages = [];
+        if (data.prosecution_mode !== 'summary') {
+          messages.push(`Offence category "${category}" requires summary prosecution mode`);
+        }
+        if (data.victim_consent !== true) {
+          messages.push(`Offence category "${category}" requires victim consent`);
+        }
+        if (messages.length > 0) {
+          return outcome(NOT_MET, 'CONDITIONAL_OFFENCE_REQUIREMENTS_NOT_MET', messages);
+        }
+        return outcome(MET, 'CONDITIONAL_OFFENCE_REQUIREMENTS_MET');
+      }
+      return outcome(MET, 'OFFENCE_ADMISSIBLE');
+    },
+  },
+
+  accepts_responsibility: declaration(
+    'accepts_responsibility',
+    'RESPONSIBILITY_ACCEPTED',
+    'RESPONSIBILITY_NOT_ACCEPTED',
+    'Accused must accept responsibility'
+  ),
+
+  voluntary_participation: declaration(
+    'is_voluntary',
+    'PARTICIPATION_VOLUNTARY',
+    'PARTICIPATION_NOT_VOLUNTARY',
+    'Participation must be voluntary'
+  ),
+
+  // Assessed by a clinician; until then it is left open rather than failed
+  capacity_to_learn: {
+    fields: ['capacity_to_learn'],
+    evaluate: (data) => {
+      if (data.capacity_to_learn === true) return outcome(MET, 'CAPACITY_TO_LEARN_CONFIRMED');
+      if (data.capacity_to_learn === false) {
+        return outcome(NOT_MET, 'NO_CAPACITY_TO_LEARN', [
+          'Accused must have the capacity to learn from the program',
+        ]);
+      }
+      return outcome(NEEDS_CLINICAL_CONFIRMATION, 'CAPACITY_TO_LEARN_NOT_ASSESSED');
+    },
+  },
+
+  waives_delay_rights: declaration(
+    'waives_delay',
+    'DELAY_RIGHTS_WAIVED',
+    'DELAY_RIGHTS_NOT_WAIVED',
+    'Accused must waive delay rights'
+  ),
+
+  criminally_fit_and_responsible: declaration(
+    'criminally_fit',
+    'FIT_AND_RESPONSIBLE',
+    'NOT_FIT_OR_RESPONSIBLE',
+    'Accused must be criminally fit and responsible'
+  ),
+};
+
+// Returns one entry per criterion. A case is eligible when no criterion is
+// unmet, and provisional while any still needs clinical confirmation.
+// reasons collects the messages of the unmet criteria.
+function checkEligibility(data, ruleSet = BASELINE_RULE_SET) {
+  const rules = rulesFor(ruleSet, data.district);
   const reasons = [];
 
-  // 1. At least one recognized vulnerability
-  const hasVulnerability =
-    Array.isArray(data.vulnerabilities) &&
-    data.vulnerabilities.some((v) => VALID_VULNERABILITIES.includes(v));
-  if (!hasVulnerability) {
-    reasons.push('At least one recognized vulnerability is required');
-  }
-
-  // 2. Offence not in absolute exclusion list
-  if (ABSOLUTE_EXCLUSIONS.includes(data.offence_category)) {
-    reasons.push(`Offence category "${data.offence_category}" is absolutely excluded from PAJ-SM+`);
-  }
-
-  // 3. If conditionally-excluded (summary eligible exception), check prosecution mode and victim consent
-  if (SUMMARY_ELIGIBLE_EXCEPTIONS.includes(data.offence_category)) {
-    if (data.prosecution_mode !== 'summary') {
-      reasons.push(
-        `Offence category "${data.offence_category}" requires summary prosecution mode`
-      );
-    }
-    if (data.victim_consent !== true) {
-      reasons.push(
-        `Offence category "${data.offence_category}" requires victim consent`
-      );
-    }
-  }
-
-  // 4. Accused accepts responsibility
-  if (!data.accepts_responsibility) {
-    reasons.push('Accused must accept responsibility');
-  }
-
-  // 5. Voluntary participation
-  if (!data.is_voluntary) {
-    reasons.push('Participation must be voluntary');
-  }
-
-  // 6. Waives delay rights
-  if (!data.waives_delay) {
-    reasons.push('Accused must waive delay rights');
-  }
-
-  // 7. Criminally fit and responsible
-  if (!data.criminally_fit) {
-    reasons.push('Accused must be criminally fit and responsible');
-  }
+  const criteria = ELIGIBILITY_CRITERIA.map((criterion) => {
+    const { fields, evaluate } = CRITERIA[criterion];
+    const { status, code, messages } = evaluate(data, rules);
+    reasons.push(...messages);
+    return { criterion, status, code, input: inputOf(data, fields) };
+  });
 
+  const eligible = criteria.every((c) => c.status !== NOT_MET);
   return {
-    eligible: reasons.length === 0,
+    eligible,
+    provisional: eligible && criteria.some((c) => c.status === NEEDS_CLINICAL_CONFIRMATION),
+    criteria,
     reasons,
+    ruleSetVersion: ruleSet.version,
   };
 }
 
-function getExclusions() {
-  return EXCLUSIONS;
+// Conditionally-excluded offences can only proceed with the victim's consent
+function requiresVictimConsent(data, ruleSet = BASELINE_RULE_SET) {
+  return rulesFor(ruleSet, data.district).summaryEligibleExceptions.includes(
+    data.offence_category
+  );
+}
+
+function getExclusions(ruleSet = BASELINE_RULE_SET, district = null) {
+  const rules = rulesFor(ruleSet, district);
+  return [...rules.absoluteExclusions, ...rules.summaryEligibleExceptions];
 }
 
-function getVulnerabilityTypes() {
-  return VALID_VULNERABILITIES.map((key) => ({
+function getVulnerabilityTypes(ruleSet = BASELINE_RULE_SET, district = null) {
+  return rulesFor(ruleSet, district).vulnerabilities.map((key) => ({
     key,
     label: VULNERABILITY_LABELS[key],
   }));
 }
 
-module.exports = { checkEligibility, getExclusions, getVulnerabilityTypes };
+module.exports = {
+  rulesFor,
+  checkEligibility,
+  requiresVictimConsent,
+  getExclusions,
+  getVulnerabilityTypes,
+};
@@ -0,0 +1,254 @@
+const { v4: uuidv4 } = require('uuid');
+const { PROGRESS_STATUSES } = require('../config/pajsm');
+
+// Intervention plan versions, their objectives and progress on them. Every
+// function takes the db or transaction client to use; access and stage checks
+// are handled by pajsmService.
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+// Fields an amendment can change on an existing objective
+const UPDATABLE_OBJECTIVE_FIELDS = ['target', 'responsible_party', 'due_date'];
+
+// The form kept in each plan version's snapshot
+function snapshotOf(objective) {
+  return {
+    id: objective.id,
+    domain: objective.domain,
+    target: objective.target,
+    responsible_party: objective.responsible_party,
+    due_date: objective.due_date,
+  };
+}
+
+async function latestPlan(db, participantId) {
+  const { rows } = await db.query(
+    `SELECT * FROM pajsm_intervention_plans WHERE participant_id = $1
+     ORDER BY version DESC LIMIT 1`,
+    [participantId]
+  );
+  return rows[0] || null;
+}
+
+async function listPlans(db, participantId) {
+  const { rows } = await db.query(
+    `SELECT p.*, u.name AS created_by_name FROM pajsm_intervention_plans p
+     LEFT JOIN users u ON u.id = p.created_by
+     WHERE p.participant_id = $1 ORDER BY p.version ASC`,
+    [participantId]
+  );
+  return rows;
+}
+
+async function activeObjectives(db, participantId) {
+  const { rows } = await db.query(
+    `SELECT * FROM pajsm_plan_objectives
+     WHERE participant_id = $1 AND retired_in_version IS NULL
+     ORDER BY created_at ASC`,
+    [participantId]
+  );
+  return rows;
+}
+
+// Objectives ids must name active objectives of this participant
+function requireActive(active, ids) {
+  const known = new Set(active.map((o) => o.id));
+  const unknown = ids.filter((id) => !known.has(id));
+  if (unknown.length > 0) {
+    throw badRequest(`Not an active objective of this plan: ${unknown.join(', ')}`);
+  }
+}
+
+async function addObjectives(db, participantId, objectives, version, user) {
+  for (const objective of objectives) {
+    await db.query(
+      `INSERT INTO pajsm_plan_objectives
+        (id, participant_id, domain, target, responsible_party, due_date, added_in_version,
+         created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        uuidv4(),
+        participantId,
+        objective.domain,
+        objective.target,
+        objective.responsible_party || null,
+        objective.due_date || null,
+        version,
+        user.id,
+      ]
+    );
+  }
+}
+
+// Writes one plan version: applies the objective changes, then stores the
+// plan with a snapshot of the objectives now in force
+async function writeVersion(db, participantId, version, changes, user) {
+  const active = await activeObjectives(db, participantId);
+  const retire = changes.retire || [];
+  const update = changes.update || [];
+  requireActive(active, [...retire, ...update.map((u) => u.id)]);
+
+  if (retire.length > 0) {
+    await db.query(
+      `UPDATE pajsm_plan_objectives SET retired_in_version = $1, updated_at = NOW()
+       WHERE id = ANY($2)`,
+      [version, retire]
+    );
+  }
+  // Only the fields present are changed, so null clears a field and an
+  // omitted one keeps its value
+  for (const { id, ...fields } of update) {
+    const params = [id];
+    const assignments = UPDATABLE_OBJECTIVE_FIELDS.filter((field) => field in fields).map(
+      (field) => {
+        params.push(fields[field]);
+        return `${field} = $${params.length}`;
+      }
+    );
+    await db.query(
+      `UPDATE pajsm_plan_objectives SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+       WHERE id = $1`,
+      params
+    );
+  }
+  await addObjectives(db, participantId, changes.add || [], version, user);
+
+  const objectives = await activeObjectives(db, participantId);
+  const { rows } = await db.query(
+    `INSERT INTO pajsm_intervention_plans
+      (id, participant_id, version, plan_details, objectives, amendment_reason, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      uuidv4(),
+      participantId,
+      version,
+      changes.plan_details || null,
+      JSON.stringify(objectives.map(snapshotOf)),
+      changes.amendment_reason || null,
+      user.id,
+    ]
+  );
+  return { ...rows[0], objectives };
+}
+
+// Progress reported at a follow-up, one entry per objective
+async function recordProgress(db, participantId, followUpId, entries, user) {
+  const ids = entries.map((e) => e.objective_id);
+  if (new Set(ids).size !== ids.length) {
+    throw badRequest('Each objective can only have one progress entry per follow-up');
+  }
+  requireActive(await activeObjectives(db, participantId), ids);
+
+  const recorded = [];
+  for (const entry of entries) {
+    const { rows } = await db.query(
+      `INSERT INTO pajsm_objective_progress
+        (id, objective_id, follow_up_id, status, note, recorded_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [uuidv4(), entry.objective_id, followUpId, entry.status, entry.note || null, user.id]
+    );
+    recorded.push(rows[0]);
+  }
+  return recorded;
+}
+
+// The latest plan, active objectives and progress of each participant,
+// loaded together for any number of participants
+async function loadComplianceRecords(db, participantIds) {
+  const [{ rows: plans }, { rows: objectives }, { rows: progress }] = await Promise.all([
+    db.query(
+      `SELECT DISTINCT ON (participant_id) participant_id, version
+       FROM pajsm_intervention_plans WHERE participant_id = ANY($1)
+       ORDER BY participant_id, version DESC`,
+      [participantIds]
+    ),
+    db.query(
+      `SELECT * FROM pajsm_plan_objectives
+       WHERE participant_id = ANY($1) AND retired_in_version IS NULL
+       ORDER BY created_at ASC`,
+      [participantIds]
+    ),
+    db.query(
+      `SELECT pr.*, o.participant_id, f.follow_up_date FROM pajsm_objective_progress pr
+       JOIN pajsm_plan_objectives o ON o.id = pr.objective_id
+       JOIN pajsm_follow_ups f ON f.id = pr.follow_up_id
+       WHERE o.participant_id = ANY($1)
+       ORDER BY f.follow_up_date ASC, pr.created_at ASC`,
+      [participantIds]
+    ),
+  ]);
+
+  const records = new Map(
+    participantIds.map((id) => [id, { plan: null, objectives: [], progress: [] }])
+  );
+  plans.forEach((plan) => {
+    records.get(plan.participant_id).plan = plan;
+  });
+  objectives.forEach((objective) => {
+    records.get(objective.participant_id).objectives.push(objective);
+  });
+  progress.forEach((entry) => records.get(entry.participant_id).progress.push(entry));
+  return records;
+}
+
+// Where each active objective stands after its latest progress entry. An
+// objective is overdue when its due date has passed before it was achieved;
+// it counts towards compliance unless it is overdue or not achieved.
+function summarizeCompliance(objectives, progress, now = new Date()) {
+  const latest = new Map();
+  progress.forEach((entry) => latest.set(entry.objective_id, entry));
+
+  const items = objectives.map((objective) => {
+    const last = latest.get(objective.id);
+    const status = last ? last.status : PROGRESS_STATUSES.NOT_STARTED;
+    return {
+      objectiveId: objective.id,
+      domain: objective.domain,
+      target: objective.target,
+      responsibleParty: objective.responsible_party,
+      dueDate: objective.due_date,
+      status,
+      overdue:
+        Boolean(objective.due_date) &&
+        new Date(objective.due_date) < now &&
+        status !== PROGRESS_STATUSES.ACHIEVED,
+      lastUpdate: last
+        ? { followUpId: last.follow_up_id, followUpDate: last.follow_up_date, note: last.note }
+        : null,
+    };
+  });
+
+  const byStatus = {};
+  Object.values(PROGRESS_STATUSES).forEach((status) => {
+    byStatus[status] = items.filter((item) => item.status === status).length;
+  });
+  const compliant = items.filter(
+    (item) =>
+      item.status === PROGRESS_STATUSES.ACHIEVED ||
+      (!item.overdue && item.status !== PROGRESS_STATUSES.NOT_ACHIEVED)
+  ).length;
+
+  return {
+    objectives: items.length,
+    byStatus,
+    overdue: items.filter((item) => item.overdue).length,
+    complianceRate: items.length ? Math.round((compliant / items.length) * 100) : null,
+    items,
+  };
+}
+
+module.exports = {
+  latestPlan,
+  listPlans,
+  activeObjectives,
+  writeVersion,
+  recordProgress,
+  loadComplianceRecords,
+  summarizeCompliance,
+};
@@ -0,0 +1,202 @@
+const { pool } = require('../config/db');
+const { ACCOUNT_POLICY, IP_POLICY, LOGIN_FAILURE_REASONS } = require('../config/loginProtection');
+const { getThrottleStore } = require('./throttle');
+const { logger } = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+
+const accountKey = (email) => `account:${String(email || '').trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+function delayFor(failures, policy) {
+  if (failures <= policy.delayAfter) return 0;
+  const seconds = policy.baseDelaySeconds * 2 ** (failures - policy.delayAfter - 1);
+  return Math.min(seconds, policy.maxDelaySeconds) * 1000;
+}
+
+// Decides whether a new attempt may proceed given the failures recorded so far
+function assessAttempt(state, now, policy) {
+  if (!state) return { allowed: true };
+
+  if (state.lockedUntil && state.lockedUntil > now) {
+    return {
+      allowed: false,
+      reason: LOGIN_FAILURE_REASONS.ACCOUNT_LOCKED,
+      retryAfterSeconds: Math.ceil((state.lockedUntil - now) / 1000),
+    };
+  }
+
+  const windowOpen = state.windowStartedAt + policy.windowMinutes * MINUTE > now;
+  const nextAllowedAt = state.lastFailureAt + delayFor(state.failures, policy);
+  if (windowOpen && nextAllowedAt > now) {
+    return {
+      allowed: false,
+      reason: LOGIN_FAILURE_REASONS.THROTTLED,
+      retryAfterSeconds: Math.ceil((nextAllowedAt - now) / 1000),
+    };
+  }
+
+  return { allowed: true };
+}
+
+// Counts a failure inside the current window, locking the key once the
+// policy's threshold is reached. The count restarts after a lock.
+function applyFailure(state, now, policy) {
+  const windowExpired =
+    !state || !state.windowStartedAt || state.windowStartedAt + policy.windowMinutes * MINUTE <= now;
+  const failures = windowExpired ? 1 : state.failures + 1;
+
+  if (failures >= policy.lockAfter) {
+    return {
+      failures: 0,
+      windowStartedAt: now,
+      lastFailureAt: now,
+      lockedUntil: now + policy.lockMinutes * MINUTE,
+    };
+  }
+  return {
+    failures,
+    windowStartedAt: windowExpired ? now : state.windowStartedAt,
+    lastFailureAt: now,
+    lockedUntil: null,
+  };
+}
+
+function ttlFor(policy) {
+  return Math.max(policy.windowMinutes, policy.lockMinutes) * MINUTE;
+}
+
+async function recordAttempt(attempt) {
+  try {
+    await pool.query(
+      `INSERT INTO login_attempts (email, user_id, ip_address, user_agent, success, failure_reason)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        attempt.email || null,
+        attempt.userId || null,
+        attempt.ipAddress || null,
+        attempt.userAgent || null,
+        attempt.success,
+        attempt.reason || null,
+      ]
+    );
+  } catch (err) {
+    logger.error({ message: 'Failed to record login attempt', error: err.message });
+  }
+}
+
+// Throws 423 when the account is locked and 429 when the account or IP must
+// wait out a progressive delay. Rejected attempts are recorded too.
+async function guard(email, context = {}) {
+  const store = getThrottleStore();
+  const now = Date.now();
+
+  const checks = [
+    assessAttempt(await store.get(accountKey(email)), now, ACCOUNT_POLICY),
+    assessAttempt(await store.get(ipKey(context.ipAddress)), now, IP_POLICY),
+  ];
+  const blocked = checks.find((c) => !c.allowed);
+  if (!blocked) return;
+
+  await recordAttempt({ email, ...context, success: false, reason: blocked.reason });
+
+  const locked = blocked.reason === LOGIN_FAILURE_REASONS.ACCOUNT_LOCKED;
+  const err = new Error(
+    locked ? 'Too many failed attempts, try again later' : 'Too many login attempts, slow down'
+  );
+  err.statusCode = locked ? 423 : 429;
+  err.retryAfter = blocked.retryAfterSeconds;
+  throw err;
+}
+
+async function recordFailure(email, reason, context = {}) {
+  const store = getThrottleStore();
+  const now = Date.now();
+
+  await recordAttempt({ email, ...context, success: false, reason });
+  const account = await store.update(
+    accountKey(email),
+    (state) => applyFailure(state, now, ACCOUNT_POLICY),
+    ttlFor(ACCOUNT_POLICY)
+  );
+  await store.update(
+    ipKey(context.ipAddress),
+    (state) => applyFailure(state, now, IP_POLICY),
+    ttlFor(IP_POLICY)
+  );
+
+  if (account.lockedUntil) {
+    logger.warn({ message: 'Account locked after repeated login failures', email });
+  }
+}
+
+// A successful sign-in clears the account's counter but not the IP's, so one
+// valid account cannot be used to keep guessing others from the same address
+async function recordSuccess(email, context = {}) {
+  await recordAttempt({ email, ...context, success: true });
+  await getThrottleStore().reset(accountKey(email));
+}
+
+async function unlockAccount(userId) {
+  const { rows } = await pool.query('SELECT email FROM users WHERE id = $1', [userId]);
+  if (!rows[0]) {
+    const err = new Error('User not found');
+    err.statusCode = 404;
+    throw err;
+  }
+  await getThrottleStore().reset(accountKey(rows[0].email));
+  return { unlocked: true };
+}
+
+async function listAttempts(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.email) {
+    params.push(String(filters.email).toLowerCase());
+    conditions.push(`LOWER(email) = $${params.length}`);
+  }
+  if (filters.userId) {
+    params.push(filters.userId);
+    conditions.push(`user_id = $${params.length}`);
+  }
+  if (filters.ipAddress) {
+    params.push(filters.ipAddress);
+    conditions.push(`ip_address = $${params.length}`);
+  }
+  if (typeof filters.success === 'boolean') {
+    params.push(filters.success);
+    conditions.push(`success = $${params.length}`);
+  }
+  if (filters.from) {
+    params.push(filters.from);
+    conditions.push(`created_at >= $${params.length}`);
+  }
+  if (filters.to) {
+    params.push(filters.to);
+    conditions.push(`created_at <= $${params.length}`);
+  }
+
+  const limit = Math.min(parseInt(filters.limit, 10) || 100, 1000);
+  const offset = parseInt(filters.offset, 10) || 0;
+  params.push(limit, offset);
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { rows } = await pool.query(
+    `SELECT * FROM login_attempts ${where}
+     ORDER BY id DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+module.exports = {
+  assessAttempt,
+  applyFailure,
+  guard,
+  recordFailure,
+  recordSuccess,
+  unlockAccount,
+  listAttempts,
+};
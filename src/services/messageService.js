@@ -0,0 +1,196 @@
+const { pool, withTransaction } = require('../config/db');
+const { v4: uuidv4 } = require('uuid');
+const { ROLES } = require('../config/roles');
+const { USER_STATUSES } = require('../config/users');
+const { MESSAGE_PARENT_TYPES } = require('../config/messaging');
+const { encryptRow, decryptRow } = require('../utils/fieldEncryption');
+const referralService = require('./referralService');
+const pajsmService = require('./pajsmService');
+const { referralScope, pajsmScope } = require('./accessScope');
+
+// Thread access follows the parent case: the record scoping in accessScope
+// already encodes who is involved in a referral or PAJ-SM+ file
+const PARENT_LOADERS = {
+  [MESSAGE_PARENT_TYPES.REFERRAL]: referralService.getById,
+  [MESSAGE_PARENT_TYPES.PAJSM_PARTICIPANT]: pajsmService.getById,
+};
+
+// Parent records, with the access rule that decides who can open them
+const PARENT_SCOPES = {
+  [MESSAGE_PARENT_TYPES.REFERRAL]: { table: 'referrals', scope: referralScope },
+  [MESSAGE_PARENT_TYPES.PAJSM_PARTICIPANT]: { table: 'pajsm_participants', scope: pajsmScope },
+};
+
+const decryptThread = (row) => decryptRow('message_threads', row);
+const decryptMessage = (row) => decryptRow('messages', row);
+
+function canSeeInternal(user) {
+  return user.role !== ROLES.RESPONDENT;
+}
+
+function requireText(value, message) {
+  if (typeof value !== 'string' || !value.trim()) {
+    const err = new Error(message);
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
+function assertCanPost(internal, user) {
+  if (internal && !canSeeInternal(user)) {
+    const err = new Error('Respondents cannot post internal notes');
+    err.statusCode = 403;
+    throw err;
+  }
+  return Boolean(internal);
+}
+
+// Thread participants are the active users who can open the parent case,
+// found by applying each role's access rule with the user's id column.
+// Administrators can open every case and are not listed.
+async function listParticipants(parentType, parentId) {
+  const { table, scope } = PARENT_SCOPES[parentType];
+  const params = [parentId, USER_STATUSES.ACTIVE];
+  const conditions = [];
+  Object.values(ROLES)
+    .filter((role) => role !== ROLES.ADMIN)
+    .forEach((role) => {
+      const condition = scope({ role, idColumn: 'u.id' }, 'c', params);
+      if (condition === 'FALSE') return;
+      params.push(role);
+      conditions.push(`(u.role = $${params.length} AND EXISTS (SELECT 1 FROM ${table} c
+        WHERE c.id = $1 AND ${condition}))`);
+    });
+
+  const { rows } = await pool.query(
+    `SELECT u.id, u.name, u.role FROM users u
+     WHERE u.status = $2 AND (${conditions.join(' OR ')})
+     ORDER BY u.name ASC`,
+    params
+  );
+  return rows;
+}
+
+async function insertMessage(db, threadId, body, internal, user) {
+  const sensitive = encryptRow('messages', { body });
+  const { rows } = await db.query(
+    `INSERT INTO messages (id, thread_id, sender_id, body, internal)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [uuidv4(), threadId, user.id, sensitive.body, internal]
+  );
+  return decryptMessage(rows[0]);
+}
+
+async function listThreads(parentType, parentId, user) {
+  await PARENT_LOADERS[parentType](parentId, user);
+
+  const { rows } = await pool.query(
+    `SELECT t.*,
+       COUNT(m.id) FILTER (WHERE $3 OR NOT m.internal) AS message_count,
+       COUNT(m.id) FILTER (WHERE ($3 OR NOT m.internal) AND mr.user_id IS NULL
+         AND m.sender_id <> $4) AS unread_count,
+       MAX(m.created_at) AS last_message_at
+     FROM message_threads t
+     LEFT JOIN messages m ON m.thread_id = t.id
+     LEFT JOIN message_reads mr ON mr.message_id = m.id AND mr.user_id = $4
+     WHERE t.parent_type = $1 AND t.parent_id = $2
+     GROUP BY t.id
+     ORDER BY last_message_at DESC NULLS LAST`,
+    [parentType, parentId, canSeeInternal(user), user.id]
+  );
+  return rows.map((row) => ({
+    ...decryptThread(row),
+    message_count: Number(row.message_count),
+    unread_count: Number(row.unread_count),
+  }));
+}
+
+async function createThread(parentType, parentId, data, user) {
+  await PARENT_LOADERS[parentType](parentId, user);
+  requireText(data.subject, 'A thread subject is required');
+  requireText(data.body, 'A message body is required');
+  const internal = assertCanPost(data.internal, user);
+  const sensitive = encryptRow('message_threads', { subject: data.subject });
+
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `INSERT INTO message_threads (id, parent_type, parent_id, subject, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [uuidv4(), parentType, parentId, sensitive.subject, user.id]
+    );
+    const message = await insertMessage(client, rows[0].id, data.body, internal, user);
+    return { ...decryptThread(rows[0]), messages: [message] };
+  });
+}
+
+async function getThreadRow(parentType, parentId, threadId, user) {
+  await PARENT_LOADERS[parentType](parentId, user);
+
+  const { rows } = await pool.query(
+    'SELECT * FROM message_threads WHERE id = $1 AND parent_type = $2 AND parent_id = $3',
+    [threadId, parentType, parentId]
+  );
+  if (!rows[0]) {
+    const err = new Error('Message thread not found');
+    err.statusCode = 404;
+    throw err;
+  }
+  return rows[0];
+}
+
+// Returns the thread with every message visible to the user, and records
+// read receipts for them
+async function getThread(parentType, parentId, threadId, user) {
+  const thread = await getThreadRow(parentType, parentId, threadId, user);
+
+  const { rows: messages } = await pool.query(
+    `SELECT m.*,
+       COALESCE(
+         json_agg(json_build_object('user_id', mr.user_id, 'read_at', mr.read_at))
+           FILTER (WHERE mr.user_id IS NOT NULL),
+         '[]'
+       ) AS read_by
+     FROM messages m
+     LEFT JOIN message_reads mr ON mr.message_id = m.id
+     WHERE m.thread_id = $1 AND ($2 OR NOT m.internal)
+     GROUP BY m.id
+     ORDER BY m.created_at ASC`,
+    [threadId, canSeeInternal(user)]
+  );
+
+  const unread = messages
+    .filter((m) => m.sender_id !== user.id && !m.read_by.some((r) => r.user_id === user.id))
+    .map((m) => m.id);
+  if (unread.length > 0) {
+    await pool.query(
+      `INSERT INTO message_reads (message_id, user_id)
+       SELECT UNNEST($1::uuid[]), $2
+       ON CONFLICT DO NOTHING`,
+      [unread, user.id]
+    );
+  }
+
+  return {
+    ...decryptThread(thread),
+    participants: await listParticipants(parentType, parentId),
+    messages: messages.map(decryptMessage),
+  };
+}
+
+async function postMessage(parentType, parentId, threadId, data, user) {
+  await getThreadRow(parentType, parentId, threadId, user);
+  requireText(data.body, 'A message body is required');
+  const internal = assertCanPost(data.internal, user);
+  return insertMessage(pool, threadId, data.body, internal, user);
+}
+
+module.exports = {
+  assertCanPost,
+  listParticipants,
+  listThreads,
+  createThread,
+  getThread,
+  postMessage,
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { pool, withTransaction } = require('../config/db');
+const { MFA_ISSUER, TOTP_WINDOW, RECOVERY_CODE_COUNT } = require('../config/mfa');
+const { USER_STATUSES } = require('../config/users');
+const { LOGIN_FAILURE_REASONS } = require('../config/loginProtection');
+const authService = require('./authService');
+const loginProtection = require('./loginProtectionService');
+const { encrypt, decrypt } = require('../utils/fieldEncryption');
+const totp = require('../utils/totp');
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Recovery codes look like "ABCDE-FGHIJ"; only their hashes are stored
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const code = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+function normaliseRecoveryCode(code) {
+  return String(code || '')
+    .replace(/[\s-]/g, '')
+    .toUpperCase();
+}
+
+async function loadUser(db, id, lock = false) {
+  const { rows } = await db.query(
+    `SELECT * FROM users WHERE id = $1 ${lock ? 'FOR UPDATE' : ''}`,
+    [id]
+  );
+  if (!rows[0] || rows[0].status !== USER_STATUSES.ACTIVE) {
+    throw httpError('Invalid or expired MFA token', 401);
+  }
+  return rows[0];
+}
+
+// Accepts a code only for a time step later than the last one used, so an
+// observed code cannot be replayed while it is still valid
+async function consumeTotp(client, user, code) {
+  const counter = totp.verifyTotp(decrypt(user.mfa_secret), code, { window: TOTP_WINDOW });
+  if (counter === null) return false;
+
+  const { rowCount } = await client.query(
+    `UPDATE users SET mfa_last_counter = $1
+     WHERE id = $2 AND (mfa_last_counter IS NULL OR mfa_last_counter < $1)`,
+    [counter, user.id]
+  );
+  return rowCount === 1;
+}
+
+async function consumeRecoveryCode(client, user, code) {
+  const { rowCount } = await client.query(
+    `UPDATE mfa_recovery_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+    [user.id, authService.hashToken(normaliseRecoveryCode(code))]
+  );
+  return rowCount === 1;
+}
+
+async function replaceRecoveryCodes(client, userId) {
+  const codes = generateRecoveryCodes();
+  await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await client.query(
+      'INSERT INTO mfa_recovery_codes (id, user_id, code_hash) VALUES ($1, $2, $3)',
+      [uuidv4(), userId, authService.hashToken(normaliseRecoveryCode(code))]
+    );
+  }
+  return codes;
+}
+
+// Starts (or restarts) enrolment with a fresh secret. MFA is not enforced
+// until the user proves their authenticator works with confirmEnrollment
+async function beginEnrollment(user) {
+  const current = await loadUser(pool, user.id);
+  if (current.mfa_enabled) throw httpError('MFA is already enabled', 409);
+
+  const secret = totp.generateSecret();
+  await pool.query(
+    'UPDATE users SET mfa_secret = $1, mfa_last_counter = NULL, updated_at = NOW() WHERE id = $2',
+    [encrypt(secret), user.id]
+  );
+  return { secret, otpauthUri: totp.provisioningUri(secret, current.email, MFA_ISSUER) };
+}
+
+async function confirmEnrollment(user, code) {
+  return withTransaction(async (client) => {
+    const current = await loadUser(client, user.id, true);
+    if (current.mfa_enabled) throw httpError('MFA is already enabled', 409);
+    if (!current.mfa_secret) throw httpError('MFA enrolment has not been started', 400);
+    if (!(await consumeTotp(client, current, code))) {
+      throw httpError('Invalid verification code', 400);
+    }
+
+    await client.query('UPDATE users SET mfa_enabled = TRUE, updated_at = NOW() WHERE id = $1', [
+      user.id,
+    ]);
+    return { recoveryCodes: await replaceRecoveryCodes(client, user.id) };
+  });
+}
+
+// Second login step: exchanges the MFA-pending token and a TOTP or recovery
+// code for a full session. Wrong codes count towards the account lockout
+async function verifyLogin(mfaToken, { code, recoveryCode }, context = {}) {
+  const pending = authService.verifyMfaPendingToken(mfaToken);
+  await loginProtection.guard(pending.email, context);
+
+  const result = await withTransaction(async (client) => {
+    const user = await loadUser(client, pending.id, true);
+    if (!user.mfa_enabled) throw httpError('MFA is not enabled for this account', 400);
+
+    const accepted = recoveryCode
+      ? await consumeRecoveryCode(client, user, recoveryCode)
+      : await consumeTotp(client, user, code);
+    if (!accepted) return { accepted };
+
+    const { rows } = await client.query(
+      'SELECT COUNT(*)::int AS remaining FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+    return { accepted, user, recoveryCodesRemaining: rows[0].remaining };
+  });
+
+  const attempt = { ...context, userId: pending.id };
+  if (!result.accepted) {
+    await loginProtection.recordFailure(
+      pending.email,
+      LOGIN_FAILURE_REASONS.INVALID_MFA_CODE,
+      attempt
+    );
+    throw httpError('Invalid verification code', 401);
+  }
+
+  await loginProtection.recordSuccess(pending.email, attempt);
+  const session = await authService.startSession(result.user, context);
+  return { ...session, recoveryCodesRemaining: result.recoveryCodesRemaining };
+}
+
+async function regenerateRecoveryCodes(user, code) {
+  return withTransaction(async (client) => {
+    const current = await loadUser(client, user.id, true);
+    if (!current.mfa_enabled) throw httpError('MFA is not enabled for this account', 400);
+    if (!(await consumeTotp(client, current, code))) {
+      throw httpError('Invalid verification code', 400);
+    }
+    return { recoveryCodes: await replaceRecoveryCodes(client, user.id) };
+  });
+}
+
+// Used by administrators when a user loses their authenticator. The user
+// enrols again at their next sign-in
+async function reset(userId) {
+  await withTransaction(async (client) => {
+    const { rowCount } = await client.query(
+      `UPDATE users SET mfa_secret = NULL, mfa_enabled = FALSE, mfa_last_counter = NULL,
+         updated_at = NOW()
+       WHERE id = $1`,
+      [userId]
+    );
+    if (rowCount === 0) throw httpError('User not found', 404);
+    await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+  });
+  await authService.revokeAllSessions(userId);
+  return { mfaEnabled: false };
+}
+
+module.exports = {
+  generateRecoveryCodes,
+  normaliseRecoveryCode,
+  beginEnrollment,
+  confirmEnrollment,
+  verifyLogin,
+  regenerateRecoveryCodes,
+  reset,
+};
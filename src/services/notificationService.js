@@ -0,0 +1,303 @@
+const { pool } = require('../config/db');
+const { v4: uuidv4 } = require('uuid');
+const { ROLES } = require('../config/roles');
+const { USER_STATUSES } = require('../config/users');
+const { PROGRAM_STAGE_KEYS } = require('../config/pajsm');
+const { DOMAIN_EVENTS, subscribe } = require('../utils/domainEvents');
+const { sendMail } = require('../utils/mailer');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_PREFERENCE = { in_app: true, email: true };
+
+// Notification text deliberately carries no patient-identifying details:
+// recipients follow the link and see the record through normal access checks
+const TEMPLATES = {
+  [DOMAIN_EVENTS.REFERRAL_CREATED]: {
+    resourceType: 'referral',
+    title: () => 'New referral submitted',
+    body: (p) => `A ${p.referral.urgency} urgency referral is awaiting review.`,
+  },
+  [DOMAIN_EVENTS.REFERRAL_STATUS_CHANGED]: {
+    resourceType: 'referral',
+    title: (p) => `Referral ${p.toStatus.replace(/_/g, ' ')}`,
+    body: (p) => `A referral moved from ${p.fromStatus} to ${p.toStatus}.`,
+  },
+  [DOMAIN_EVENTS.REFERRAL_CLINICIAN_ASSIGNED]: {
+    resourceType: 'referral',
+    title: () => 'Referral assigned to you',
+    body: (p) => `A ${p.referral.urgency} urgency referral has been assigned to you.`,
+  },
+  [DOMAIN_EVENTS.HEARING_SCHEDULED]: {
+    resourceType: 'hearing',
+    title: () => 'Hearing scheduled',
+    body: (p) => `A hearing has been scheduled for ${new Date(p.hearing.scheduled_date).toISOString()}.`,
+  },
+  [DOMAIN_EVENTS.HEARING_RESCHEDULED]: {
+    resourceType: 'hearing',
+    title: () => 'Hearing rescheduled',
+    body: (p) => `A hearing has been moved to ${new Date(p.hearing.scheduled_date).toISOString()}.`,
+  },
+  [DOMAIN_EVENTS.HEARING_ADJOURNED]: {
+    resourceType: 'hearing',
+    title: () => 'Hearing adjourned',
+    body: (p) => `A hearing was adjourned to ${new Date(p.hearing.scheduled_date).toISOString()}.`,
+  },
+  [DOMAIN_EVENTS.HEARING_CANCELLED]: {
+    resourceType: 'hearing',
+    title: () => 'Hearing cancelled',
+    body: () => 'A scheduled hearing has been cancelled.',
+  },
+  [DOMAIN_EVENTS.HEARING_DECIDED]: {
+    resourceType: 'hearing',
+    title: () => 'Hearing decision recorded',
+    body: () => 'A decision has been recorded for a hearing.',
+  },
+  [DOMAIN_EVENTS.PAJSM_ENROLLED]: {
+    resourceType: 'pajsm_participant',
+    title: () => 'New PAJ-SM+ participant',
+    body: () => 'A participant has been enrolled in PAJ-SM+.',
+  },
+  [DOMAIN_EVENTS.PAJSM_STAGE_ADVANCED]: {
+    resourceType: 'pajsm_participant',
+    title: (p) => `PAJ-SM+ participant reached ${p.toStage.replace(/_/g, ' ')}`,
+    body: (p) => `A PAJ-SM+ participant moved from ${p.fromStage} to ${p.toStage}.`,
+  },
+  [DOMAIN_EVENTS.PAJSM_WITHDRAWN]: {
+    resourceType: 'pajsm_participant',
+    title: () => 'PAJ-SM+ participant withdrawn',
+    body: () => 'A participant has been withdrawn from PAJ-SM+.',
+  },
+  [DOMAIN_EVENTS.PAJSM_RETURNED_TO_COURT]: {
+    resourceType: 'pajsm_participant',
+    title: () => 'PAJ-SM+ file returned to court',
+    body: () => 'A PAJ-SM+ file has been returned to the regular court process.',
+  },
+  [DOMAIN_EVENTS.PAJSM_REINSTATED]: {
+    resourceType: 'pajsm_participant',
+    title: () => 'PAJ-SM+ participant reinstated',
+    body: () => 'A participant whose file returned to court has been reinstated in PAJ-SM+.',
+  },
+};
+
+const NOTIFICATION_EVENT_TYPES = Object.keys(TEMPLATES);
+
+function resourceOf(payload) {
+  return payload.referral || payload.hearing || payload.participant;
+}
+
+function buildNotification(type, payload) {
+  const template = TEMPLATES[type];
+  return {
+    eventType: type,
+    title: template.title(payload),
+    body: template.body(payload),
+    resourceType: template.resourceType,
+    resourceId: resourceOf(payload).id,
+  };
+}
+
+function referralParties(referral) {
+  return [referral.referred_by, referral.respondent_id, referral.assigned_clinician_id];
+}
+
+async function usersById(ids) {
+  const unique = [...new Set(ids.filter(Boolean))];
+  if (unique.length === 0) return [];
+  const { rows } = await pool.query(
+    'SELECT id, email FROM users WHERE id = ANY($1) AND status = $2',
+    [unique, USER_STATUSES.ACTIVE]
+  );
+  return rows;
+}
+
+async function usersByRole(roles) {
+  const { rows } = await pool.query(
+    'SELECT id, email FROM users WHERE role = ANY($1) AND status = $2',
+    [roles, USER_STATUSES.ACTIVE]
+  );
+  return rows;
+}
+
+async function hearingRecipients({ hearing }) {
+  const ids = [...(hearing.panel_members || [])];
+  if (hearing.referral_id) {
+    const { rows } = await pool.query('SELECT * FROM referrals WHERE id = $1', [
+      hearing.referral_id,
+    ]);
+    if (rows[0]) ids.push(...referralParties(rows[0]));
+  }
+  if (hearing.pajsm_participant_id) {
+    const { rows } = await pool.query(
+      'SELECT assigned_clinician_id FROM pajsm_participants WHERE id = $1',
+      [hearing.pajsm_participant_id]
+    );
+    if (rows[0]) ids.push(rows[0].assigned_clinician_id);
+  }
+  return usersById(ids);
+}
+
+async function participantRecipients({ participant, toStage }) {
+  const recipients = await usersById([
+    participant.assigned_clinician_id,
+    participant.victim_services_worker_id,
+  ]);
+  if (!toStage || toStage === PROGRAM_STAGE_KEYS.PROSECUTOR_EVALUATION) {
+    recipients.push(...(await usersByRole([ROLES.PROSECUTOR])));
+  }
+  return recipients;
+}
+
+const RECIPIENT_RESOLVERS = {
+  [DOMAIN_EVENTS.REFERRAL_CREATED]: () => usersByRole([ROLES.ADMIN]),
+  [DOMAIN_EVENTS.REFERRAL_STATUS_CHANGED]: ({ referral }) => usersById(referralParties(referral)),
+  [DOMAIN_EVENTS.REFERRAL_CLINICIAN_ASSIGNED]: ({ referral }) =>
+    usersById([referral.assigned_clinician_id]),
+  [DOMAIN_EVENTS.HEARING_SCHEDULED]: hearingRecipients,
+  [DOMAIN_EVENTS.HEARING_RESCHEDULED]: hearingRecipients,
+  [DOMAIN_EVENTS.HEARING_ADJOURNED]: hearingRecipients,
+  [DOMAIN_EVENTS.HEARING_CANCELLED]: hearingRecipients,
+  [DOMAIN_EVENTS.HEARING_DECIDED]: hearingRecipients,
+  [DOMAIN_EVENTS.PAJSM_ENROLLED]: participantRecipients,
+  [DOMAIN_EVENTS.PAJSM_STAGE_ADVANCED]: participantRecipients,
+  [DOMAIN_EVENTS.PAJSM_WITHDRAWN]: participantRecipients,
+  [DOMAIN_EVENTS.PAJSM_RETURNED_TO_COURT]: participantRecipients,
+  [DOMAIN_EVENTS.PAJSM_REINSTATED]: participantRecipients,
+};
+
+function resourceLink(notification) {
+  const base = process.env.APP_BASE_URL || '';
+  const paths = { referral: 'referrals', hearing: 'tribunals', pajsm_participant: 'pajsm' };
+  return `${base}/${paths[notification.resourceType]}/${notification.resourceId}`;
+}
+
+async function dispatch(type, payload) {
+  const notification = buildNotification(type, payload);
+  const recipients = (await RECIPIENT_RESOLVERS[type](payload)).filter(
+    (r, i, all) => r.id !== payload.actor?.id && all.findIndex((o) => o.id === r.id) === i
+  );
+  if (recipients.length === 0) return;
+
+  const { rows: stored } = await pool.query(
+    'SELECT * FROM notification_preferences WHERE event_type = $1 AND user_id = ANY($2)',
+    [type, recipients.map((r) => r.id)]
+  );
+  const preferences = new Map(stored.map((p) => [p.user_id, p]));
+
+  for (const recipient of recipients) {
+    const preference = preferences.get(recipient.id) || DEFAULT_PREFERENCE;
+
+    if (preference.in_app) {
+      await pool.query(
+        `INSERT INTO notifications (id, user_id, event_type, title, body, resource_type, resource_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          uuidv4(),
+          recipient.id,
+          type,
+          notification.title,
+          notification.body,
+          notification.resourceType,
+          notification.resourceId,
+        ]
+      );
+    }
+
+    if (preference.email && recipient.email) {
+      try {
+        await sendMail({
+          to: recipient.email,
+          subject: notification.title,
+          text: `${notification.body}\n\n${resourceLink(notification)}`,
+        });
+      } catch (err) {
+        logger.error({ message: 'Notification email failed', event: type, error: err.message });
+      }
+    }
+  }
+}
+
+function registerSubscribers() {
+  NOTIFICATION_EVENT_TYPES.forEach((type) => subscribe(type, (payload) => dispatch(type, payload)));
+}
+
+async function list(user, filters = {}) {
+  const params = [user.id];
+  let unread = '';
+  if (filters.unread === true) unread = 'AND read_at IS NULL';
+
+  params.push(Math.min(parseInt(filters.limit, 10) || 50, 200));
+  const { rows } = await pool.query(
+    `SELECT * FROM notifications
+     WHERE user_id = $1 ${unread}
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    params
+  );
+  return rows;
+}
+
+async function markRead(id, user) {
+  const { rows } = await pool.query(
+    `UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+     WHERE id = $1 AND user_id = $2 RETURNING *`,
+    [id, user.id]
+  );
+  if (!rows[0]) {
+    const err = new Error('Notification not found');
+    err.statusCode = 404;
+    throw err;
+  }
+  return rows[0];
+}
+
+async function markAllRead(user) {
+  const { rowCount } = await pool.query(
+    'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+    [user.id]
+  );
+  return { updated: rowCount };
+}
+
+async function getPreferences(user) {
+  const { rows } = await pool.query('SELECT * FROM notification_preferences WHERE user_id = $1', [
+    user.id,
+  ]);
+  const stored = new Map(rows.map((p) => [p.event_type, p]));
+
+  return NOTIFICATION_EVENT_TYPES.map((eventType) => {
+    const preference = stored.get(eventType) || DEFAULT_PREFERENCE;
+    return { eventType, inApp: preference.in_app, email: preference.email };
+  });
+}
+
+async function updatePreferences(preferences, user) {
+  for (const preference of preferences || []) {
+    if (!NOTIFICATION_EVENT_TYPES.includes(preference.eventType)) {
+      const err = new Error(`Unknown notification event type "${preference.eventType}"`);
+      err.statusCode = 400;
+      throw err;
+    }
+  }
+
+  for (const preference of preferences || []) {
+    await pool.query(
+      `INSERT INTO notification_preferences (user_id, event_type, in_app, email)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id, event_type)
+       DO UPDATE SET in_app = EXCLUDED.in_app, email = EXCLUDED.email, updated_at = NOW()`,
+      [user.id, preference.eventType, preference.inApp !== false, preference.email !== false]
+    );
+  }
+  return getPreferences(user);
+}
+
+module.exports = {
+  NOTIFICATION_EVENT_TYPES,
+  buildNotification,
+  registerSubscribers,
+  list,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences,
+};
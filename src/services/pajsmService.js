@@ -1,143 +1,798 @@
-const { pool } = require('../config/db');
+const { pool, withTransaction } = require('../config/db');
 const { v4: uuidv4 } = require('uuid');
-const { PROGRAM_STAGES, PROGRAM_STAGE_KEYS } = require('../config/pajsm');
-const { checkEligibility } = require('./eligibilityService');
+const {
+  PROGRAM_STAGES,
+  PROGRAM_STAGE_KEYS,
+  PROGRAM_OUTCOMES,
+  VULNERABILITIES,
+} = require('../config/pajsm');
+const { ROLES } = require('../config/roles');
+const { USER_STATUSES } = require('../config/users');
+const {
+  STAGE_EXIT_RULES,
+  STAGE_REQUIREMENTS,
+  OUTCOME_REASON_CATEGORIES,
+  COURT_RETURN_OUTCOMES,
+  VICTIM_CONSENT_STATUSES,
+  PLAN_AMENDMENT_STAGES,
+  APPEARANCE_STATUSES,
+  APPEARANCE_RECORDING_GRACE_MINUTES,
+} = require('../config/pajsmWorkflow');
+const { HEARING_STATUSES } = require('../config/hearingWorkflow');
+const { COURT_TIME_ZONE } = require('../config/scheduling');
+const ruleSetService = require('./ruleSetService');
+const victimConsentService = require('./victimConsentService');
+const interventionPlanService = require('./interventionPlanService');
+const tribunalService = require('./tribunalService');
+const { checkEligibility, requiresVictimConsent } = require('./eligibilityService');
+const { CLINICIAN_ROLES, pajsmScope } = require('./accessScope');
+const { encryptRow, decryptRow, blindIndex } = require('../utils/fieldEncryption');
+const { DOMAIN_EVENTS, publish } = require('../utils/domainEvents');
+const { PAJSM_SORT_FIELDS } = require('../config/pagination');
+const { parsePage, keyset, toPage, parseEnumFilter } = require('../utils/listQuery');
+
+const decrypt = (row) => decryptRow('pajsm_participants', row);
+const decryptOutcome = (row) => decryptRow('pajsm_outcomes', row);
+
+// Keeps each evaluation, including its per-criterion inputs, so the decision
+// can be reviewed later under the rule set it was made with
+async function recordEvaluation(db, participantId, result, user) {
+  const { rows } = await db.query(
+    `INSERT INTO pajsm_eligibility_evaluations
+      (id, participant_id, rule_set_version, eligible, provisional, criteria, reasons, evaluated_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      uuidv4(),
+      participantId,
+      result.ruleSetVersion,
+      result.eligible,
+      result.provisional,
+      JSON.stringify(result.criteria),
+      JSON.stringify(result.reasons),
+      user.id,
+    ]
+  );
+  return rows[0];
+}
+
+const VICTIM_SERVICES_WORKER_MESSAGE =
+  'The victim services worker must be an active victim services worker account';
+
+// Users named on a file must be active accounts holding one of the roles
+async function assertActiveUser(userId, roles, message) {
+  const { rows } = await pool.query('SELECT role, status FROM users WHERE id = $1', [userId]);
+  if (!rows[0] || !roles.includes(rows[0].role) || rows[0].status !== USER_STATUSES.ACTIVE) {
+    const err = new Error(message);
+    err.statusCode = 400;
+    throw err;
+  }
+}
 
 async function enroll(data, user) {
-  const result = checkEligibility(data);
+  const result = await ruleSetService.evaluate(data);
   if (!result.eligible) {
     const err = new Error('Participant is not eligible for PAJ-SM+');
     err.statusCode = 400;
     err.reasons = result.reasons;
+    err.details = { ruleSetVersion: result.ruleSetVersion, criteria: result.criteria };
     throw err;
   }
 
+  if (data.assigned_clinician_id) {
+    await assertActiveUser(
+      data.assigned_clinician_id,
+      CLINICIAN_ROLES,
+      'The assigned clinician must be an active mental health professional or physician'
+    );
+  }
+
+  if (data.victim_services_worker_id) {
+    await assertActiveUser(
+      data.victim_services_worker_id,
+      [ROLES.VICTIM_SERVICES_WORKER],
+      VICTIM_SERVICES_WORKER_MESSAGE
+    );
+  }
+
+  // A clinician enrolling a participant becomes their assigned clinician
+  const assignedClinicianId =
+    data.assigned_clinician_id ||
+    (user.role === ROLES.MENTAL_HEALTH_PROFESSIONAL ? user.id : null);
+
+  const sensitive = encryptRow('pajsm_participants', {
+    accused_name: data.accused_name,
+    offence_description: data.offence_description || null,
+  });
+
   const id = uuidv4();
-  const { rows } = await pool.query(
-    `INSERT INTO pajsm_participants
-      (id, referral_id, accused_name, district, vulnerabilities, diagnosed,
-       offence_description, offence_category, prosecution_mode,
-       accepts_responsibility, is_voluntary, waives_delay, criminally_fit,
-       victim_consent, victim_consent_mode, stage)
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
-     RETURNING *`,
-    [
-      id,
-      data.referral_id || null,
-      data.accused_name,
-      data.district || null,
-      data.vulnerabilities,
-      data.diagnosed || false,
-      data.offence_description || null,
-      data.offence_category || null,
-      data.prosecution_mode || null,
-      data.accepts_responsibility,
-      data.is_voluntary,
-      data.waives_delay,
-      data.criminally_fit,
-      data.victim_consent || null,
-      data.victim_consent_mode || null,
-      PROGRAM_STAGE_KEYS.REFERRAL,
-    ]
-  );
-  return rows[0];
+  const participant = await withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `INSERT INTO pajsm_participants
+        (id, referral_id, accused_name, accused_name_index, district, vulnerabilities, diagnosed,
+         offence_description, offence_category, prosecution_mode,
+         accepts_responsibility, is_voluntary, waives_delay, criminally_fit,
+         victim_consent, victim_consent_mode, stage, assigned_clinician_id,
+         eligibility_rule_set_version, capacity_to_learn, victim_services_worker_id)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21)
+       RETURNING *`,
+      [
+        id,
+        data.referral_id || null,
+        sensitive.accused_name,
+        sensitive.accused_name_index,
+        data.district || null,
+        data.vulnerabilities,
+        data.diagnosed || false,
+        sensitive.offence_description,
+        data.offence_category || null,
+        data.prosecution_mode || null,
+        data.accepts_responsibility,
+        data.is_voluntary,
+        data.waives_delay,
+        data.criminally_fit,
+        data.victim_consent || null,
+        data.victim_consent_mode || null,
+        PROGRAM_STAGE_KEYS.REFERRAL,
+        assignedClinicianId,
+        result.ruleSetVersion,
+        data.capacity_to_learn === undefined ? null : data.capacity_to_learn,
+        data.victim_services_worker_id || null,
+      ]
+    );
+    const evaluation = await recordEvaluation(client, id, result, user);
+    await recordStageChange(client, id, null, PROGRAM_STAGE_KEYS.REFERRAL, null, user);
+    return { ...decrypt(rows[0]), eligibility: evaluation };
+  });
+
+  publish(DOMAIN_EVENTS.PAJSM_ENROLLED, { participant, actor: user });
+  return participant;
 }
 
 async function getById(id, user) {
+  const params = [id];
+  const scope = pajsmScope(user, 'p', params);
   const { rows } = await pool.query(
-    'SELECT * FROM pajsm_participants WHERE id = $1',
-    [id]
+    `SELECT p.* FROM pajsm_participants p WHERE p.id = $1 AND ${scope}`,
+    params
   );
   if (!rows[0]) {
     const err = new Error('PAJ-SM+ participant not found');
     err.statusCode = 404;
     throw err;
   }
-  return rows[0];
+  return decrypt(rows[0]);
 }
 
-async function list(user) {
+async function list(user, filters = {}) {
+  const page = parsePage(filters, PAJSM_SORT_FIELDS, '-created_at');
+  const stages = parseEnumFilter(filters.stage, PROGRAM_STAGES, 'stage');
+  const outcomes = parseEnumFilter(filters.outcome, PROGRAM_OUTCOMES, 'outcome');
+  const vulnerabilities = parseEnumFilter(
+    filters.vulnerability,
+    Object.values(VULNERABILITIES),
+    'vulnerability'
+  );
+
+  const params = [];
+  const conditions = [pajsmScope(user, 'p', params)];
+
+  // Accused names are encrypted, so lookups match on the blind index
+  if (filters.accusedName) {
+    params.push(blindIndex(filters.accusedName));
+    conditions.push(`p.accused_name_index = $${params.length}`);
+  }
+  if (stages) {
+    params.push(stages);
+    conditions.push(`p.stage = ANY($${params.length})`);
+  }
+  if (filters.district) {
+    params.push(filters.district);
+    conditions.push(`p.district = $${params.length}`);
+  }
+  if (outcomes) {
+    params.push(outcomes);
+    conditions.push(`p.outcome = ANY($${params.length})`);
+  }
+  // Participants presenting any of the requested vulnerabilities
+  if (vulnerabilities) {
+    params.push(vulnerabilities);
+    conditions.push(`p.vulnerabilities && $${params.length}::text[]`);
+  }
+
+  const order = keyset(page, PAJSM_SORT_FIELDS, 'p', params);
+  if (order.condition) conditions.push(order.condition);
+  params.push(page.limit + 1);
+
   const { rows } = await pool.query(
-    'SELECT * FROM pajsm_participants ORDER BY created_at DESC'
+    `SELECT p.*, ${order.sortKey} FROM pajsm_participants p
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY ${order.orderBy}
+     LIMIT $${params.length}`,
+    params
   );
-  return rows;
+  return toPage(rows, page, decrypt);
+}
+
+const REQUIREMENT_CHECKS = {
+  no_final_outcome: ({ participant }) => !participant.outcome,
+  eligibility_evaluated: ({ evaluation }) => Boolean(evaluation && evaluation.eligible),
+  eligibility_confirmed: ({ evaluation }) =>
+    Boolean(evaluation && evaluation.eligible && !evaluation.provisional),
+  intervention_plan_on_file: ({ planCount }) => planCount > 0,
+  follow_up_recorded: ({ followUpCount }) => followUpCount > 0,
+  victim_consent_current: ({ consentRequired, consentStatus }) =>
+    !consentRequired || consentStatus === VICTIM_CONSENT_STATUSES.ACTIVE,
+};
+
+function blocking(requirement) {
+  return { requirement, message: STAGE_REQUIREMENTS[requirement] };
+}
+
+// Reports whether the participant may leave their current stage, who may
+// move them and which requirements are still blocking. facts carries the
+// participant, their latest eligibility evaluation, plan/follow-up counts and
+// whether the offence requires victim consent and the status of that consent.
+function assessStageExit(facts, role) {
+  const { stage } = facts.participant;
+  const rule = STAGE_EXIT_RULES[stage];
+  if (!rule) {
+    return {
+      stage,
+      nextStage: null,
+      allowedRoles: [],
+      roleAllowed: false,
+      ready: false,
+      blocking: [blocking('not_final_stage')],
+    };
+  }
+
+  const unmet = rule.requirements.filter((r) => !REQUIREMENT_CHECKS[r](facts)).map(blocking);
+  return {
+    stage,
+    nextStage: PROGRAM_STAGES[PROGRAM_STAGES.indexOf(stage) + 1],
+    allowedRoles: rule.roles,
+    roleAllowed: rule.roles.includes(role),
+    ready: unmet.length === 0,
+    blocking: unmet,
+  };
 }
 
-async function advanceStage(id, user) {
+async function loadStageFacts(db, participant) {
+  const { rows } = await db.query(
+    `SELECT
+       (SELECT row_to_json(e) FROM (
+          SELECT eligible, provisional, rule_set_version, created_at
+          FROM pajsm_eligibility_evaluations WHERE participant_id = $1
+          ORDER BY created_at DESC LIMIT 1) e) AS evaluation,
+       (SELECT COUNT(*)::int FROM pajsm_intervention_plans WHERE participant_id = $1)
+         AS plan_count,
+       (SELECT COUNT(*)::int FROM pajsm_follow_ups
+          WHERE participant_id = $1 AND (hearing_id IS NULL OR appeared IS NOT NULL))
+         AS follow_up_count,
+       (SELECT MAX(created_at) FROM pajsm_stage_history
+          WHERE participant_id = $1 AND to_stage = $2) AS stage_entered_at`,
+    [participant.id, participant.stage]
+  );
+  const ruleSet = await ruleSetService.getByVersion(participant.eligibility_rule_set_version || 1);
+  const consent = await victimConsentService.latest(db, participant.id);
+  return {
+    participant,
+    evaluation: rows[0].evaluation,
+    planCount: rows[0].plan_count,
+    followUpCount: rows[0].follow_up_count,
+    consentRequired: requiresVictimConsent(participant, ruleSet),
+    consentStatus: victimConsentService.consentStatus(consent, {
+      stage: participant.stage,
+      stageEnteredAt: rows[0].stage_entered_at,
+    }),
+  };
+}
+
+async function recordStageChange(db, participantId, fromStage, toStage, justification, user) {
+  await db.query(
+    `INSERT INTO pajsm_stage_history
+      (id, participant_id, from_stage, to_stage, changed_by, role, justification)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [uuidv4(), participantId, fromStage, toStage, user.id, user.role, justification || null]
+  );
+}
+
+async function getStageRequirements(id, user) {
   const participant = await getById(id, user);
-  const currentIndex = PROGRAM_STAGES.indexOf(participant.stage);
+  return assessStageExit(await loadStageFacts(pool, participant), user.role);
+}
+
+async function advanceStage(id, justification, user) {
+  await getById(id, user);
+
+  const { advanced, fromStage, toStage } = await withTransaction(async (client) => {
+    const { rows: locked } = await client.query(
+      'SELECT * FROM pajsm_participants WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    const participant = locked[0];
+    const assessment = assessStageExit(await loadStageFacts(client, participant), user.role);
+
+    if (assessment.nextStage && !assessment.roleAllowed) {
+      const err = new Error(`Role "${user.role}" cannot close the ${participant.stage} stage`);
+      err.statusCode = 403;
+      throw err;
+    }
+    if (!assessment.ready) {
+      const err = new Error(`Cannot leave the ${participant.stage} stage yet`);
+      err.statusCode = 400;
+      err.errorCode = 'STAGE_REQUIREMENTS_NOT_MET';
+      err.reasons = assessment.blocking.map((b) => b.message);
+      err.details = { blocking: assessment.blocking };
+      throw err;
+    }
+
+    const nextStage = assessment.nextStage;
+    const updates = ['stage = $1', 'updated_at = NOW()'];
+    const params = [nextStage];
+    let paramIndex = 2;
+
+    // Set enrolled_at when moving past referral into prosecutor evaluation
+    if (
+      nextStage === PROGRAM_STAGE_KEYS.PROSECUTOR_EVALUATION &&
+      !participant.enrolled_at
+    ) {
+      updates.push(`enrolled_at = $${paramIndex++}`);
+      params.push(new Date().toISOString());
+    }
+
+    // Set completed_at when reaching program outcome
+    if (nextStage === PROGRAM_STAGE_KEYS.PROGRAM_OUTCOME) {
+      updates.push(`completed_at = $${paramIndex++}`);
+      params.push(new Date().toISOString());
+      updates.push(`outcome = $${paramIndex++}`);
+      params.push('completed');
+    }
+
+    params.push(id);
+    const { rows } = await client.query(
+      `UPDATE pajsm_participants SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      params
+    );
+    await recordStageChange(client, id, participant.stage, nextStage, justification, user);
+    if (nextStage === PROGRAM_STAGE_KEYS.PROGRAM_OUTCOME) {
+      await recordOutcome(
+        client,
+        id,
+        'completed',
+        { reason: justification, effective_date: rows[0].completed_at },
+        user
+      );
+    }
+    return { advanced: decrypt(rows[0]), fromStage: participant.stage, toStage: nextStage };
+  });
+
+  publish(DOMAIN_EVENTS.PAJSM_STAGE_ADVANCED, {
+    participant: advanced,
+    fromStage,
+    toStage,
+    actor: user,
+  });
+  return advanced;
+}
+
+async function loadStageHistory(id) {
+  const { rows } = await pool.query(
+    `SELECT h.*, u.name AS changed_by_name FROM pajsm_stage_history h
+     LEFT JOIN users u ON u.id = h.changed_by
+     WHERE h.participant_id = $1 ORDER BY h.created_at ASC`,
+    [id]
+  );
+  return rows;
+}
+
+async function getStageHistory(id, user) {
+  await getById(id, user);
+  return loadStageHistory(id);
+}
+
+// Records a clinician's findings on diagnosis and capacity to learn, then
+// re-evaluates under the rule set the participant was enrolled with
+async function confirmClinicalEligibility(id, data, user) {
+  const current = await getById(id, user);
+  const ruleSet = await ruleSetService.getByVersion(current.eligibility_rule_set_version || 1);
 
-  if (currentIndex === -1 || currentIndex >= PROGRAM_STAGES.length - 1) {
-    const err = new Error('Cannot advance beyond the final stage');
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `UPDATE pajsm_participants SET diagnosed = $1, capacity_to_learn = $2, updated_at = NOW()
+       WHERE id = $3 AND outcome IS NULL RETURNING *`,
+      [data.diagnosed, data.capacity_to_learn, id]
+    );
+    if (!rows[0]) {
+      const err = new Error('Participant already has a final outcome');
+      err.statusCode = 400;
+      throw err;
+    }
+    const participant = decrypt(rows[0]);
+    const result = checkEligibility(participant, ruleSet);
+    const evaluation = await recordEvaluation(client, id, result, user);
+    return { ...participant, eligibility: evaluation };
+  });
+}
+
+// Outcome and consent dates may be backdated to when the event actually
+// happened, but never set in the future
+function effectiveDateOf(value, label = 'effective date', now = new Date()) {
+  const date = value ? new Date(value) : now;
+  if (date > now) {
+    const err = new Error(`The ${label} cannot be in the future`);
     err.statusCode = 400;
     throw err;
   }
+  return date;
+}
 
-  const nextStage = PROGRAM_STAGES[currentIndex + 1];
-  const updates = ['stage = $1', 'updated_at = NOW()'];
-  const params = [nextStage];
-  let paramIndex = 2;
-
-  // Set enrolled_at when moving past referral into prosecutor evaluation
-  if (
-    nextStage === PROGRAM_STAGE_KEYS.PROSECUTOR_EVALUATION &&
-    !participant.enrolled_at
-  ) {
-    updates.push(`enrolled_at = $${paramIndex++}`);
-    params.push(new Date().toISOString());
-  }
+async function recordOutcome(db, participantId, outcome, data, user) {
+  const sensitive = encryptRow('pajsm_outcomes', { reason: data.reason || null });
+  const { rows } = await db.query(
+    `INSERT INTO pajsm_outcomes
+      (id, participant_id, outcome, reason_category, reason, effective_date, authorized_by, role)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      uuidv4(),
+      participantId,
+      outcome,
+      data.reason_category || null,
+      sensitive.reason,
+      data.effective_date,
+      user.id,
+      user.role,
+    ]
+  );
+  return decryptOutcome(rows[0]);
+}
 
-  // Set completed_at when reaching program outcome
-  if (nextStage === PROGRAM_STAGE_KEYS.PROGRAM_OUTCOME) {
-    updates.push(`completed_at = $${paramIndex++}`);
-    params.push(new Date().toISOString());
-    updates.push(`outcome = $${paramIndex++}`);
-    params.push('completed');
+// Sets the participant's final outcome and records who decided it, why and
+// from when. extraUpdates are further assignments made in the same update.
+async function applyOutcome(client, id, outcome, data, user, extraUpdates = []) {
+  const updates = ['outcome = $1', 'completed_at = $2', 'updated_at = NOW()', ...extraUpdates];
+  const { rows } = await client.query(
+    `UPDATE pajsm_participants SET ${updates.join(', ')}
+     WHERE id = $3 AND outcome IS NULL RETURNING *`,
+    [outcome, data.effective_date, id]
+  );
+  if (!rows[0]) {
+    const err = new Error('Participant already has a final outcome');
+    err.statusCode = 400;
+    throw err;
   }
+  const outcomeRecord = await recordOutcome(client, id, outcome, data, user);
+  return { ...decrypt(rows[0]), outcomeRecord };
+}
 
-  params.push(id);
-  const { rows } = await pool.query(
-    `UPDATE pajsm_participants SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
-    params
+async function withdraw(id, data, user) {
+  await getById(id, user);
+  const effectiveDate = effectiveDateOf(data.effective_date);
+  const withdrawn = await withTransaction((client) =>
+    applyOutcome(client, id, 'withdrawn', { ...data, effective_date: effectiveDate }, user)
   );
-  return rows[0];
+  publish(DOMAIN_EVENTS.PAJSM_WITHDRAWN, { participant: withdrawn, actor: user });
+  return withdrawn;
 }
 
-async function withdraw(id, reason, user) {
+async function listVictimConsents(id, user) {
   const participant = await getById(id, user);
-  if (participant.outcome) {
-    const err = new Error('Participant already has a final outcome');
+  const facts = await loadStageFacts(pool, participant);
+  return {
+    required: facts.consentRequired,
+    status: facts.consentStatus,
+    records: await victimConsentService.list(pool, id),
+  };
+}
+
+// Records consent given by or for the victim; recording it again is how
+// consent is reconfirmed. The participant keeps it as their current consent
+// and the recording worker, if none is named, becomes their support worker.
+async function recordVictimConsent(id, data, user) {
+  await getById(id, user);
+  const givenAt = effectiveDateOf(data.given_at, 'consent date');
+  if (data.expires_at && new Date(data.expires_at) <= givenAt) {
+    const err = new Error('Consent must expire after the date it was given');
     err.statusCode = 400;
     throw err;
   }
+  if (data.victim_services_worker_id) {
+    await assertActiveUser(
+      data.victim_services_worker_id,
+      [ROLES.VICTIM_SERVICES_WORKER],
+      VICTIM_SERVICES_WORKER_MESSAGE
+    );
+  }
+  const workerId =
+    data.victim_services_worker_id ||
+    (user.role === ROLES.VICTIM_SERVICES_WORKER ? user.id : null);
 
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(
+      'SELECT outcome FROM pajsm_participants WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    // A returned file may take new consent so that it can be reinstated
+    if (rows[0].outcome === 'completed') {
+      const err = new Error('Consent cannot be recorded for a participant who completed PAJ-SM+');
+      err.statusCode = 400;
+      throw err;
+    }
+    await victimConsentService.checkDocument(client, id, data);
+
+    const consent = await victimConsentService.record(
+      client,
+      id,
+      { ...data, given_at: givenAt, victim_services_worker_id: workerId },
+      user
+    );
+    await client.query(
+      `UPDATE pajsm_participants
+       SET victim_consent = true, victim_consent_mode = $1,
+           victim_services_worker_id = COALESCE($2, victim_services_worker_id), updated_at = NOW()
+       WHERE id = $3`,
+      [data.mode, workerId, id]
+    );
+    return consent;
+  });
+}
+
+// Revokes the victim's consent. A participant still in the program is
+// returned to court under consent_revoked; a file that has already left it
+// only loses the consent it would need to be reinstated.
+async function revokeVictimConsent(id, data, user) {
+  await getById(id, user);
+  const effectiveDate = effectiveDateOf(data.effective_date);
+
+  const { participant, returned } = await withTransaction(async (client) => {
+    const { rows: locked } = await client.query(
+      'SELECT outcome FROM pajsm_participants WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    const revoked = await victimConsentService.revokeAll(
+      client,
+      id,
+      { reason: data.reason, revoked_at: effectiveDate },
+      user
+    );
+    if (revoked.length === 0) {
+      const err = new Error('There is no victim consent on file to revoke');
+      err.statusCode = 400;
+      throw err;
+    }
+
+    if (locked[0].outcome) {
+      const { rows } = await client.query(
+        `UPDATE pajsm_participants SET victim_consent = false, updated_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [id]
+      );
+      return { participant: decrypt(rows[0]), returned: false };
+    }
+
+    const closed = await applyOutcome(
+      client,
+      id,
+      'returned_to_court',
+      {
+        reason_category: OUTCOME_REASON_CATEGORIES.CONSENT_REVOKED,
+        reason: data.reason,
+        effective_date: effectiveDate,
+      },
+      user,
+      ['victim_consent = false']
+    );
+    return { participant: closed, returned: true };
+  });
+
+  if (returned) publish(DOMAIN_EVENTS.PAJSM_RETURNED_TO_COURT, { participant, actor: user });
+  return participant;
+}
+
+// Brings a returned file back into the program at the stage it left. The
+// participant must still be eligible under their rule set, on the file as it
+// now stands; a victim who revoked consent, for example, must consent again.
+async function reinstate(id, justification, user) {
+  await getById(id, user);
+
+  const reinstated = await withTransaction(async (client) => {
+    const { rows: locked } = await client.query(
+      'SELECT * FROM pajsm_participants WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    const participant = decrypt(locked[0]);
+    if (!COURT_RETURN_OUTCOMES.includes(participant.outcome)) {
+      const err = new Error('Only a participant whose file returned to court can be reinstated');
+      err.statusCode = 400;
+      throw err;
+    }
+
+    const ruleSet = await ruleSetService.getByVersion(
+      participant.eligibility_rule_set_version || 1
+    );
+    const result = checkEligibility(participant, ruleSet);
+    if (!result.eligible) {
+      const err = new Error('Participant is no longer eligible for PAJ-SM+');
+      err.statusCode = 400;
+      err.reasons = result.reasons;
+      err.details = { ruleSetVersion: result.ruleSetVersion, criteria: result.criteria };
+      throw err;
+    }
+
+    const { rows } = await client.query(
+      `UPDATE pajsm_participants SET outcome = NULL, completed_at = NULL, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [id]
+    );
+    const evaluation = await recordEvaluation(client, id, result, user);
+    const outcomeRecord = await recordOutcome(
+      client,
+      id,
+      'reinstated',
+      { reason: justification, effective_date: new Date() },
+      user
+    );
+    return { ...decrypt(rows[0]), eligibility: evaluation, outcomeRecord };
+  });
+
+  publish(DOMAIN_EVENTS.PAJSM_REINSTATED, { participant: reinstated, actor: user });
+  return reinstated;
+}
+
+// Oldest first, so the last entry explains the current outcome
+async function loadOutcomes(id) {
   const { rows } = await pool.query(
-    `UPDATE pajsm_participants
-     SET outcome = 'withdrawn', completed_at = NOW(), updated_at = NOW()
-     WHERE id = $1 RETURNING *`,
+    `SELECT o.*, u.name AS authorized_by_name FROM pajsm_outcomes o
+     LEFT JOIN users u ON u.id = o.authorized_by
+     WHERE o.participant_id = $1 ORDER BY o.created_at ASC`,
     [id]
   );
-  return rows[0];
+  return rows.map(decryptOutcome);
+}
+
+async function listOutcomes(id, user) {
+  await getById(id, user);
+  return loadOutcomes(id);
 }
 
-async function revokeVictimConsent(id, user) {
+// Assembles what happened during the program into one chronological account
+// for the prosecutor and the court picking the file back up. records holds the
+// participant and their outcomes, stage history, evaluations, plans and follow-ups.
+function buildCourtPackage(records, generatedAt = new Date()) {
+  const { participant, outcomes, stageHistory, evaluations, plans, followUps } = records;
+  const closing = outcomes[outcomes.length - 1] || null;
+
+  const timeline = [
+    ...stageHistory.map((h) => ({
+      at: h.created_at,
+      type: 'stage_change',
+      fromStage: h.from_stage,
+      toStage: h.to_stage,
+      by: h.changed_by_name || null,
+      justification: h.justification,
+    })),
+    ...evaluations.map((e) => ({
+      at: e.created_at,
+      type: 'eligibility_evaluation',
+      eligible: e.eligible,
+      provisional: e.provisional,
+      ruleSetVersion: e.rule_set_version,
+      reasons: e.reasons,
+    })),
+    ...plans.map((p) => ({
+      at: p.created_at,
+      type: 'intervention_plan',
+      version: p.version,
+      amendmentReason: p.amendment_reason,
+      planDetails: p.plan_details,
+      objectives: p.objectives,
+    })),
+    ...followUps.map((f) => ({
+      at: f.follow_up_date,
+      type: 'follow_up',
+      hearingId: f.hearing_id || null,
+      appearance: appearanceStatus(f, generatedAt),
+      notes: f.notes,
+    })),
+    ...outcomes.map((o) => ({
+      at: o.effective_date,
+      type: 'outcome',
+      outcome: o.outcome,
+      reasonCategory: o.reason_category,
+      reason: o.reason,
+      by: o.authorized_by_name || null,
+    })),
+  ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return {
+    generatedAt,
+    participant: {
+      id: participant.id,
+      accusedName: participant.accused_name,
+      district: participant.district,
+      offenceCategory: participant.offence_category,
+      offenceDescription: participant.offence_description,
+      prosecutionMode: participant.prosecution_mode,
+      stageReached: participant.stage,
+      enrolledAt: participant.enrolled_at,
+      ruleSetVersion: participant.eligibility_rule_set_version,
+    },
+    outcome: closing && {
+      outcome: closing.outcome,
+      reasonCategory: closing.reason_category,
+      reason: closing.reason,
+      effectiveDate: closing.effective_date,
+      authorizedBy: closing.authorized_by_name || null,
+      role: closing.role,
+    },
+    summary: {
+      interventionPlans: plans.length,
+      followUps: followUps.length,
+      lastFollowUpDate: followUps.length
+        ? followUps.map((f) => f.follow_up_date).sort((a, b) => new Date(b) - new Date(a))[0]
+        : null,
+      missedAppearances: followUps.filter(
+        (f) => appearanceStatus(f, generatedAt) === APPEARANCE_STATUSES.MISSED
+      ).length,
+      reinstatements: outcomes.filter((o) => o.outcome === 'reinstated').length,
+    },
+    timeline,
+  };
+}
+
+async function getCourtPackage(id, user) {
   const participant = await getById(id, user);
-  if (participant.outcome) {
-    const err = new Error('Participant already has a final outcome');
+  if (!COURT_RETURN_OUTCOMES.includes(participant.outcome)) {
+    const err = new Error('A return-to-court package exists only once the file has returned');
     err.statusCode = 400;
     throw err;
   }
 
+  const byParticipant = (sql) => pool.query(sql, [id]).then(({ rows }) => rows);
+  const [outcomes, stageHistory, evaluations, plans, followUps] = await Promise.all([
+    loadOutcomes(id),
+    loadStageHistory(id),
+    byParticipant(
+      'SELECT * FROM pajsm_eligibility_evaluations WHERE participant_id = $1 ORDER BY created_at'
+    ),
+    byParticipant(
+      'SELECT * FROM pajsm_intervention_plans WHERE participant_id = $1 ORDER BY created_at'
+    ),
+    byParticipant(`${FOLLOW_UPS_SELECT} WHERE f.participant_id = $1 ORDER BY f.follow_up_date`),
+  ]);
+
+  return buildCourtPackage({ participant, outcomes, stageHistory, evaluations, plans, followUps });
+}
+
+// Most recent first; the first entry is the evaluation currently relied on
+async function listEvaluations(participantId, user) {
+  await getById(participantId, user);
   const { rows } = await pool.query(
-    `UPDATE pajsm_participants
-     SET victim_consent = false, outcome = 'returned_to_court',
-         completed_at = NOW(), updated_at = NOW()
-     WHERE id = $1 RETURNING *`,
+    `SELECT * FROM pajsm_eligibility_evaluations
+     WHERE participant_id = $1 ORDER BY created_at DESC`,
+    [participantId]
+  );
+  return rows;
+}
+
+// Locks the participant for a plan or follow-up change and rejects files that
+// have already left the program
+async function lockActiveParticipant(client, id) {
+  const { rows } = await client.query(
+    'SELECT * FROM pajsm_participants WHERE id = $1 FOR UPDATE',
     [id]
   );
+  if (rows[0].outcome) {
+    const err = new Error('Participant already has a final outcome');
+    err.statusCode = 400;
+    throw err;
+  }
   return rows[0];
 }
 
+// Writes version 1 of the plan; later changes are amendments
 async function createInterventionPlan(participantId, data, user) {
   const participant = await getById(participantId, user);
   if (participant.stage !== PROGRAM_STAGE_KEYS.INTERVENTION_PLAN) {
@@ -148,17 +803,138 @@ async function createInterventionPlan(participantId, data, user) {
     throw err;
   }
 
-  const id = uuidv4();
+  return withTransaction(async (client) => {
+    await lockActiveParticipant(client, participantId);
+    if (await interventionPlanService.latestPlan(client, participantId)) {
+      const err = new Error('An intervention plan already exists; amend it instead');
+      err.statusCode = 409;
+      throw err;
+    }
+    return interventionPlanService.writeVersion(
+      client,
+      participantId,
+      1,
+      { plan_details: data.plan_details, add: data.objectives || [] },
+      user
+    );
+  });
+}
+
+// Each amendment is a new plan version with its reason. Details not supplied
+// carry over from the previous version.
+async function amendInterventionPlan(participantId, data, user) {
+  const participant = await getById(participantId, user);
+  if (!PLAN_AMENDMENT_STAGES.includes(participant.stage)) {
+    const stages = PLAN_AMENDMENT_STAGES.join(' and ');
+    const err = new Error(`Intervention plans can only be amended during the ${stages} stages`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  return withTransaction(async (client) => {
+    await lockActiveParticipant(client, participantId);
+    const previous = await interventionPlanService.latestPlan(client, participantId);
+    if (!previous) {
+      const err = new Error('There is no intervention plan to amend');
+      err.statusCode = 400;
+      throw err;
+    }
+    return interventionPlanService.writeVersion(
+      client,
+      participantId,
+      previous.version + 1,
+      {
+        plan_details: data.plan_details === undefined ? previous.plan_details : data.plan_details,
+        amendment_reason: data.reason,
+        add: data.add,
+        update: data.update,
+        retire: data.retire,
+      },
+      user
+    );
+  });
+}
+
+// Every version, oldest first; the last one is the plan in force
+async function listInterventionPlans(participantId, user) {
+  await getById(participantId, user);
+  return interventionPlanService.listPlans(pool, participantId);
+}
+
+function complianceOf({ plan, objectives, progress }) {
+  return {
+    planVersion: plan ? plan.version : null,
+    ...interventionPlanService.summarizeCompliance(objectives, progress),
+  };
+}
+
+async function loadCompliance(db, participantId) {
+  const records = await interventionPlanService.loadComplianceRecords(db, [participantId]);
+  return complianceOf(records.get(participantId));
+}
+
+async function getPlanCompliance(participantId, user) {
+  await getById(participantId, user);
+  return loadCompliance(pool, participantId);
+}
+
+const MINUTE = 60 * 1000;
+
+// Appearance at a follow-up hearing. Nothing is recorded for follow-ups
+// without a hearing. A hearing that is over, with the recording grace period
+// elapsed and no appearance recorded, is flagged as missed.
+function appearanceStatus(followUp, now = new Date()) {
+  if (!followUp.hearing_id) return null;
+  if (followUp.appeared === true) return APPEARANCE_STATUSES.ATTENDED;
+  if (followUp.appeared === false) return APPEARANCE_STATUSES.MISSED;
+  if (followUp.hearing_status === HEARING_STATUSES.CANCELLED) {
+    return APPEARANCE_STATUSES.CANCELLED;
+  }
+  const flagAt =
+    new Date(followUp.scheduled_date).getTime() +
+    ((followUp.duration_minutes || 0) + APPEARANCE_RECORDING_GRACE_MINUTES) * MINUTE;
+  return now.getTime() > flagAt ? APPEARANCE_STATUSES.MISSED : APPEARANCE_STATUSES.PENDING;
+}
+
+const FOLLOW_UPS_SELECT = `
+  SELECT f.*, h.scheduled_date, h.duration_minutes, h.status AS hearing_status
+  FROM pajsm_follow_ups f
+  LEFT JOIN hearings h ON h.id = f.hearing_id`;
+
+function withAppearance(followUp) {
+  return { ...followUp, appearance: appearanceStatus(followUp) };
+}
+
+// Schedules the hearing through the tribunal's own scheduling, with its
+// conflict checks and notifications; the follow-up record is created with it
+async function scheduleFollowUpHearing(participantId, data, user) {
+  const participant = await getById(participantId, user);
+  if (participant.stage !== PROGRAM_STAGE_KEYS.HEARING_FOLLOWUPS || participant.outcome) {
+    const err = new Error(
+      'Follow-up hearings can only be scheduled during the hearing_followups stage'
+    );
+    err.statusCode = 400;
+    throw err;
+  }
+  return tribunalService.schedule(
+    { ...data, referralId: participant.referral_id, pajsmParticipantId: participantId },
+    user
+  );
+}
+
+async function listFollowUps(participantId, user) {
+  await getById(participantId, user);
   const { rows } = await pool.query(
-    `INSERT INTO pajsm_intervention_plans
-      (id, participant_id, plan_details, objectives, created_by)
-     VALUES ($1, $2, $3, $4, $5)
-     RETURNING *`,
-    [id, participantId, data.plan_details || null, data.objectives || null, user.id]
+    `${FOLLOW_UPS_SELECT} WHERE f.participant_id = $1 ORDER BY f.follow_up_date ASC`,
+    [participantId]
   );
-  return rows[0];
+  return rows.map(withAppearance);
 }
 
+// Records a follow-up and any progress reported on plan objectives. With a
+// hearing_id it completes the follow-up created when that hearing was
+// scheduled, including whether the participant appeared. Returns it with the
+// compliance summary the court reviews at the hearing.
 async function addFollowUp(participantId, data, user) {
   const participant = await getById(participantId, user);
   if (participant.stage !== PROGRAM_STAGE_KEYS.HEARING_FOLLOWUPS) {
@@ -168,25 +944,158 @@ async function addFollowUp(participantId, data, user) {
     err.statusCode = 400;
     throw err;
   }
+  if (data.hearing_id ? typeof data.appeared !== 'boolean' : !data.follow_up_date) {
+    const err = new Error(
+      data.hearing_id
+        ? 'Whether the participant appeared is required for a follow-up hearing'
+        : 'A follow_up_date is required for a follow-up without a hearing'
+    );
+    err.statusCode = 400;
+    throw err;
+  }
+  if (!data.hearing_id && data.appeared !== undefined) {
+    const err = new Error('An appearance can only be recorded for a follow-up hearing');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  return withTransaction(async (client) => {
+    await lockActiveParticipant(client, participantId);
+    let followUp;
+    if (data.hearing_id) {
+      const { rows } = await client.query(
+        `UPDATE pajsm_follow_ups
+         SET notes = COALESCE($1, notes), appeared = $2,
+             appearance_recorded_by = $3, appearance_recorded_at = NOW()
+         WHERE hearing_id = $4 AND participant_id = $5 AND appeared IS NULL
+         RETURNING *`,
+        [data.notes || null, data.appeared, user.id, data.hearing_id, participantId]
+      );
+      if (!rows[0]) {
+        const err = new Error('No follow-up at that hearing is awaiting an appearance record');
+        err.statusCode = 404;
+        throw err;
+      }
+      followUp = rows[0];
+    } else {
+      const { rows } = await client.query(
+        `INSERT INTO pajsm_follow_ups
+          (id, participant_id, follow_up_date, notes, recorded_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [uuidv4(), participantId, data.follow_up_date, data.notes || null, user.id]
+      );
+      followUp = rows[0];
+    }
+
+    const progress = await interventionPlanService.recordProgress(
+      client,
+      participantId,
+      followUp.id,
+      data.progress || [],
+      user
+    );
+    return { ...followUp, progress, compliance: await loadCompliance(client, participantId) };
+  });
+}
+
+// Everyone due at a follow-up hearing on the given day, optionally in one
+// district, with their appearance record and plan compliance. The day runs
+// midnight to midnight in the court's time zone, converted to the UTC times
+// hearings are stored in, whatever the session time zone.
+async function getDocket(user, filters) {
+  const params = [filters.date, COURT_TIME_ZONE];
+  const dayStart = (offset) =>
+    `((($1::date + ${offset})::timestamp AT TIME ZONE $2) AT TIME ZONE 'UTC')`;
+  const conditions = [
+    pajsmScope(user, 'p', params),
+    `h.scheduled_date >= ${dayStart(0)}`,
+    `h.scheduled_date < ${dayStart(1)}`,
+  ];
+  params.push([HEARING_STATUSES.CANCELLED, HEARING_STATUSES.ADJOURNED]);
+  conditions.push(`h.status <> ALL($${params.length})`);
+  if (filters.district) {
+    params.push(filters.district);
+    conditions.push(`p.district = $${params.length}`);
+  }
 
-  const id = uuidv4();
   const { rows } = await pool.query(
-    `INSERT INTO pajsm_follow_ups
-      (id, participant_id, follow_up_date, notes, recorded_by)
-     VALUES ($1, $2, $3, $4, $5)
-     RETURNING *`,
-    [id, participantId, data.follow_up_date, data.notes || null, user.id]
+    `SELECT p.*, h.id AS docket_hearing_id, h.scheduled_date AS docket_scheduled_date,
+       h.duration_minutes AS docket_duration_minutes, h.location AS docket_location,
+       h.room_id AS docket_room_id, h.status AS docket_hearing_status
+     FROM hearings h
+     JOIN pajsm_participants p ON p.id = h.pajsm_participant_id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY h.scheduled_date ASC, p.id ASC`,
+    params
   );
-  return rows[0];
+
+  const participantIds = [...new Set(rows.map((row) => row.id))];
+  const [{ rows: followUps }, complianceRecords] = await Promise.all([
+    pool.query(
+      `${FOLLOW_UPS_SELECT} WHERE f.participant_id = ANY($1) AND f.hearing_id IS NOT NULL`,
+      [participantIds]
+    ),
+    interventionPlanService.loadComplianceRecords(pool, participantIds),
+  ]);
+
+  const entries = rows.map((row) => {
+    const participant = decrypt(row);
+    const history = followUps.filter((f) => f.participant_id === participant.id);
+    const current = history.find((f) => f.hearing_id === row.docket_hearing_id);
+    const { items, ...compliance } = complianceOf(complianceRecords.get(participant.id));
+    return {
+      hearing: {
+        id: row.docket_hearing_id,
+        scheduledDate: row.docket_scheduled_date,
+        durationMinutes: row.docket_duration_minutes,
+        location: row.docket_location,
+        roomId: row.docket_room_id,
+        status: row.docket_hearing_status,
+      },
+      participant: {
+        id: participant.id,
+        accusedName: participant.accused_name,
+        district: participant.district,
+        stage: participant.stage,
+        assignedClinicianId: participant.assigned_clinician_id,
+      },
+      appearance: current ? appearanceStatus(current) : null,
+      missedAppearances: history.filter(
+        (f) => appearanceStatus(f) === APPEARANCE_STATUSES.MISSED
+      ).length,
+      compliance,
+    };
+  });
+
+  return { date: filters.date, district: filters.district || null, entries };
 }
 
 module.exports = {
+  assessStageExit,
+  buildCourtPackage,
+  appearanceStatus,
   enroll,
   getById,
   list,
+  getStageRequirements,
   advanceStage,
+  getStageHistory,
+  confirmClinicalEligibility,
   withdraw,
+  listVictimConsents,
+  recordVictimConsent,
   revokeVictimConsent,
+  reinstate,
+  listOutcomes,
+  getCourtPackage,
+  listEvaluations,
   createInterventionPlan,
+  amendInterventionPlan,
+  listInterventionPlans,
+  getPlanCompliance,
+  scheduleFollowUpHearing,
+  listFollowUps,
   addFollowUp,
+  getDocket,
 };
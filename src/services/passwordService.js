@@ -0,0 +1,177 @@
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { pool, withTransaction } = require('../config/db');
+const {
+  PASSWORD_POLICY,
+  BCRYPT_ROUNDS,
+  PASSWORD_RESET_TTL_MINUTES,
+  loadBreachedPasswords,
+} = require('../config/passwordPolicy');
+const { SESSION_REVOCATION_REASONS } = require('../config/auth');
+const { USER_STATUSES } = require('../config/users');
+const authService = require('./authService');
+const { sendMail } = require('../utils/mailer');
+const { logger } = require('../utils/logger');
+
+function httpError(message, statusCode, reasons) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (reasons) err.reasons = reasons;
+  return err;
+}
+
+// Returns the policy rules the password breaks; empty when it is acceptable
+function checkPolicy(password, policy = PASSWORD_POLICY, breached = loadBreachedPasswords()) {
+  const value = typeof password === 'string' ? password : '';
+  const reasons = [];
+
+  if (value.length < policy.minLength) reasons.push(`at least ${policy.minLength} characters`);
+  if (value.length > policy.maxLength) reasons.push(`at most ${policy.maxLength} characters`);
+  if (value && breached.has(value.toLowerCase())) reasons.push('not a known breached password');
+  return reasons;
+}
+
+async function isRecentlyUsed(userId, password) {
+  const { rows } = await pool.query(
+    `SELECT password_hash FROM password_history
+     WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2`,
+    [userId, PASSWORD_POLICY.historySize]
+  );
+  for (const row of rows) {
+    if (await bcrypt.compare(password, row.password_hash)) return true;
+  }
+  return false;
+}
+
+// Validates a new password and returns its hash. Pass the user id when the
+// password replaces an existing one so recent passwords are refused
+async function preparePassword(password, userId = null) {
+  const reasons = checkPolicy(password);
+  if (userId && reasons.length === 0 && (await isRecentlyUsed(userId, password))) {
+    reasons.push(`not one of the last ${PASSWORD_POLICY.historySize} passwords`);
+  }
+  if (reasons.length > 0) {
+    throw httpError('Password does not meet the password policy', 400, reasons);
+  }
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+async function recordHistory(db, userId, passwordHash) {
+  await db.query('INSERT INTO password_history (id, user_id, password_hash) VALUES ($1, $2, $3)', [
+    uuidv4(),
+    userId,
+    passwordHash,
+  ]);
+  await db.query(
+    `DELETE FROM password_history WHERE user_id = $1 AND id NOT IN (
+       SELECT id FROM password_history WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2
+     )`,
+    [userId, PASSWORD_POLICY.historySize]
+  );
+}
+
+async function storePassword(db, userId, passwordHash) {
+  await db.query('UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2', [
+    passwordHash,
+    userId,
+  ]);
+  await recordHistory(db, userId, passwordHash);
+}
+
+// Ends every other session of the user; the session making the change stays
+async function changePassword(user, currentPassword, newPassword) {
+  const { rows } = await pool.query('SELECT password_hash FROM users WHERE id = $1', [user.id]);
+  if (!rows[0] || !(await bcrypt.compare(currentPassword || '', rows[0].password_hash || ''))) {
+    throw httpError('Current password is incorrect', 400);
+  }
+
+  const passwordHash = await preparePassword(newPassword, user.id);
+  await withTransaction((client) => storePassword(client, user.id, passwordHash));
+  await authService.revokeAllSessions(
+    user.id,
+    SESSION_REVOCATION_REASONS.PASSWORD_CHANGE,
+    user.sid
+  );
+  return { changed: true };
+}
+
+// Always succeeds from the caller's point of view so the endpoint cannot be
+// used to discover which email addresses have accounts
+async function requestReset(email) {
+  const { rows } = await pool.query('SELECT id, email, status FROM users WHERE email = $1', [
+    email,
+  ]);
+  const user = rows[0];
+  if (!user || user.status !== USER_STATUSES.ACTIVE) return;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+  await withTransaction(async (client) => {
+    await client.query(
+      `UPDATE password_reset_tokens SET used_at = NOW()
+       WHERE user_id = $1 AND used_at IS NULL`,
+      [user.id]
+    );
+    await client.query(
+      `INSERT INTO password_reset_tokens (id, user_id, token_hash, expires_at)
+       VALUES ($1, $2, $3, $4)`,
+      [uuidv4(), user.id, authService.hashToken(token), expiresAt]
+    );
+  });
+
+  const resetUrl = `${process.env.APP_BASE_URL || ''}/reset-password?token=${token}`;
+  const sent = await sendMail({
+    to: user.email,
+    subject: 'Reset your Mental Health Tribunal Liaison password',
+    text: `Use this link within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new password:\n\n${resetUrl}\n\nIf you did not ask for a reset, you can ignore this email.`,
+  });
+  if (!sent) {
+    logger.warn({
+      message: 'Password reset requested but email is not configured',
+      userId: user.id,
+    });
+  }
+}
+
+async function resetPassword(token, newPassword) {
+  const { rows } = await pool.query(
+    `SELECT t.*, u.status FROM password_reset_tokens t JOIN users u ON u.id = t.user_id
+     WHERE t.token_hash = $1`,
+    [authService.hashToken(token || '')]
+  );
+  const reset = rows[0];
+  if (
+    !reset ||
+    reset.used_at ||
+    new Date(reset.expires_at) <= new Date() ||
+    reset.status !== USER_STATUSES.ACTIVE
+  ) {
+    throw httpError('Reset token is invalid or has expired', 400);
+  }
+
+  const passwordHash = await preparePassword(newPassword, reset.user_id);
+
+  await withTransaction(async (client) => {
+    // Claiming the token under the update guards against a concurrent reuse
+    const { rowCount } = await client.query(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1 AND used_at IS NULL',
+      [reset.id]
+    );
+    if (rowCount === 0) throw httpError('Reset token is invalid or has expired', 400);
+    await storePassword(client, reset.user_id, passwordHash);
+  });
+
+  await authService.revokeAllSessions(reset.user_id, SESSION_REVOCATION_REASONS.PASSWORD_RESET);
+  return { reset: true };
+}
+
+module.exports = {
+  checkPolicy,
+  preparePassword,
+  recordHistory,
+  changePassword,
+  requestReset,
+  resetPassword,
+};
@@ -1,43 +1,216 @@
-const { pool } = require('../config/db');
+const { pool, withTransaction } = require('../config/db');
 const { v4: uuidv4 } = require('uuid');
+const {
+  REFERRAL_STATUSES,
+  REFERRAL_URGENCIES,
+  REFERRAL_TRANSITIONS,
+  REFERRAL_STATUS_ROLES,
+  REASON_REQUIRED_STATUSES,
+} = require('../config/referralWorkflow');
+const { CLINICIAN_ROLES, referralScope } = require('./accessScope');
+const { encryptRow, decryptRow, blindIndex } = require('../utils/fieldEncryption');
+const { DOMAIN_EVENTS, publish } = require('../utils/domainEvents');
+const { REFERRAL_SORT_FIELDS } = require('../config/pagination');
+const {
+  parsePage,
+  keyset,
+  toPage,
+  parseEnumFilter,
+  parseDateFilter,
+} = require('../utils/listQuery');
+
+const decrypt = (row) => decryptRow('referrals', row);
+
+function assertTransition(fromStatus, toStatus, role, reason) {
+  const allowed = REFERRAL_TRANSITIONS[fromStatus] || [];
+  if (!allowed.includes(toStatus)) {
+    const err = new Error(`Cannot change referral status from "${fromStatus}" to "${toStatus}"`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  if (!(REFERRAL_STATUS_ROLES[toStatus] || []).includes(role)) {
+    const err = new Error(`Role "${role}" cannot move a referral to "${toStatus}"`);
+    err.statusCode = 403;
+    throw err;
+  }
+
+  if (REASON_REQUIRED_STATUSES.includes(toStatus) && !reason) {
+    const err = new Error(`A reason is required to move a referral to "${toStatus}"`);
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
+async function recordTransition(client, referralId, fromStatus, toStatus, reason, user) {
+  await client.query(
+    `INSERT INTO referral_status_history (id, referral_id, from_status, to_status, changed_by, reason)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [uuidv4(), referralId, fromStatus, toStatus, user.id, reason || null]
+  );
+}
 
 async function create(data, user) {
   const id = uuidv4();
-  const { rows } = await pool.query(
-    `INSERT INTO referrals (id, patient_name, incident_summary, urgency, referred_by, status)
-     VALUES ($1, $2, $3, $4, $5, 'pending')
-     RETURNING *`,
-    [id, data.patientName, data.incidentSummary, data.urgency, user.id]
-  );
-  return rows[0];
+  const sensitive = encryptRow('referrals', {
+    patient_name: data.patientName,
+    incident_summary: data.incidentSummary,
+  });
+
+  const referral = await withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `INSERT INTO referrals
+        (id, patient_name, patient_name_index, incident_summary, urgency, referred_by,
+         respondent_id, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        id,
+        sensitive.patient_name,
+        sensitive.patient_name_index,
+        sensitive.incident_summary,
+        data.urgency,
+        user.id,
+        data.respondentId || null,
+        REFERRAL_STATUSES.PENDING,
+      ]
+    );
+    await recordTransition(client, id, null, REFERRAL_STATUSES.PENDING, null, user);
+    return decrypt(rows[0]);
+  });
+
+  publish(DOMAIN_EVENTS.REFERRAL_CREATED, { referral, actor: user });
+  return referral;
 }
 
-async function list(user) {
-  const { rows } = await pool.query('SELECT * FROM referrals ORDER BY created_at DESC');
-  return rows;
+async function list(user, filters = {}) {
+  const page = parsePage(filters, REFERRAL_SORT_FIELDS, '-created_at');
+  const statuses = parseEnumFilter(filters.status, Object.values(REFERRAL_STATUSES), 'status');
+  const urgencies = parseEnumFilter(filters.urgency, REFERRAL_URGENCIES, 'urgency');
+  const createdFrom = parseDateFilter(filters.createdFrom, 'createdFrom');
+  const createdTo = parseDateFilter(filters.createdTo, 'createdTo');
+
+  const params = [];
+  const conditions = [referralScope(user, 'r', params)];
+
+  // Patient names are encrypted, so lookups match on the blind index
+  if (filters.patientName) {
+    params.push(blindIndex(filters.patientName));
+    conditions.push(`r.patient_name_index = $${params.length}`);
+  }
+  if (statuses) {
+    params.push(statuses);
+    conditions.push(`r.status = ANY($${params.length})`);
+  }
+  if (urgencies) {
+    params.push(urgencies);
+    conditions.push(`r.urgency = ANY($${params.length})`);
+  }
+  if (createdFrom) {
+    params.push(createdFrom);
+    conditions.push(`r.created_at >= $${params.length}`);
+  }
+  if (createdTo) {
+    params.push(createdTo);
+    conditions.push(`r.created_at <= $${params.length}`);
+  }
+
+  const order = keyset(page, REFERRAL_SORT_FIELDS, 'r', params);
+  if (order.condition) conditions.push(order.condition);
+  params.push(page.limit + 1);
+
+  const { rows } = await pool.query(
+    `SELECT r.*, ${order.sortKey} FROM referrals r
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY ${order.orderBy}
+     LIMIT $${params.length}`,
+    params
+  );
+  return toPage(rows, page, decrypt);
 }
 
 async function getById(id, user) {
-  const { rows } = await pool.query('SELECT * FROM referrals WHERE id = $1', [id]);
+  const params = [id];
+  const scope = referralScope(user, 'r', params);
+  const { rows } = await pool.query(
+    `SELECT r.* FROM referrals r WHERE r.id = $1 AND ${scope}`,
+    params
+  );
   if (!rows[0]) {
     const err = new Error('Referral not found');
     err.statusCode = 404;
     throw err;
   }
-  return rows[0];
+  return decrypt(rows[0]);
+}
+
+async function updateStatus(id, status, reason, user) {
+  await getById(id, user);
+
+  const result = await withTransaction(async (client) => {
+    const { rows: current } = await client.query(
+      'SELECT status FROM referrals WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    const fromStatus = current[0].status;
+    assertTransition(fromStatus, status, user.role, reason);
+
+    const { rows } = await client.query(
+      'UPDATE referrals SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+      [status, id]
+    );
+    await recordTransition(client, id, fromStatus, status, reason, user);
+    return { referral: decrypt(rows[0]), fromStatus };
+  });
+
+  publish(DOMAIN_EVENTS.REFERRAL_STATUS_CHANGED, {
+    referral: result.referral,
+    fromStatus: result.fromStatus,
+    toStatus: status,
+    actor: user,
+  });
+  return result.referral;
 }
 
-async function updateStatus(id, status, user) {
+async function getStatusHistory(id, user) {
+  await getById(id, user);
   const { rows } = await pool.query(
-    'UPDATE referrals SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
-    [status, id]
+    `SELECT * FROM referral_status_history
+     WHERE referral_id = $1
+     ORDER BY created_at ASC`,
+    [id]
   );
-  if (!rows[0]) {
-    const err = new Error('Referral not found');
-    err.statusCode = 404;
+  return rows;
+}
+
+async function assignClinician(id, clinicianId, user) {
+  await getById(id, user);
+
+  const { rows: clinicians } = await pool.query('SELECT id, role FROM users WHERE id = $1', [
+    clinicianId,
+  ]);
+  if (!clinicians[0] || !CLINICIAN_ROLES.includes(clinicians[0].role)) {
+    const err = new Error('Assignee must be a mental health professional or physician');
+    err.statusCode = 400;
     throw err;
   }
-  return rows[0];
+
+  const { rows } = await pool.query(
+    'UPDATE referrals SET assigned_clinician_id = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+    [clinicianId, id]
+  );
+  const referral = decrypt(rows[0]);
+
+  publish(DOMAIN_EVENTS.REFERRAL_CLINICIAN_ASSIGNED, { referral, actor: user });
+  return referral;
 }
 
-module.exports = { create, list, getById, updateStatus };
+module.exports = {
+  assertTransition,
+  create,
+  list,
+  getById,
+  updateStatus,
+  getStatusHistory,
+  assignClinician,
+};
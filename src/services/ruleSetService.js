@@ -0,0 +1,185 @@
+const { pool, withTransaction } = require('../config/db');
+const { RULE_SET_STATUSES } = require('../config/pajsm');
+const { checkEligibility } = require('./eligibilityService');
+
+const PREVIEW_LIMIT = 1000;
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function toRuleSet(row) {
+  return {
+    version: row.version,
+    description: row.description,
+    status: row.status,
+    effectiveFrom: row.effective_from,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    activatedBy: row.activated_by,
+    activatedAt: row.activated_at,
+    ...row.definition,
+  };
+}
+
+async function list() {
+  const { rows } = await pool.query('SELECT * FROM pajsm_rule_sets ORDER BY version DESC');
+  return rows.map(toRuleSet);
+}
+
+async function getByVersion(version) {
+  const { rows } = await pool.query('SELECT * FROM pajsm_rule_sets WHERE version = $1', [version]);
+  if (!rows[0]) throw httpError(`Rule set version ${version} not found`, 404);
+  return toRuleSet(rows[0]);
+}
+
+// The rule set in force at a point in time: the active one with the latest
+// effective date not after it. Overrides for the district are applied when
+// the rules are evaluated.
+async function current(at = new Date()) {
+  const { rows } = await pool.query(
+    `SELECT * FROM pajsm_rule_sets
+     WHERE status = $1 AND effective_from <= $2
+     ORDER BY effective_from DESC, version DESC
+     LIMIT 1`,
+    [RULE_SET_STATUSES.ACTIVE, at]
+  );
+  if (!rows[0]) throw httpError('No PAJ-SM+ eligibility rule set is in force', 500);
+  return toRuleSet(rows[0]);
+}
+
+async function evaluate(data, at = new Date()) {
+  return checkEligibility(data, await current(at));
+}
+
+// Drafts can be previewed freely; once activated a rule set never changes, so
+// the version recorded on a decision always identifies the rules applied
+async function createDraft(data, user) {
+  const definition = {
+    vulnerabilities: data.vulnerabilities,
+    absoluteExclusions: data.absoluteExclusions,
+    summaryEligibleExceptions: data.summaryEligibleExceptions,
+    districtOverrides: data.districtOverrides || [],
+  };
+
+  const row = await withTransaction(async (client) => {
+    await client.query('LOCK TABLE pajsm_rule_sets IN EXCLUSIVE MODE');
+    const { rows } = await client.query(
+      `INSERT INTO pajsm_rule_sets (version, description, definition, effective_from, created_by)
+       SELECT COALESCE(MAX(version), 0) + 1, $1, $2, $3, $4 FROM pajsm_rule_sets
+       RETURNING *`,
+      [data.description || null, definition, data.effectiveFrom || null, user.id]
+    );
+    return rows[0];
+  });
+  return toRuleSet(row);
+}
+
+// Activation never takes effect in the past: an earlier or missing effective
+// date becomes the activation time, so rules for past decisions stay intact
+async function activate(version, user) {
+  const row = await withTransaction(async (client) => {
+    const { rows } = await client.query(
+      'SELECT status FROM pajsm_rule_sets WHERE version = $1 FOR UPDATE',
+      [version]
+    );
+    if (!rows[0]) throw httpError(`Rule set version ${version} not found`, 404);
+    if (rows[0].status !== RULE_SET_STATUSES.DRAFT) {
+      throw httpError(`Rule set version ${version} is already active`, 409);
+    }
+
+    const { rows: activated } = await client.query(
+      `UPDATE pajsm_rule_sets SET status = $1, activated_by = $2, activated_at = NOW(),
+         effective_from = GREATEST(COALESCE(effective_from, NOW()), NOW())
+       WHERE version = $3 RETURNING *`,
+      [RULE_SET_STATUSES.ACTIVE, user.id, version]
+    );
+    return activated[0];
+  });
+  return toRuleSet(row);
+}
+
+// Pure part of the preview. ruleSets maps version to rule set and supplies
+// each participant's baseline: the rules they were actually evaluated under
+function compareOutcomes(participants, candidate, ruleSets) {
+  const summary = {
+    evaluated: participants.length,
+    newlyIneligible: 0,
+    newlyEligible: 0,
+    unchanged: 0,
+  };
+  const changes = [];
+
+  participants.forEach((participant) => {
+    const baseline = ruleSets.get(participant.eligibility_rule_set_version || 1);
+    const before = checkEligibility(participant, baseline);
+    const after = checkEligibility(participant, candidate);
+    if (before.eligible === after.eligible) {
+      summary.unchanged++;
+      return;
+    }
+    summary[after.eligible ? 'newlyEligible' : 'newlyIneligible']++;
+    changes.push({
+      participantId: participant.id,
+      district: participant.district,
+      stage: participant.stage,
+      before,
+      after,
+    });
+  });
+
+  return { ...summary, changes };
+}
+
+// Re-evaluates historical participants under a candidate rule set, typically
+// a draft, and reports whose eligibility would change
+async function preview(version, filters = {}) {
+  const candidate = await getByVersion(version);
+  const ruleSets = new Map((await list()).map((ruleSet) => [ruleSet.version, ruleSet]));
+
+  const params = [];
+  const conditions = [];
+  if (filters.district) {
+    params.push(filters.district);
+    conditions.push(`district = $${params.length}`);
+  }
+  if (filters.enrolledFrom) {
+    params.push(filters.enrolledFrom);
+    conditions.push(`created_at >= $${params.length}`);
+  }
+  if (filters.enrolledTo) {
+    params.push(filters.enrolledTo);
+    conditions.push(`created_at <= $${params.length}`);
+  }
+  params.push(Math.min(filters.limit || PREVIEW_LIMIT, PREVIEW_LIMIT));
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { rows } = await pool.query(
+    `SELECT id, district, stage, vulnerabilities, diagnosed, offence_category, prosecution_mode,
+       accepts_responsibility, is_voluntary, waives_delay, criminally_fit, victim_consent,
+       capacity_to_learn, eligibility_rule_set_version
+     FROM pajsm_participants ${where}
+     ORDER BY created_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  return {
+    ruleSetVersion: candidate.version,
+    status: candidate.status,
+    ...compareOutcomes(rows, candidate, ruleSets),
+  };
+}
+
+module.exports = {
+  compareOutcomes,
+  list,
+  getByVersion,
+  current,
+  evaluate,
+  createDraft,
+  activate,
+  preview,
+};
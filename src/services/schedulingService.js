@@ -0,0 +1,275 @@
+const { pool } = require('../config/db');
+const { v4: uuidv4 } = require('uuid');
+const { ROLES } = require('../config/roles');
+const { HEARING_STATUSES } = require('../config/hearingWorkflow');
+const {
+  DEFAULT_HEARING_DURATION_MINUTES,
+  SITTING_HOURS,
+  SITTING_DAYS,
+  SLOT_INCREMENT_MINUTES,
+  SUGGESTION_HORIZON_DAYS,
+  DEFAULT_SUGGESTION_COUNT,
+} = require('../config/scheduling');
+
+const MINUTE = 60 * 1000;
+
+// Statuses that still occupy their panel and room
+const ACTIVE_HEARING_STATUSES = [HEARING_STATUSES.SCHEDULED, HEARING_STATUSES.IN_PROGRESS];
+
+function hearingEnd(hearing) {
+  const duration = hearing.duration_minutes || DEFAULT_HEARING_DURATION_MINUTES;
+  return new Date(new Date(hearing.scheduled_date).getTime() + duration * MINUTE);
+}
+
+function overlaps(startA, endA, startB, endB) {
+  return startA < endB && startB < endA;
+}
+
+function sameDay(a, b) {
+  return (
+    a.getFullYear() === b.getFullYear() &&
+    a.getMonth() === b.getMonth() &&
+    a.getDate() === b.getDate()
+  );
+}
+
+// Returns every reason the slot cannot be used. Availability windows are
+// opt-in: a member who has declared "available" windows on the slot's day must
+// be inside one of them, while "unavailable" windows always block.
+function findConflicts(slot, context) {
+  const conflicts = [];
+  const panelMembers = slot.panelMembers || [];
+
+  for (const hearing of context.hearings) {
+    if (hearing.id === slot.excludeHearingId) continue;
+    if (!ACTIVE_HEARING_STATUSES.includes(hearing.status)) continue;
+    if (!overlaps(slot.start, slot.end, new Date(hearing.scheduled_date), hearingEnd(hearing))) {
+      continue;
+    }
+
+    const booked = (hearing.panel_members || []).filter((m) => panelMembers.includes(m));
+    booked.forEach((userId) => {
+      conflicts.push({ type: 'panel_member_booked', userId, hearingId: hearing.id });
+    });
+
+    if (slot.roomId && hearing.room_id === slot.roomId) {
+      conflicts.push({ type: 'room_booked', roomId: slot.roomId, hearingId: hearing.id });
+    }
+  }
+
+  for (const userId of panelMembers) {
+    const windows = context.windows.filter((w) => w.user_id === userId);
+
+    windows
+      .filter((w) => w.kind === 'unavailable')
+      .filter((w) => overlaps(slot.start, slot.end, new Date(w.starts_at), new Date(w.ends_at)))
+      .forEach((w) => {
+        conflicts.push({ type: 'panel_member_unavailable', userId, windowId: w.id });
+      });
+
+    const available = windows.filter(
+      (w) => w.kind === 'available' && sameDay(new Date(w.starts_at), slot.start)
+    );
+    const covered = available.some(
+      (w) => new Date(w.starts_at) <= slot.start && new Date(w.ends_at) >= slot.end
+    );
+    if (available.length > 0 && !covered) {
+      conflicts.push({ type: 'panel_member_outside_availability', userId });
+    }
+  }
+
+  return conflicts;
+}
+
+function candidateSlots(from, durationMinutes, horizonDays = SUGGESTION_HORIZON_DAYS) {
+  const slots = [];
+  const horizon = new Date(from.getTime() + horizonDays * 24 * 60 * MINUTE);
+
+  const cursor = new Date(from);
+  cursor.setSeconds(0, 0);
+  const remainder = cursor.getMinutes() % SLOT_INCREMENT_MINUTES;
+  if (remainder) cursor.setMinutes(cursor.getMinutes() + SLOT_INCREMENT_MINUTES - remainder);
+
+  while (cursor < horizon) {
+    const end = new Date(cursor.getTime() + durationMinutes * MINUTE);
+    const dayEnd = new Date(cursor);
+    dayEnd.setHours(SITTING_HOURS.end, 0, 0, 0);
+
+    if (
+      SITTING_DAYS.includes(cursor.getDay()) &&
+      cursor.getHours() >= SITTING_HOURS.start &&
+      end <= dayEnd
+    ) {
+      slots.push({ start: new Date(cursor), end });
+    }
+    cursor.setMinutes(cursor.getMinutes() + SLOT_INCREMENT_MINUTES);
+  }
+
+  return slots;
+}
+
+function suggestFreeSlots(candidates, request, context, count = DEFAULT_SUGGESTION_COUNT) {
+  const free = [];
+  for (const candidate of candidates) {
+    const conflicts = findConflicts({ ...request, ...candidate }, context);
+    if (conflicts.length === 0) free.push(candidate);
+    if (free.length >= count) break;
+  }
+  return free;
+}
+
+async function loadContext(db, { from, to, panelMembers = [], roomId }) {
+  const params = [to, from, ACTIVE_HEARING_STATUSES, panelMembers];
+  let roomCondition = '';
+  if (roomId) {
+    params.push(roomId);
+    roomCondition = `OR h.room_id = $${params.length}`;
+  }
+
+  const { rows: hearings } = await db.query(
+    `SELECT h.id, h.scheduled_date, h.duration_minutes, h.panel_members, h.room_id, h.status
+     FROM hearings h
+     WHERE h.scheduled_date < $1
+       AND h.scheduled_date + make_interval(mins => h.duration_minutes) > $2
+       AND h.status = ANY($3)
+       AND (h.panel_members ?| $4::text[] ${roomCondition})`,
+    params
+  );
+
+  // Widen to whole days so "available" windows on the slot's day are considered
+  const dayStart = new Date(from);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(to);
+  dayEnd.setHours(23, 59, 59, 999);
+
+  const { rows: windows } = await db.query(
+    `SELECT * FROM panel_member_availability
+     WHERE user_id = ANY($1) AND starts_at < $2 AND ends_at > $3`,
+    [panelMembers, dayEnd, dayStart]
+  );
+
+  return { hearings, windows };
+}
+
+async function checkSlot(db, slot) {
+  const context = await loadContext(db, {
+    from: slot.start,
+    to: slot.end,
+    panelMembers: slot.panelMembers,
+    roomId: slot.roomId,
+  });
+  return findConflicts(slot, context);
+}
+
+async function suggestSlots(request) {
+  const durationMinutes =
+    parseInt(request.durationMinutes, 10) || DEFAULT_HEARING_DURATION_MINUTES;
+  const from = request.from ? new Date(request.from) : new Date();
+  const count = Math.min(parseInt(request.count, 10) || DEFAULT_SUGGESTION_COUNT, 50);
+
+  const candidates = candidateSlots(from, durationMinutes);
+  if (candidates.length === 0) return [];
+
+  const context = await loadContext(pool, {
+    from: candidates[0].start,
+    to: candidates[candidates.length - 1].end,
+    panelMembers: request.panelMembers,
+    roomId: request.roomId,
+  });
+
+  return suggestFreeSlots(
+    candidates,
+    { panelMembers: request.panelMembers, roomId: request.roomId },
+    context,
+    count
+  );
+}
+
+async function getRoom(id) {
+  const { rows } = await pool.query('SELECT * FROM hearing_rooms WHERE id = $1', [id]);
+  if (!rows[0]) {
+    const err = new Error('Hearing room not found');
+    err.statusCode = 404;
+    throw err;
+  }
+  return rows[0];
+}
+
+async function listRooms() {
+  const { rows } = await pool.query(
+    'SELECT * FROM hearing_rooms WHERE active = true ORDER BY location, name'
+  );
+  return rows;
+}
+
+async function createRoom(data) {
+  const { rows } = await pool.query(
+    `INSERT INTO hearing_rooms (id, name, location, capacity)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [uuidv4(), data.name, data.location, data.capacity || null]
+  );
+  return rows[0];
+}
+
+async function listAvailability(userId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM panel_member_availability
+     WHERE user_id = $1 AND ends_at > NOW()
+     ORDER BY starts_at ASC`,
+    [userId]
+  );
+  return rows;
+}
+
+// Panel members manage their own windows; admins may manage anyone's
+async function addAvailability(data, user) {
+  const userId = user.role === ROLES.ADMIN && data.userId ? data.userId : user.id;
+  if (new Date(data.endsAt) <= new Date(data.startsAt)) {
+    const err = new Error('Availability window must end after it starts');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO panel_member_availability (id, user_id, kind, starts_at, ends_at, reason)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [uuidv4(), userId, data.kind, data.startsAt, data.endsAt, data.reason || null]
+  );
+  return rows[0];
+}
+
+async function removeAvailability(id, user) {
+  const params = [id];
+  let ownership = '';
+  if (user.role !== ROLES.ADMIN) {
+    params.push(user.id);
+    ownership = 'AND user_id = $2';
+  }
+
+  const { rows } = await pool.query(
+    `DELETE FROM panel_member_availability WHERE id = $1 ${ownership} RETURNING *`,
+    params
+  );
+  if (!rows[0]) {
+    const err = new Error('Availability window not found');
+    err.statusCode = 404;
+    throw err;
+  }
+  return rows[0];
+}
+
+module.exports = {
+  findConflicts,
+  candidateSlots,
+  suggestFreeSlots,
+  checkSlot,
+  suggestSlots,
+  getRoom,
+  listRooms,
+  createRoom,
+  listAvailability,
+  addAvailability,
+  removeAvailability,
+};
@@ -0,0 +1,23 @@
+const { createMemoryStore } = require('./memoryStore');
+const { createPostgresStore } = require('./postgresStore');
+
+// Select with LOGIN_THROTTLE_STORE; use postgres when running several instances
+const STORES = {
+  memory: createMemoryStore,
+  postgres: createPostgresStore,
+};
+
+let store = null;
+
+function getThrottleStore() {
+  if (store) return store;
+
+  const name = process.env.LOGIN_THROTTLE_STORE || 'memory';
+  if (!STORES[name]) {
+    throw new Error(`Unknown login throttle store "${name}"`);
+  }
+  store = STORES[name]();
+  return store;
+}
+
+module.exports = { getThrottleStore };
@@ -0,0 +1,38 @@
+// Keeps throttle state in process memory. Suitable for a single instance;
+// counters are lost on restart and not shared between instances.
+const PRUNE_THRESHOLD = 10000;
+
+function createMemoryStore() {
+  const entries = new Map();
+
+  function prune(now) {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      return entry && entry.expiresAt > Date.now() ? entry.state : null;
+    },
+
+    // fn receives the current state (or null) and returns the new one
+    async update(key, fn, ttlMs) {
+      const now = Date.now();
+      if (entries.size > PRUNE_THRESHOLD) prune(now);
+
+      const state = fn(await this.get(key));
+      entries.set(key, { state, expiresAt: now + ttlMs });
+      return state;
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
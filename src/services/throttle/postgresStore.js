@@ -0,0 +1,62 @@
+const { pool, withTransaction } = require('../../config/db');
+
+function toState(row) {
+  if (!row || new Date(row.expires_at) <= new Date()) return null;
+  return {
+    failures: row.failures,
+    windowStartedAt: row.window_started_at && new Date(row.window_started_at).getTime(),
+    lastFailureAt: row.last_failure_at && new Date(row.last_failure_at).getTime(),
+    lockedUntil: row.locked_until && new Date(row.locked_until).getTime(),
+  };
+}
+
+const toDate = (ms) => (ms ? new Date(ms) : null);
+
+// Shares throttle state between instances through the login_throttle table.
+// Updates lock the key's row so concurrent failures are all counted.
+function createPostgresStore() {
+  return {
+    name: 'postgres',
+
+    async get(key) {
+      const { rows } = await pool.query('SELECT * FROM login_throttle WHERE key = $1', [key]);
+      return toState(rows[0]);
+    },
+
+    async update(key, fn, ttlMs) {
+      return withTransaction(async (client) => {
+        await client.query(
+          `INSERT INTO login_throttle (key, failures, expires_at) VALUES ($1, 0, NOW())
+           ON CONFLICT (key) DO NOTHING`,
+          [key]
+        );
+        const { rows } = await client.query(
+          'SELECT * FROM login_throttle WHERE key = $1 FOR UPDATE',
+          [key]
+        );
+
+        const state = fn(toState(rows[0]));
+        await client.query(
+          `UPDATE login_throttle SET failures = $2, window_started_at = $3, last_failure_at = $4,
+             locked_until = $5, expires_at = $6
+           WHERE key = $1`,
+          [
+            key,
+            state.failures,
+            toDate(state.windowStartedAt),
+            toDate(state.lastFailureAt),
+            toDate(state.lockedUntil),
+            new Date(Date.now() + ttlMs),
+          ]
+        );
+        return state;
+      });
+    },
+
+    async reset(key) {
+      await pool.query('DELETE FROM login_throttle WHERE key = $1', [key]);
+    },
+  };
+}
+
+module.exports = { createPostgresStore };
@@ -1,44 +1,368 @@
-const { pool } = require('../config/db');
+const { pool, withTransaction } = require('../config/db');
 const { v4: uuidv4 } = require('uuid');
+const { HEARING_STATUSES, HEARING_ACTIONS } = require('../config/hearingWorkflow');
+const { DEFAULT_HEARING_DURATION_MINUTES } = require('../config/scheduling');
+const { hearingScope } = require('./accessScope');
+const schedulingService = require('./schedulingService');
+const referralService = require('./referralService');
+const { encryptRow, decryptRow } = require('../utils/fieldEncryption');
+const { DOMAIN_EVENTS, publish } = require('../utils/domainEvents');
+const { HEARING_SORT_FIELDS } = require('../config/pagination');
+const {
+  parsePage,
+  keyset,
+  toPage,
+  parseEnumFilter,
+  parseDateFilter,
+} = require('../utils/listQuery');
 
-async function schedule(data, user) {
-  const id = uuidv4();
-  const { rows } = await pool.query(
-    `INSERT INTO hearings (id, referral_id, scheduled_date, location, panel_members, status)
-     VALUES ($1, $2, $3, $4, $5, 'scheduled')
-     RETURNING *`,
-    [id, data.referralId, data.scheduledDate, data.location, JSON.stringify(data.panelMembers)]
+const decrypt = (row) => decryptRow('hearings', row);
+
+// Arbitrary constant used to serialise conflict checks with bookings
+const SCHEDULING_LOCK = 7341002;
+
+function assertAction(status, action, role) {
+  const rule = HEARING_ACTIONS[action];
+  if (!rule.roles.includes(role)) {
+    const err = new Error(`Role "${role}" cannot ${action} a hearing`);
+    err.statusCode = 403;
+    throw err;
+  }
+  if (!rule.from.includes(status)) {
+    const err = new Error(`Cannot ${action} a hearing that is ${status}`);
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
+function requireField(value, message) {
+  if (!value) {
+    const err = new Error(message);
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
+function slotFor(scheduledDate, durationMinutes, panelMembers, roomId, excludeHearingId) {
+  const start = new Date(scheduledDate);
+  const duration = durationMinutes || DEFAULT_HEARING_DURATION_MINUTES;
+  return {
+    start,
+    end: new Date(start.getTime() + duration * 60 * 1000),
+    panelMembers: panelMembers || [],
+    roomId: roomId || null,
+    excludeHearingId,
+  };
+}
+
+// Rejects the booking when it clashes with another hearing or a member's
+// availability, unless the caller explicitly accepts the conflicts, in which
+// case they are returned as warnings
+async function reserveSlot(client, slot, allowConflicts) {
+  await client.query('SELECT pg_advisory_xact_lock($1)', [SCHEDULING_LOCK]);
+  const conflicts = await schedulingService.checkSlot(client, slot);
+  if (conflicts.length > 0 && !allowConflicts) {
+    const err = new Error('Hearing conflicts with existing bookings');
+    err.statusCode = 409;
+    err.details = { conflicts };
+    throw err;
+  }
+  return conflicts;
+}
+
+// A PAJ-SM+ follow-up hearing carries its follow-up record: it is created
+// with the hearing and moves with it when the hearing is rescheduled or
+// adjourned to a new date, unless an appearance was already recorded on it
+async function createFollowUp(client, hearing, user) {
+  await client.query(
+    `INSERT INTO pajsm_follow_ups (id, participant_id, follow_up_date, hearing_id, recorded_by)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [uuidv4(), hearing.pajsm_participant_id, hearing.scheduled_date, hearing.id, user.id]
   );
-  return rows[0];
 }
 
-async function list(user) {
-  const { rows } = await pool.query('SELECT * FROM hearings ORDER BY scheduled_date DESC');
-  return rows;
+async function moveFollowUp(client, fromHearingId, hearing) {
+  const { rowCount } = await client.query(
+    `UPDATE pajsm_follow_ups SET hearing_id = $1, follow_up_date = $2
+     WHERE hearing_id = $3 AND appeared IS NULL`,
+    [hearing.id, hearing.scheduled_date, fromHearingId]
+  );
+  return rowCount > 0;
+}
+
+// Loads the hearing through the caller's scope, then re-reads it under a row
+// lock so concurrent lifecycle actions cannot both pass the status check
+async function applyAction(id, action, user, fn) {
+  await getById(id, user);
+  return withTransaction(async (client) => {
+    const { rows } = await client.query('SELECT * FROM hearings WHERE id = $1 FOR UPDATE', [id]);
+    assertAction(rows[0].status, action, user.role);
+    return fn(client, rows[0]);
+  });
+}
+
+async function schedule(data, user) {
+  // A missing or out-of-scope referral is a 404; follow-up hearings are
+  // checked against the participant by pajsmService instead
+  if (!data.pajsmParticipantId) await referralService.getById(data.referralId, user);
+  const room = data.roomId ? await schedulingService.getRoom(data.roomId) : null;
+  const durationMinutes = data.durationMinutes || DEFAULT_HEARING_DURATION_MINUTES;
+  const slot = slotFor(data.scheduledDate, durationMinutes, data.panelMembers, data.roomId);
+
+  const hearing = await withTransaction(async (client) => {
+    const warnings = await reserveSlot(client, slot, data.allowConflicts);
+
+    const id = uuidv4();
+    const { rows } = await client.query(
+      `INSERT INTO hearings
+        (id, referral_id, scheduled_date, location, panel_members, status, duration_minutes,
+         room_id, pajsm_participant_id)
+       VALUES ($1, $2, $3, $4, $5, 'scheduled', $6, $7, $8)
+       RETURNING *`,
+      [
+        id,
+        data.referralId || null,
+        data.scheduledDate,
+        data.location || (room && room.location),
+        JSON.stringify(data.panelMembers || []),
+        durationMinutes,
+        data.roomId || null,
+        data.pajsmParticipantId || null,
+      ]
+    );
+    if (rows[0].pajsm_participant_id) await createFollowUp(client, rows[0], user);
+    return { ...decrypt(rows[0]), warnings };
+  });
+
+  publish(DOMAIN_EVENTS.HEARING_SCHEDULED, { hearing, actor: user });
+  return hearing;
+}
+
+async function list(user, filters = {}) {
+  const page = parsePage(filters, HEARING_SORT_FIELDS, '-scheduled_date');
+  const statuses = parseEnumFilter(filters.status, Object.values(HEARING_STATUSES), 'status');
+  const from = parseDateFilter(filters.from, 'from');
+  const to = parseDateFilter(filters.to, 'to');
+
+  const params = [];
+  const conditions = [hearingScope(user, 'h', params)];
+
+  if (statuses) {
+    params.push(statuses);
+    conditions.push(`h.status = ANY($${params.length})`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`h.scheduled_date >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`h.scheduled_date <= $${params.length}`);
+  }
+  if (filters.location) {
+    params.push(`%${filters.location}%`);
+    conditions.push(`h.location ILIKE $${params.length}`);
+  }
+  if (filters.roomId) {
+    params.push(filters.roomId);
+    conditions.push(`h.room_id = $${params.length}`);
+  }
+  if (filters.referralId) {
+    params.push(filters.referralId);
+    conditions.push(`h.referral_id = $${params.length}`);
+  }
+
+  const order = keyset(page, HEARING_SORT_FIELDS, 'h', params);
+  if (order.condition) conditions.push(order.condition);
+  params.push(page.limit + 1);
+
+  const { rows } = await pool.query(
+    `SELECT h.*, ${order.sortKey} FROM hearings h
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY ${order.orderBy}
+     LIMIT $${params.length}`,
+    params
+  );
+  return toPage(rows, page, decrypt);
 }
 
 async function getById(id, user) {
-  const { rows } = await pool.query('SELECT * FROM hearings WHERE id = $1', [id]);
+  const params = [id];
+  const scope = hearingScope(user, 'h', params);
+  const { rows } = await pool.query(
+    `SELECT h.* FROM hearings h WHERE h.id = $1 AND ${scope}`,
+    params
+  );
   if (!rows[0]) {
     const err = new Error('Hearing not found');
     err.statusCode = 404;
     throw err;
   }
-  return rows[0];
+  return decrypt(rows[0]);
+}
+
+async function start(id, user) {
+  return applyAction(id, 'start', user, async (client) => {
+    const { rows } = await client.query(
+      `UPDATE hearings SET status = $1, started_at = NOW(), updated_at = NOW()
+       WHERE id = $2 RETURNING *`,
+      [HEARING_STATUSES.IN_PROGRESS, id]
+    );
+    return decrypt(rows[0]);
+  });
+}
+
+// Adjourning closes the current hearing and opens a new one linked back to it,
+// so the full chain of postponements stays queryable
+async function adjourn(id, data, user) {
+  requireField(data.reason, 'An adjournment reason is required');
+  requireField(data.newDate, 'A new hearing date is required');
+
+  const result = await applyAction(id, 'adjourn', user, async (client, hearing) => {
+    const slot = slotFor(
+      data.newDate,
+      hearing.duration_minutes,
+      hearing.panel_members,
+      hearing.room_id,
+      id
+    );
+    const warnings = await reserveSlot(client, slot, data.allowConflicts);
+
+    const { rows: adjourned } = await client.query(
+      `UPDATE hearings SET status = $1, adjournment_reason = $2, updated_at = NOW()
+       WHERE id = $3 RETURNING *`,
+      [HEARING_STATUSES.ADJOURNED, data.reason, id]
+    );
+
+    const { rows: next } = await client.query(
+      `INSERT INTO hearings
+        (id, referral_id, scheduled_date, location, panel_members, status, adjourned_from,
+         duration_minutes, room_id, pajsm_participant_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        uuidv4(),
+        hearing.referral_id,
+        data.newDate,
+        hearing.location,
+        JSON.stringify(hearing.panel_members || []),
+        HEARING_STATUSES.SCHEDULED,
+        id,
+        hearing.duration_minutes,
+        hearing.room_id,
+        hearing.pajsm_participant_id,
+      ]
+    );
+    if (next[0].pajsm_participant_id && !(await moveFollowUp(client, id, next[0]))) {
+      await createFollowUp(client, next[0], user);
+    }
+
+    return { adjourned: decrypt(adjourned[0]), hearing: decrypt(next[0]), warnings };
+  });
+
+  publish(DOMAIN_EVENTS.HEARING_ADJOURNED, {
+    hearing: result.hearing,
+    adjourned: result.adjourned,
+    actor: user,
+  });
+  return result;
+}
+
+async function reschedule(id, data, user) {
+  requireField(data.scheduledDate, 'A new scheduled date is required');
+
+  const hearing = await applyAction(id, 'reschedule', user, async (client, current) => {
+    const roomId = data.roomId || current.room_id;
+    const room = data.roomId ? await schedulingService.getRoom(data.roomId) : null;
+    const durationMinutes = data.durationMinutes || current.duration_minutes;
+    const slot = slotFor(data.scheduledDate, durationMinutes, current.panel_members, roomId, id);
+    const warnings = await reserveSlot(client, slot, data.allowConflicts);
+
+    const { rows } = await client.query(
+      `UPDATE hearings SET scheduled_date = $1, location = $2, room_id = $3,
+       duration_minutes = $4, updated_at = NOW()
+       WHERE id = $5 RETURNING *`,
+      [
+        data.scheduledDate,
+        data.location || (room && room.location) || current.location,
+        roomId,
+        durationMinutes,
+        id,
+      ]
+    );
+    await moveFollowUp(client, id, rows[0]);
+    return { ...decrypt(rows[0]), warnings };
+  });
+
+  publish(DOMAIN_EVENTS.HEARING_RESCHEDULED, { hearing, actor: user });
+  return hearing;
+}
+
+async function cancel(id, data, user) {
+  requireField(data.reason, 'A cancellation reason is required');
+
+  const hearing = await applyAction(id, 'cancel', user, async (client) => {
+    const { rows } = await client.query(
+      `UPDATE hearings SET status = $1, cancellation_reason = $2, updated_at = NOW()
+       WHERE id = $3 RETURNING *`,
+      [HEARING_STATUSES.CANCELLED, data.reason, id]
+    );
+    return decrypt(rows[0]);
+  });
+
+  publish(DOMAIN_EVENTS.HEARING_CANCELLED, { hearing, actor: user });
+  return hearing;
 }
 
 async function recordDecision(id, data, user) {
+  const sensitive = encryptRow('hearings', { decision_notes: data.notes });
+
+  const hearing = await applyAction(id, 'decide', user, async (client) => {
+    const { rows } = await client.query(
+      `UPDATE hearings SET decision = $1, decision_notes = $2, decided_by = $3,
+       status = $4, decided_at = NOW(), updated_at = NOW() WHERE id = $5 RETURNING *`,
+      [data.decision, sensitive.decision_notes, user.id, HEARING_STATUSES.DECIDED, id]
+    );
+    return decrypt(rows[0]);
+  });
+
+  publish(DOMAIN_EVENTS.HEARING_DECIDED, { hearing, actor: user });
+  return hearing;
+}
+
+async function getAdjournmentChain(id, user) {
+  await getById(id, user);
   const { rows } = await pool.query(
-    `UPDATE hearings SET decision = $1, decision_notes = $2, decided_by = $3,
-     status = 'decided', updated_at = NOW() WHERE id = $4 RETURNING *`,
-    [data.decision, data.notes, user.id, id]
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, adjourned_from FROM hearings WHERE id = $1
+       UNION ALL
+       SELECT h.id, h.adjourned_from FROM hearings h JOIN ancestors a ON h.id = a.adjourned_from
+     ),
+     chain AS (
+       SELECT h.* FROM hearings h
+       JOIN ancestors a ON h.id = a.id AND a.adjourned_from IS NULL
+       UNION ALL
+       SELECT h.* FROM hearings h JOIN chain c ON h.adjourned_from = c.id
+     )
+     SELECT * FROM chain ORDER BY scheduled_date ASC`,
+    [id]
   );
-  if (!rows[0]) {
-    const err = new Error('Hearing not found');
-    err.statusCode = 404;
-    throw err;
-  }
-  return rows[0];
+
+  return {
+    adjournments: rows.filter((h) => h.status === HEARING_STATUSES.ADJOURNED).length,
+    hearings: rows.map(decrypt),
+  };
 }
 
-module.exports = { schedule, list, getById, recordDecision };
+module.exports = {
+  assertAction,
+  schedule,
+  list,
+  getById,
+  start,
+  adjourn,
+  reschedule,
+  cancel,
+  recordDecision,
+  getAdjournmentChain,
+};
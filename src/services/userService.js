@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { pool, withTransaction } = require('../config/db');
+const { ROLES } = require('../config/roles');
+const {
+  USER_STATUSES,
+  USER_STATUS_TRANSITIONS,
+  INVITATION_TTL_HOURS,
+} = require('../config/users');
+const authService = require('./authService');
+const passwordService = require('./passwordService');
+const { sendMail } = require('../utils/mailer');
+
+const USER_COLUMNS =
+  'id, name, email, role, status, organisation, created_at, updated_at, deactivated_at';
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function assertRole(role) {
+  if (!Object.values(ROLES).includes(role)) {
+    throw httpError(`Unknown role "${role}"`, 400);
+  }
+}
+
+function assertStatusTransition(from, to) {
+  if (!(USER_STATUS_TRANSITIONS[from] || []).includes(to)) {
+    throw httpError(`Cannot change a ${from} user to ${to}`, 400);
+  }
+}
+
+// Admins cannot demote or lock out their own account
+function assertNotSelf(id, admin, action) {
+  if (id === admin.id) {
+    throw httpError(`Administrators cannot ${action} their own account`, 400);
+  }
+}
+
+async function list(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.role) {
+    params.push(filters.role);
+    conditions.push(`role = $${params.length}`);
+  }
+  if (filters.organisation) {
+    params.push(filters.organisation);
+    conditions.push(`organisation = $${params.length}`);
+  }
+  if (filters.status) {
+    params.push(filters.status);
+    conditions.push(`status = $${params.length}`);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { rows } = await pool.query(
+    `SELECT ${USER_COLUMNS} FROM users ${where} ORDER BY name ASC`,
+    params
+  );
+  return rows;
+}
+
+async function getById(id) {
+  const { rows } = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+  if (!rows[0]) throw httpError('User not found', 404);
+  return rows[0];
+}
+
+async function createInvitation(db, userId, admin) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000);
+
+  // Only the newest invitation for a user can be accepted
+  await db.query(
+    `UPDATE user_invitations SET expires_at = NOW()
+     WHERE user_id = $1 AND accepted_at IS NULL AND expires_at > NOW()`,
+    [userId]
+  );
+  await db.query(
+    `INSERT INTO user_invitations (id, user_id, token_hash, expires_at, created_by)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [uuidv4(), userId, authService.hashToken(token), expiresAt, admin.id]
+  );
+  return { token, expiresAt };
+}
+
+// Emails the activation link. When email is not configured the link is
+// handed back to the administrator to deliver by other means
+async function deliverInvitation(user, invitation) {
+  const activationUrl = `${process.env.APP_BASE_URL || ''}/activate?token=${invitation.token}`;
+  const sent = await sendMail({
+    to: user.email,
+    subject: 'Your Mental Health Tribunal Liaison account',
+    text: `An account has been created for you. Activate it before ${invitation.expiresAt.toISOString()}:\n\n${activationUrl}`,
+  });
+  return {
+    user,
+    invitation: { expiresAt: invitation.expiresAt, emailed: sent },
+    ...(sent ? {} : { activationUrl }),
+  };
+}
+
+async function assertEmailAvailable(email) {
+  const { rows } = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+  if (rows[0]) throw httpError('A user with this email already exists', 409);
+}
+
+async function invite(data, admin) {
+  assertRole(data.role);
+  if (!data.email || !data.name) throw httpError('Name and email are required', 400);
+  await assertEmailAvailable(data.email);
+
+  const { user, invitation } = await withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `INSERT INTO users (id, name, email, role, organisation, status)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${USER_COLUMNS}`,
+      [uuidv4(), data.name, data.email, data.role, data.organisation || null, USER_STATUSES.INVITED]
+    );
+    return { user: rows[0], invitation: await createInvitation(client, rows[0].id, admin) };
+  });
+
+  return {
+    ...(await deliverInvitation(user, invitation)),
+    changes: { role: user.role, organisation: user.organisation },
+  };
+}
+
+async function reissueInvitation(id, admin) {
+  const user = await getById(id);
+  if (user.status !== USER_STATUSES.INVITED) {
+    throw httpError('Only invited users can be sent a new invitation', 400);
+  }
+
+  const invitation = await withTransaction((client) => createInvitation(client, id, admin));
+  return deliverInvitation(user, invitation);
+}
+
+// Self-registration only records a request: the account stays pending, and
+// cannot sign in, until an administrator approves it and confirms the role
+async function register({ name, email, password, role, organisation }) {
+  assertRole(role);
+  await assertEmailAvailable(email);
+  const passwordHash = await passwordService.preparePassword(password);
+
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `INSERT INTO users (id, name, email, password_hash, role, organisation, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING ${USER_COLUMNS}`,
+      [uuidv4(), name, email, passwordHash, role, organisation || null, USER_STATUSES.PENDING]
+    );
+    await passwordService.recordHistory(client, rows[0].id, passwordHash);
+    return rows[0];
+  });
+}
+
+async function acceptInvitation(token, password) {
+  if (!token) throw httpError('Token and password are required', 400);
+  const passwordHash = await passwordService.preparePassword(password);
+
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `SELECT i.*, u.status FROM user_invitations i JOIN users u ON u.id = i.user_id
+       WHERE i.token_hash = $1 FOR UPDATE OF i`,
+      [authService.hashToken(token)]
+    );
+    const invitation = rows[0];
+    if (
+      !invitation ||
+      invitation.accepted_at ||
+      new Date(invitation.expires_at) <= new Date() ||
+      invitation.status !== USER_STATUSES.INVITED
+    ) {
+      throw httpError('Invitation is invalid or has expired', 400);
+    }
+
+    await client.query('UPDATE user_invitations SET accepted_at = NOW() WHERE id = $1', [
+      invitation.id,
+    ]);
+    const { rows: users } = await client.query(
+      `UPDATE users SET password_hash = $1, status = $2, updated_at = NOW()
+       WHERE id = $3 RETURNING ${USER_COLUMNS}`,
+      [passwordHash, USER_STATUSES.ACTIVE, invitation.user_id]
+    );
+    await passwordService.recordHistory(client, invitation.user_id, passwordHash);
+    return users[0];
+  });
+}
+
+// A role change ends the user's sessions so the new role applies at once
+// rather than when the current access token expires
+async function changeRole(id, role, admin) {
+  assertRole(role);
+  assertNotSelf(id, admin, 'change the role of');
+
+  const result = await withTransaction(async (client) => {
+    const { rows } = await client.query('SELECT role FROM users WHERE id = $1 FOR UPDATE', [id]);
+    if (!rows[0]) throw httpError('User not found', 404);
+
+    const { rows: updated } = await client.query(
+      `UPDATE users SET role = $1, updated_at = NOW() WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+      [role, id]
+    );
+    return { user: updated[0], changes: { fromRole: rows[0].role, toRole: role } };
+  });
+
+  await authService.revokeAllSessions(id);
+  return result;
+}
+
+// Approving a self-registration may correct the role the applicant asked for
+async function approve(id, role, admin) {
+  if (role) assertRole(role);
+
+  return withTransaction(async (client) => {
+    const { rows } = await client.query('SELECT status, role FROM users WHERE id = $1 FOR UPDATE', [
+      id,
+    ]);
+    if (!rows[0]) throw httpError('User not found', 404);
+    if (rows[0].status !== USER_STATUSES.PENDING) {
+      throw httpError('Only pending registrations can be approved', 400);
+    }
+
+    const grantedRole = role || rows[0].role;
+    const { rows: updated } = await client.query(
+      `UPDATE users SET status = $1, role = $2, updated_at = NOW()
+       WHERE id = $3 RETURNING ${USER_COLUMNS}`,
+      [USER_STATUSES.ACTIVE, grantedRole, id]
+    );
+    return {
+      user: updated[0],
+      changes: {
+        fromStatus: USER_STATUSES.PENDING,
+        toStatus: USER_STATUSES.ACTIVE,
+        requestedRole: rows[0].role,
+        toRole: grantedRole,
+      },
+    };
+  });
+}
+
+async function changeStatus(id, status, reason, admin) {
+  if (status === USER_STATUSES.DEACTIVATED) assertNotSelf(id, admin, 'deactivate');
+
+  const result = await withTransaction(async (client) => {
+    const { rows } = await client.query('SELECT status FROM users WHERE id = $1 FOR UPDATE', [
+      id,
+    ]);
+    if (!rows[0]) throw httpError('User not found', 404);
+    assertStatusTransition(rows[0].status, status);
+
+    const { rows: updated } = await client.query(
+      `UPDATE users SET status = $1,
+         deactivated_at = CASE WHEN $1 = 'deactivated' THEN NOW() ELSE NULL END,
+         updated_at = NOW()
+       WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+      [status, id]
+    );
+    return {
+      user: updated[0],
+      changes: { fromStatus: rows[0].status, toStatus: status, reason: reason || null },
+    };
+  });
+
+  if (status === USER_STATUSES.DEACTIVATED) await authService.revokeAllSessions(id);
+  return result;
+}
+
+module.exports = {
+  assertStatusTransition,
+  list,
+  getById,
+  register,
+  invite,
+  reissueInvitation,
+  acceptInvitation,
+  changeRole,
+  approve,
+  changeStatus,
+};
@@ -0,0 +1,111 @@
+const { v4: uuidv4 } = require('uuid');
+const {
+  VICTIM_CONSENT_STATUSES,
+  CONSENT_RECONFIRMATION_STAGES,
+} = require('../config/pajsmWorkflow');
+const { DOCUMENT_PARENT_TYPES } = require('../config/documents');
+const { encryptRow, decryptRow } = require('../utils/fieldEncryption');
+
+// Victim consent records for PAJ-SM+ participants. Every function takes the
+// db or transaction client to use; access checks and the participant's own
+// consent flag are handled by pajsmService.
+
+const decrypt = (row) => decryptRow('pajsm_victim_consents', row);
+
+// Status of the consent in force, given the participant's stage and when
+// they entered it
+function consentStatus(consent, { stage, stageEnteredAt }, now = new Date()) {
+  if (!consent) return VICTIM_CONSENT_STATUSES.MISSING;
+  if (consent.revoked_at) return VICTIM_CONSENT_STATUSES.REVOKED;
+  if (consent.expires_at && new Date(consent.expires_at) <= now) {
+    return VICTIM_CONSENT_STATUSES.EXPIRED;
+  }
+  if (
+    CONSENT_RECONFIRMATION_STAGES.includes(stage) &&
+    stageEnteredAt &&
+    new Date(consent.given_at) < new Date(stageEnteredAt)
+  ) {
+    return VICTIM_CONSENT_STATUSES.RECONFIRMATION_DUE;
+  }
+  return VICTIM_CONSENT_STATUSES.ACTIVE;
+}
+
+// The most recently recorded consent is the one in force
+async function latest(db, participantId) {
+  const { rows } = await db.query(
+    `SELECT * FROM pajsm_victim_consents WHERE participant_id = $1
+     ORDER BY created_at DESC LIMIT 1`,
+    [participantId]
+  );
+  return decrypt(rows[0]) || null;
+}
+
+async function list(db, participantId) {
+  const { rows } = await db.query(
+    `SELECT c.*, w.name AS victim_services_worker_name FROM pajsm_victim_consents c
+     LEFT JOIN users w ON w.id = c.victim_services_worker_id
+     WHERE c.participant_id = $1 ORDER BY c.created_at ASC`,
+    [participantId]
+  );
+  return rows.map(decrypt);
+}
+
+// Written consent must link the signed form, uploaded to the participant's
+// documents as a consent_form
+async function checkDocument(db, participantId, data) {
+  if (data.mode === 'written' && !data.document_id) {
+    const err = new Error('Written consent requires the signed consent form (document_id)');
+    err.statusCode = 400;
+    throw err;
+  }
+  if (!data.document_id) return;
+
+  const { rows } = await db.query(
+    `SELECT 1 FROM documents
+     WHERE id = $1 AND parent_type = $2 AND parent_id = $3 AND category = 'consent_form'`,
+    [data.document_id, DOCUMENT_PARENT_TYPES.PAJSM_PARTICIPANT, participantId]
+  );
+  if (!rows[0]) {
+    const err = new Error("document_id must be a consent_form among the participant's documents");
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
+async function record(db, participantId, data, user) {
+  const sensitive = encryptRow('pajsm_victim_consents', { given_by: data.given_by });
+  const { rows } = await db.query(
+    `INSERT INTO pajsm_victim_consents
+      (id, participant_id, given_by, mode, document_id, victim_services_worker_id,
+       given_at, expires_at, recorded_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      uuidv4(),
+      participantId,
+      sensitive.given_by,
+      data.mode,
+      data.document_id || null,
+      data.victim_services_worker_id || null,
+      data.given_at,
+      data.expires_at || null,
+      user.id,
+    ]
+  );
+  return decrypt(rows[0]);
+}
+
+// Revokes every consent still on file, returning the revoked records
+async function revokeAll(db, participantId, data, user) {
+  const sensitive = encryptRow('pajsm_victim_consents', { revocation_reason: data.reason });
+  const { rows } = await db.query(
+    `UPDATE pajsm_victim_consents
+     SET revoked_at = $1, revoked_by = $2, revocation_reason = $3
+     WHERE participant_id = $4 AND revoked_at IS NULL
+     RETURNING *`,
+    [data.revoked_at, user.id, sensitive.revocation_reason, participantId]
+  );
+  return rows.map(decrypt);
+}
+
+module.exports = { consentStatus, latest, list, checkDocument, record, revokeAll };
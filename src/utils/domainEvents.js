@@ -0,0 +1,38 @@
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+const DOMAIN_EVENTS = {
+  REFERRAL_CREATED: 'referral.created',
+  REFERRAL_STATUS_CHANGED: 'referral.status_changed',
+  REFERRAL_CLINICIAN_ASSIGNED: 'referral.clinician_assigned',
+  HEARING_SCHEDULED: 'hearing.scheduled',
+  HEARING_RESCHEDULED: 'hearing.rescheduled',
+  HEARING_ADJOURNED: 'hearing.adjourned',
+  HEARING_CANCELLED: 'hearing.cancelled',
+  HEARING_DECIDED: 'hearing.decided',
+  PAJSM_ENROLLED: 'pajsm.enrolled',
+  PAJSM_STAGE_ADVANCED: 'pajsm.stage_advanced',
+  PAJSM_WITHDRAWN: 'pajsm.withdrawn',
+  PAJSM_RETURNED_TO_COURT: 'pajsm.returned_to_court',
+  PAJSM_REINSTATED: 'pajsm.reinstated',
+};
+
+const emitter = new EventEmitter();
+
+// Services publish after their changes are committed. Subscribers run
+// asynchronously and their failures are logged, never surfaced to the caller.
+function publish(type, payload) {
+  setImmediate(() => emitter.emit(type, payload));
+}
+
+function subscribe(type, handler) {
+  emitter.on(type, (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload, type))
+      .catch((err) => {
+        logger.error({ message: 'Domain event handler failed', event: type, error: err.message });
+      });
+  });
+}
+
+module.exports = { DOMAIN_EVENTS, publish, subscribe };
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { ENCRYPTED_FIELDS, BLIND_INDEXES } = require('../config/encryption');
+
+// Ciphertext format: enc:v<keyVersion>:<iv>:<authTag>:<ciphertext>, base64 parts
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+let cachedKeys = null;
+let cachedKeysSource = null;
+
+function configError(message) {
+  const err = new Error(message);
+  err.statusCode = 500;
+  return err;
+}
+
+// FIELD_ENCRYPTION_KEYS holds comma-separated "version:base64key" pairs so
+// old keys remain available for decryption after a rotation
+function loadKeys() {
+  const source = process.env.FIELD_ENCRYPTION_KEYS || '';
+  if (cachedKeys && cachedKeysSource === source) return cachedKeys;
+  if (!source) throw configError('FIELD_ENCRYPTION_KEYS is not configured');
+
+  const keys = new Map();
+  for (const pair of source.split(',')) {
+    const [version, encoded] = pair.trim().split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+    if (!/^\d+$/.test(version) || key.length !== 32) {
+      throw configError('FIELD_ENCRYPTION_KEYS must contain version:base64 pairs of 32-byte keys');
+    }
+    keys.set(Number(version), key);
+  }
+
+  cachedKeys = keys;
+  cachedKeysSource = source;
+  return keys;
+}
+
+function currentKeyVersion() {
+  const keys = loadKeys();
+  const configured = Number(process.env.FIELD_ENCRYPTION_KEY_VERSION);
+  const version = configured || Math.max(...keys.keys());
+  if (!keys.has(version)) {
+    throw configError(`Encryption key version ${version} is not configured`);
+  }
+  return version;
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:v`);
+}
+
+function keyVersionOf(value) {
+  return isEncrypted(value) ? Number(value.split(':')[1].slice(1)) : null;
+}
+
+function encrypt(plaintext) {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+
+  const version = currentKeyVersion();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, loadKeys().get(version), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [
+    PREFIX,
+    `v${version}`,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64'),
+  ].join(':');
+}
+
+// Values written before encryption was enabled are returned unchanged so
+// they remain readable until the rotation command re-encrypts them
+function decrypt(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [, , iv, tag, ciphertext] = value.split(':');
+  const version = keyVersionOf(value);
+  const key = loadKeys().get(version);
+  if (!key) throw configError(`Encryption key version ${version} is not configured`);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+function needsRotation(value) {
+  if (value === null || value === undefined) return false;
+  return keyVersionOf(value) !== currentKeyVersion();
+}
+
+function normalizeForIndex(value) {
+  return String(value).normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function blindIndex(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (!process.env.BLIND_INDEX_KEY) throw configError('BLIND_INDEX_KEY is not configured');
+
+  return crypto
+    .createHmac('sha256', process.env.BLIND_INDEX_KEY)
+    .update(normalizeForIndex(value))
+    .digest('hex');
+}
+
+// Encrypts the configured columns of a plaintext column map and adds the
+// matching blind index columns
+function encryptRow(table, values) {
+  const encrypted = { ...values };
+  for (const field of ENCRYPTED_FIELDS[table] || []) {
+    if (field in values) encrypted[field] = encrypt(values[field]);
+  }
+  for (const [field, indexColumn] of Object.entries(BLIND_INDEXES[table] || {})) {
+    if (field in values) encrypted[indexColumn] = blindIndex(values[field]);
+  }
+  return encrypted;
+}
+
+function decryptRow(table, row) {
+  if (!row) return row;
+  const decrypted = { ...row };
+  for (const field of ENCRYPTED_FIELDS[table] || []) {
+    if (field in row) decrypted[field] = decrypt(row[field]);
+  }
+  for (const indexColumn of Object.values(BLIND_INDEXES[table] || {})) {
+    delete decrypted[indexColumn];
+  }
+  return decrypted;
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  needsRotation,
+  blindIndex,
+  encryptRow,
+  decryptRow,
+};
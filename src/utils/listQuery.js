@@ -0,0 +1,154 @@
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('../config/pagination');
+
+// Shared parsing for list endpoints: cursor pagination over an allow-listed
+// sort field, plus validation of the common filter shapes.
+//
+// Cursors encode the sort value and id of the last row returned, and the
+// next page continues strictly after that pair, so pages stay consistent
+// while rows are inserted.
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function parseLimit(value) {
+  if (value === undefined || value === '') return DEFAULT_PAGE_SIZE;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return limit;
+}
+
+// "field" sorts ascending, "-field" descending
+function parseSort(value, sortFields, defaultSort) {
+  const raw = value || defaultSort;
+  const key = raw.replace(/^-/, '');
+  if (!sortFields[key]) {
+    throw badRequest(`Cannot sort by "${key}"; allowed: ${Object.keys(sortFields).join(', ')}`);
+  }
+  return { key, direction: raw.startsWith('-') ? 'desc' : 'asc' };
+}
+
+function encodeCursor(sortValue, id) {
+  return Buffer.from(JSON.stringify([sortValue, id])).toString('base64url');
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Whether a cursor's sort value can be cast to the field's type in SQL
+const SORT_VALUE_CHECKS = {
+  timestamp: (value) => !Number.isNaN(Date.parse(value)),
+  integer: (value) => /^-?\d+$/.test(value),
+  text: () => true,
+};
+
+// Cursors come back from clients, so both parts are checked before they
+// reach the ::uuid and sort-type casts in the query
+function decodeCursor(cursor, field = null) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (
+      Array.isArray(decoded) &&
+      decoded.length === 2 &&
+      typeof decoded[0] === 'string' &&
+      typeof decoded[1] === 'string' &&
+      UUID_PATTERN.test(decoded[1]) &&
+      (!field || SORT_VALUE_CHECKS[field.rank ? 'integer' : field.type](decoded[0]))
+    ) {
+      return decoded;
+    }
+  } catch {
+    // fall through
+  }
+  throw badRequest('Invalid cursor');
+}
+
+function parsePage(query, sortFields, defaultSort) {
+  const sort = parseSort(query.sort, sortFields, defaultSort);
+  return {
+    limit: parseLimit(query.limit),
+    sort,
+    cursor: query.cursor ? decodeCursor(query.cursor, sortFields[sort.key]) : null,
+  };
+}
+
+// Builds the ORDER BY, the "after cursor" condition and the selected sort key
+// for a page. Pushes its bind values onto params.
+function keyset(page, sortFields, alias, params) {
+  const field = sortFields[page.sort.key];
+  let expression = `${alias}.${field.column}`;
+  let type = field.type;
+
+  if (field.rank) {
+    params.push(field.rank);
+    expression = `COALESCE(array_position($${params.length}::text[], ${expression}::text), 0)`;
+    type = 'integer';
+  } else if (field.coalesce) {
+    expression = `COALESCE(${expression}, ${field.coalesce})`;
+  }
+
+  const desc = page.sort.direction === 'desc';
+  let condition = null;
+  if (page.cursor) {
+    params.push(page.cursor[0], page.cursor[1]);
+    const after = `($${params.length - 1}::${type}, $${params.length}::uuid)`;
+    condition = `(${expression}, ${alias}.id) ${desc ? '<' : '>'} ${after}`;
+  }
+
+  const direction = desc ? 'DESC' : 'ASC';
+  return {
+    condition,
+    orderBy: `${expression} ${direction}, ${alias}.id ${direction}`,
+    // Selected as text so timestamps keep their full precision in the cursor
+    sortKey: `(${expression})::text AS sort_key`,
+  };
+}
+
+// Expects rows fetched with LIMIT page.limit + 1; the extra row only signals
+// that another page exists
+function toPage(rows, page, mapRow = (row) => row) {
+  const hasMore = rows.length > page.limit;
+  const pageRows = rows.slice(0, page.limit);
+  const last = pageRows[pageRows.length - 1];
+
+  return {
+    data: pageRows.map(({ sort_key: _sortKey, ...row }) => mapRow(row)),
+    pagination: {
+      limit: page.limit,
+      sort: `${page.sort.direction === 'desc' ? '-' : ''}${page.sort.key}`,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(last.sort_key, last.id) : null,
+    },
+  };
+}
+
+// Accepts a single value or a comma-separated list, all from allowed
+function parseEnumFilter(value, allowed, name) {
+  if (value === undefined || value === '') return null;
+  const values = String(value).split(',').map((v) => v.trim());
+  const invalid = values.filter((v) => !allowed.includes(v));
+  if (invalid.length > 0) {
+    throw badRequest(`Invalid ${name} "${invalid.join(', ')}"; allowed: ${allowed.join(', ')}`);
+  }
+  return values;
+}
+
+function parseDateFilter(value, name) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`${name} must be a valid date`);
+  return date;
+}
+
+module.exports = {
+  parsePage,
+  keyset,
+  toPage,
+  encodeCursor,
+  decodeCursor,
+  parseEnumFilter,
+  parseDateFilter,
+};
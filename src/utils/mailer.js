@@ -0,0 +1,33 @@
+const nodemailer = require('nodemailer');
+const { logger } = require('./logger');
+
+let transporter = null;
+
+// Email is disabled when SMTP_HOST is unset; in-app notifications still work
+function getTransporter() {
+  if (!process.env.SMTP_HOST) return null;
+  if (transporter) return transporter;
+
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+  return transporter;
+}
+
+async function sendMail({ to, subject, text }) {
+  const smtp = getTransporter();
+  if (!smtp) {
+    logger.debug({ message: 'SMTP not configured, email skipped', subject });
+    return false;
+  }
+
+  await smtp.sendMail({ from: process.env.SMTP_FROM, to, subject, text });
+  return true;
+}
+
+module.exports = { sendMail };
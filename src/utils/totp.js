@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+// RFC 4226 / RFC 6238 one-time passwords as produced by common authenticator
+// apps: HMAC-SHA1, 6 digits, 30-second steps
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(secret, counter, digits = DIGITS) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+function counterAt(time) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+function totp(secret, time = Date.now(), digits = DIGITS) {
+  return hotp(secret, counterAt(time), digits);
+}
+
+// Returns the matching time-step counter, or null. Callers store the counter
+// so the same code cannot be replayed within its validity window
+function verifyTotp(secret, code, { time = Date.now(), window = 1 } = {}) {
+  if (!/^\d{6}$/.test(String(code || ''))) return null;
+  const current = counterAt(time);
+  const expected = Buffer.from(String(code));
+
+  for (let drift = -window; drift <= window; drift++) {
+    const candidate = Buffer.from(hotp(secret, current + drift));
+    if (crypto.timingSafeEqual(candidate, expected)) return current + drift;
+  }
+  return null;
+}
+
+// otpauth:// URI rendered as a QR code by the client for authenticator apps
+function provisioningUri(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  verifyTotp,
+  provisioningUri,
+};
@@ -0,0 +1,162 @@
+// Minimal declarative schemas for request validation.
+//
+// Schemas are plain objects built with the helpers below. Object schemas
+// reject properties they do not declare, and every property is required
+// unless marked optional. Query strings and route params arrive as strings,
+// so validation can coerce them to integers and booleans.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FORMATS = {
+  uuid: (value) => UUID_PATTERN.test(value),
+  email: (value) => EMAIL_PATTERN.test(value),
+  'date-time': (value) => !Number.isNaN(Date.parse(value)),
+};
+
+const string = (options = {}) => ({ type: 'string', ...options });
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const uuid = (options = {}) => string({ format: 'uuid', ...options });
+const email = (options = {}) => string({ format: 'email', maxLength: 255, ...options });
+const dateTime = (options = {}) => string({ format: 'date-time', ...options });
+const oneOf = (values, options = {}) => string({ enum: values, ...options });
+// Comma-separated filter values such as ?status=pending,accepted
+const oneOfList = (values, options = {}) => string({ enumList: values, ...options });
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+const object = (properties, options = {}) => ({ type: 'object', properties, ...options });
+const optional = (schema) => ({ ...schema, optional: true });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+function issue(path, code, message) {
+  return { path, code, message };
+}
+
+function coerceValue(schema, value) {
+  if (typeof value !== 'string') return value;
+  if (schema.type === 'integer' && /^-?\d+$/.test(value)) return Number(value);
+  if (schema.type === 'number' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+function checkString(schema, value, path, errors) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(issue(path, 'too_short', `must be at least ${schema.minLength} characters`));
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push(issue(path, 'too_long', `must be at most ${schema.maxLength} characters`));
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(issue(path, 'invalid_value', `must be one of: ${schema.enum.join(', ')}`));
+  }
+  if (schema.enumList) {
+    const invalid = value.split(',').filter((v) => !schema.enumList.includes(v.trim()));
+    if (invalid.length > 0) {
+      const allowed = schema.enumList.join(', ');
+      errors.push(issue(path, 'invalid_value', `values must be among: ${allowed}`));
+    }
+  }
+  if (schema.format && !FORMATS[schema.format](value)) {
+    errors.push(issue(path, 'invalid_format', `must be a valid ${schema.format}`));
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push(issue(path, 'invalid_format', 'has an invalid format'));
+  }
+}
+
+function checkNumber(schema, value, path, errors) {
+  if (schema.min !== undefined && value < schema.min) {
+    errors.push(issue(path, 'too_small', `must be at least ${schema.min}`));
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    errors.push(issue(path, 'too_large', `must be at most ${schema.max}`));
+  }
+}
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+};
+
+// Returns { value, errors }; value carries any coerced fields
+function check(schema, input, path, options = {}) {
+  const errors = [];
+  const value = options.coerce ? coerceValue(schema, input) : input;
+
+  if (value === undefined) {
+    if (!schema.optional) errors.push(issue(path, 'required', 'is required'));
+    return { value, errors };
+  }
+  if (value === null) {
+    if (!schema.nullable) errors.push(issue(path, 'invalid_type', 'must not be null'));
+    return { value, errors };
+  }
+  if (!TYPE_CHECKS[schema.type](value)) {
+    errors.push(issue(path, 'invalid_type', `must be of type ${schema.type}`));
+    return { value, errors };
+  }
+
+  if (schema.type === 'string') checkString(schema, value, path, errors);
+  if (schema.type === 'integer' || schema.type === 'number') {
+    checkNumber(schema, value, path, errors);
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(issue(path, 'too_few_items', `must contain at least ${schema.minItems} items`));
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(issue(path, 'too_many_items', `must contain at most ${schema.maxItems} items`));
+    }
+    const items = value.map((item, i) => {
+      const result = check(schema.items, item, `${path}[${i}]`, options);
+      errors.push(...result.errors);
+      return result.value;
+    });
+    return { value: items, errors };
+  }
+
+  if (schema.type === 'object') {
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      if (!schema.properties[key]) {
+        errors.push(issue(`${path}.${key}`, 'unknown_field', 'is not an allowed field'));
+      }
+    });
+    Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+      const checked = check(propertySchema, value[key], `${path}.${key}`, options);
+      errors.push(...checked.errors);
+      if (checked.value !== undefined) result[key] = checked.value;
+    });
+    return { value: result, errors };
+  }
+
+  return { value, errors };
+}
+
+module.exports = {
+  string,
+  integer,
+  number,
+  boolean,
+  uuid,
+  email,
+  dateTime,
+  oneOf,
+  oneOfList,
+  array,
+  object,
+  optional,
+  nullable,
+  check,
+};
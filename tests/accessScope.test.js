@@ -0,0 +1,114 @@
+const {
+  referralScope,
+  hearingScope,
+  assessmentScope,
+  pajsmScope,
+} = require('../src/services/accessScope');
+
+const USER_ID = '11111111-1111-1111-1111-111111111111';
+
+function scopeFor(fn, role, params = []) {
+  const condition = fn({ id: USER_ID, role }, 'x', params);
+  return { condition, params };
+}
+
+describe('referralScope', () => {
+  it('should not restrict admins', () => {
+    const { condition, params } = scopeFor(referralScope, 'admin');
+    expect(condition).toBe('TRUE');
+    expect(params).toHaveLength(0);
+  });
+
+  it('should limit police and requesting parties to referrals they submitted', () => {
+    ['police_officer', 'requesting_party'].forEach((role) => {
+      const { condition, params } = scopeFor(referralScope, role);
+      expect(condition).toBe('x.referred_by = $1');
+      expect(params).toEqual([USER_ID]);
+    });
+  });
+
+  it('should match through a user id column instead of a bound id', () => {
+    const params = [];
+    const condition = referralScope({ role: 'respondent', idColumn: 'u.id' }, 'x', params);
+    expect(condition).toBe('x.respondent_id = u.id');
+    expect(params).toHaveLength(0);
+  });
+
+  it('should limit respondents to their own case', () => {
+    const { condition } = scopeFor(referralScope, 'respondent');
+    expect(condition).toBe('x.respondent_id = $1');
+  });
+
+  it('should limit clinicians to assigned cases', () => {
+    ['mental_health_professional', 'physician'].forEach((role) => {
+      const { condition } = scopeFor(referralScope, role);
+      expect(condition).toBe('x.assigned_clinician_id = $1');
+    });
+  });
+
+  it('should limit panel members to referrals with a hearing they sit on', () => {
+    const { condition } = scopeFor(referralScope, 'tribunal_member');
+    expect(condition).toContain('panel_members @> jsonb_build_array($1::text)');
+  });
+
+  it('should number bind parameters after existing ones', () => {
+    const { condition, params } = scopeFor(referralScope, 'respondent', ['referral-id']);
+    expect(condition).toBe('x.respondent_id = $2');
+    expect(params).toEqual(['referral-id', USER_ID]);
+  });
+
+  it('should deny unknown roles', () => {
+    expect(scopeFor(referralScope, 'visitor').condition).toBe('FALSE');
+  });
+});
+
+describe('hearingScope', () => {
+  it('should match panel membership directly for tribunal members', () => {
+    const { condition } = scopeFor(hearingScope, 'tribunal_member');
+    expect(condition).toBe('x.panel_members @> jsonb_build_array($1::text)');
+  });
+
+  it('should fall back to referral visibility for other roles', () => {
+    const { condition } = scopeFor(hearingScope, 'respondent');
+    expect(condition).toContain('sr.id = x.referral_id');
+    expect(condition).toContain('sr.respondent_id = $1');
+  });
+
+  it('should let PAJ-SM+ staff see follow-up hearings of participants they can see', () => {
+    const { condition } = scopeFor(hearingScope, 'mental_health_professional');
+    expect(condition).toContain('sp.id = x.pajsm_participant_id');
+    expect(condition).toContain('sp.assigned_clinician_id = $2');
+  });
+});
+
+describe('assessmentScope', () => {
+  it('should let clinicians see assessments they wrote or on assigned cases', () => {
+    const { condition, params } = scopeFor(assessmentScope, 'physician');
+    expect(condition).toContain('x.assessed_by = $1');
+    expect(condition).toContain('sr.assigned_clinician_id = $1');
+    expect(params).toEqual([USER_ID]);
+  });
+});
+
+describe('pajsmScope', () => {
+  it('should not restrict prosecutors', () => {
+    expect(scopeFor(pajsmScope, 'prosecutor').condition).toBe('TRUE');
+  });
+
+  it('should limit clinicians to assigned participants', () => {
+    const { condition } = scopeFor(pajsmScope, 'mental_health_professional');
+    expect(condition).toContain('x.assigned_clinician_id = $1');
+  });
+
+  it('should let panel members see participants whose follow-up hearings they sit on', () => {
+    const { condition } = scopeFor(pajsmScope, 'tribunal_member');
+    expect(condition).toContain('sh.pajsm_participant_id = x.id');
+    expect(condition).toContain('panel_members @> jsonb_build_array($1::text)');
+  });
+
+  it('should limit victim services workers to the participants they support', () => {
+    const { condition, params } = scopeFor(pajsmScope, 'victim_services_worker');
+    expect(condition).toBe('x.victim_services_worker_id = $1');
+    expect(params).toEqual([USER_ID]);
+  });
+});
@@ -0,0 +1,135 @@
+jest.mock('pg', () => {
+  const pool = { query: jest.fn(), connect: jest.fn(), end: jest.fn() };
+  return { Pool: jest.fn(() => pool) };
+});
+
+const { pool } = require('../src/config/db');
+const { computeHash, verify } = require('../src/services/auditService');
+
+function makeEntry(overrides = {}) {
+  return {
+    action: 'VIEW_REFERRAL',
+    userId: '11111111-1111-1111-1111-111111111111',
+    role: 'police_officer',
+    method: 'GET',
+    path: '/api/v1/referrals/abc',
+    resourceId: 'abc',
+    statusCode: 200,
+    ipAddress: '10.0.0.1',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    ...overrides,
+  };
+}
+
+function toRow(id, entry, prevHash) {
+  return {
+    id: String(id),
+    action: entry.action,
+    user_id: entry.userId,
+    role: entry.role,
+    method: entry.method,
+    path: entry.path,
+    resource_id: entry.resourceId,
+    status_code: entry.statusCode,
+    ip_address: entry.ipAddress,
+    created_at: new Date(entry.createdAt),
+    prev_hash: prevHash,
+    details: entry.details || null,
+    hash: computeHash(entry, prevHash),
+  };
+}
+
+function buildChain(entries) {
+  const rows = [];
+  let prevHash = null;
+  entries.forEach((entry, i) => {
+    const row = toRow(i + 1, entry, prevHash);
+    rows.push(row);
+    prevHash = row.hash;
+  });
+  return rows;
+}
+
+describe('computeHash', () => {
+  it('should be deterministic for the same entry and predecessor', () => {
+    expect(computeHash(makeEntry(), null)).toBe(computeHash(makeEntry(), null));
+  });
+
+  it('should change when any field or the predecessor changes', () => {
+    const base = computeHash(makeEntry(), null);
+    expect(computeHash(makeEntry({ statusCode: 403 }), null)).not.toBe(base);
+    expect(computeHash(makeEntry(), 'a'.repeat(64))).not.toBe(base);
+  });
+
+  it('should cover details regardless of key order', () => {
+    const details = { fromRole: 'physician', toRole: 'admin' };
+    const withDetails = computeHash(makeEntry({ details }), null);
+    expect(withDetails).not.toBe(computeHash(makeEntry(), null));
+    expect(computeHash(makeEntry({ details: { toRole: 'admin', fromRole: 'physician' } }), null)).toBe(
+      withDetails
+    );
+    expect(computeHash(makeEntry({ details: { ...details, toRole: 'respondent' } }), null)).not.toBe(
+      withDetails
+    );
+  });
+
+  it('should hash details the way they read back from JSONB', () => {
+    const details = {
+      version: 2,
+      effectiveFrom: new Date('2026-03-01T00:00:00.000Z'),
+      note: undefined,
+    };
+    const stored = JSON.parse(JSON.stringify(details));
+    expect(computeHash(makeEntry({ details }), null)).toBe(
+      computeHash(makeEntry({ details: stored }), null)
+    );
+  });
+});
+
+describe('verify', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  it('should accept an intact chain', async () => {
+    const rows = buildChain([makeEntry(), makeEntry({ action: 'PAJSM_VIEW' })]);
+    pool.query.mockResolvedValueOnce({ rows }).mockResolvedValueOnce({ rows: [] });
+
+    const result = await verify();
+    expect(result).toEqual({ valid: true, entriesChecked: 2, firstInvalidId: null, reason: null });
+  });
+
+  it('should detect an edited entry', async () => {
+    const rows = buildChain([makeEntry(), makeEntry({ action: 'PAJSM_VIEW' })]);
+    rows[1].user_id = '22222222-2222-2222-2222-222222222222';
+    pool.query.mockResolvedValueOnce({ rows }).mockResolvedValueOnce({ rows: [] });
+
+    const result = await verify();
+    expect(result.valid).toBe(false);
+    expect(result.firstInvalidId).toBe('2');
+    expect(result.reason).toBe('hash_mismatch');
+  });
+
+  it('should detect edited privilege-change details', async () => {
+    const rows = buildChain([
+      makeEntry({ action: 'CHANGE_USER_ROLE', details: { fromRole: 'physician', toRole: 'admin' } }),
+    ]);
+    rows[0].details = { fromRole: 'admin', toRole: 'admin' };
+    pool.query.mockResolvedValueOnce({ rows }).mockResolvedValueOnce({ rows: [] });
+
+    const result = await verify();
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('hash_mismatch');
+  });
+
+  it('should detect a deleted entry', async () => {
+    const rows = buildChain([makeEntry(), makeEntry(), makeEntry()]);
+    rows.splice(1, 1);
+    pool.query.mockResolvedValueOnce({ rows }).mockResolvedValueOnce({ rows: [] });
+
+    const result = await verify();
+    expect(result.valid).toBe(false);
+    expect(result.firstInvalidId).toBe('3');
+    expect(result.reason).toBe('broken_link');
+  });
+});
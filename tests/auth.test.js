@@ -0,0 +1,72 @@
+jest.mock('pg', () => {
+  const pool = { query: jest.fn(), connect: jest.fn(), end: jest.fn() };
+  return { Pool: jest.fn(() => pool) };
+});
+
+const bcrypt = require('bcrypt');
+const { pool } = require('../src/config/db');
+const { assessRefreshToken, hashToken, login } = require('../src/services/authService');
+
+describe('assessRefreshToken', () => {
+  const now = new Date('2026-03-02T10:00:00Z');
+  const active = {
+    used_at: null,
+    revoked_at: null,
+    expires_at: '2026-03-05T10:00:00Z',
+    session_expires_at: '2026-03-08T10:00:00Z',
+  };
+
+  it('should accept an unused token on a live session', () => {
+    expect(assessRefreshToken(active, now)).toBe('valid');
+  });
+
+  it('should reject unknown tokens', () => {
+    expect(assessRefreshToken(undefined, now)).toBe('invalid');
+  });
+
+  it('should flag a spent token as reuse', () => {
+    expect(assessRefreshToken({ ...active, used_at: '2026-03-01T10:00:00Z' }, now)).toBe('reused');
+  });
+
+  it('should reject tokens on a revoked session', () => {
+    expect(
+      assessRefreshToken(
+        { ...active, used_at: '2026-03-01T10:00:00Z', revoked_at: '2026-03-01T11:00:00Z' },
+        now
+      )
+    ).toBe('revoked');
+  });
+
+  it('should reject expired tokens and sessions', () => {
+    expect(assessRefreshToken({ ...active, expires_at: '2026-03-01T10:00:00Z' }, now)).toBe(
+      'expired'
+    );
+    expect(
+      assessRefreshToken({ ...active, session_expires_at: '2026-03-02T09:00:00Z' }, now)
+    ).toBe('expired');
+  });
+});
+
+describe('hashToken', () => {
+  it('should produce a stable sha256 hex digest', () => {
+    expect(hashToken('abc')).toBe(
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+    );
+  });
+});
+
+describe('login', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should spend a password comparison on unknown emails too', async () => {
+    pool.query.mockReset();
+    pool.query.mockResolvedValue({ rows: [] });
+    jest.spyOn(bcrypt, 'hash').mockResolvedValue('$2b$12$dummyhash');
+    jest.spyOn(bcrypt, 'compare').mockResolvedValue(false);
+
+    await expect(login('nobody@example.org', 'a password')).rejects.toMatchObject({
+      statusCode: 401,
+    });
+    expect(bcrypt.compare).toHaveBeenCalledWith('a password', '$2b$12$dummyhash');
+  });
+});
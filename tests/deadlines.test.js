@@ -0,0 +1,118 @@
+jest.mock('pg', () => {
+  const pool = { query: jest.fn(), connect: jest.fn(), end: jest.fn() };
+  return { Pool: jest.fn(() => pool) };
+});
+
+const { pool } = require('../src/config/db');
+const { evaluateDeadlines, listFlagged } = require('../src/services/deadlineService');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = new Date('2026-03-02T08:00:00.000Z');
+
+function hoursAfter(hours) {
+  return new Date(T0.getTime() + hours * HOUR);
+}
+
+function byRule(results, key) {
+  return results.find((d) => d.rule === key);
+}
+
+describe('evaluateDeadlines', () => {
+  it('should size the assessment deadline by urgency', () => {
+    const critical = evaluateDeadlines({ urgency: 'critical', referral_created: T0 }, T0);
+    const low = evaluateDeadlines({ urgency: 'low', referral_created: T0 }, T0);
+    expect(byRule(critical, 'assessment_after_referral').dueAt).toEqual(hoursAfter(24));
+    expect(byRule(low, 'assessment_after_referral').dueAt).toEqual(hoursAfter(72));
+  });
+
+  it('should skip rules whose starting event has not happened', () => {
+    const results = evaluateDeadlines({ urgency: 'high', referral_created: T0 }, T0);
+    expect(results.map((d) => d.rule)).toEqual(['assessment_after_referral']);
+  });
+
+  it('should report pending, at risk and breached as time passes', () => {
+    const facts = { urgency: 'critical', referral_created: T0 };
+    const status = (hours) =>
+      byRule(evaluateDeadlines(facts, hoursAfter(hours)), 'assessment_after_referral').status;
+
+    expect(status(1)).toBe('pending');
+    expect(status(20)).toBe('at_risk');
+    expect(status(25)).toBe('breached');
+  });
+
+  it('should distinguish deadlines met on time from those met late', () => {
+    const onTime = evaluateDeadlines(
+      { urgency: 'critical', referral_created: T0, assessment_filed: hoursAfter(10) },
+      hoursAfter(100)
+    );
+    const late = evaluateDeadlines(
+      { urgency: 'critical', referral_created: T0, assessment_filed: hoursAfter(30) },
+      hoursAfter(100)
+    );
+    expect(byRule(onTime, 'assessment_after_referral').status).toBe('met');
+    expect(byRule(late, 'assessment_after_referral').status).toBe('met_late');
+  });
+
+  it('should start the hearing clock when the application is accepted', () => {
+    const results = evaluateDeadlines(
+      { urgency: 'medium', referral_created: T0, referral_accepted: hoursAfter(2) },
+      hoursAfter(3)
+    );
+    expect(byRule(results, 'hearing_after_application').dueAt).toEqual(hoursAfter(2 + 21 * 24));
+  });
+
+  it('should accept custom rules', () => {
+    const rules = [
+      { key: 'custom', label: 'Custom', startsOn: 'hearing_scheduled', satisfiedBy: 'hearing_held', hours: 1 },
+    ];
+    const results = evaluateDeadlines({ hearing_scheduled: T0 }, hoursAfter(2), rules);
+    expect(results).toEqual([
+      expect.objectContaining({ rule: 'custom', status: 'breached', dueAt: hoursAfter(1) }),
+    ]);
+  });
+});
+
+describe('listFlagged', () => {
+  const admin = { id: 'a1', role: 'admin' };
+
+  function openReferral(id, createdAt) {
+    return {
+      id,
+      urgency: 'high',
+      status: 'pending',
+      referral_created: createdAt,
+      sort_key: createdAt.toISOString(),
+    };
+  }
+
+  function uuidOf(n) {
+    return `00000000-0000-0000-0000-${String(n).padStart(12, '0')}`;
+  }
+
+  beforeEach(() => pool.query.mockReset());
+
+  it('should fill the page with flagged referrals past a batch with none', async () => {
+    // Created just now, so no deadline is at risk yet
+    const recent = Array.from({ length: 100 }, (_, i) => openReferral(uuidOf(i), new Date()));
+    // Created long ago, so the acceptance deadline has passed
+    const overdue = [100, 101, 102].map((n) => openReferral(uuidOf(n), T0));
+    pool.query.mockResolvedValueOnce({ rows: recent }).mockResolvedValueOnce({ rows: overdue });
+
+    const result = await listFlagged(admin, { limit: 2 });
+    expect(result.data.map((c) => c.referralId)).toEqual([uuidOf(100), uuidOf(101)]);
+    expect(result.data[0].deadlines.every((d) => d.status === 'breached')).toBe(true);
+    expect(result.pagination).toMatchObject({ limit: 2, hasMore: true });
+
+    // The second batch continues after the last referral of the first
+    const [, params] = pool.query.mock.calls[1];
+    expect(params).toEqual(expect.arrayContaining([recent[99].sort_key, uuidOf(99)]));
+  });
+
+  it('should stop at the last open referral', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [openReferral(uuidOf(1), T0)] });
+    const result = await listFlagged(admin, { limit: 2 });
+    expect(result.data).toHaveLength(1);
+    expect(result.pagination.hasMore).toBe(false);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateUpload } = require('../src/services/documentService');
+const { createLocalStorage } = require('../src/services/storage/localStorage');
+
+function makeFile(overrides = {}) {
+  return {
+    filename: 'incident-report.pdf',
+    mimeType: 'application/pdf',
+    content: Buffer.from('%PDF-1.7 test'),
+    ...overrides,
+  };
+}
+
+function uploadError(file, meta) {
+  try {
+    validateUpload(file, meta);
+    return null;
+  } catch (err) {
+    return err;
+  }
+}
+
+describe('validateUpload', () => {
+  it('should accept an allowed file type with metadata', () => {
+    expect(uploadError(makeFile(), { category: 'incident_report', visibility: 'all_parties' })).toBeNull();
+  });
+
+  it('should reject file types outside the allow-list', () => {
+    const err = uploadError(makeFile({ mimeType: 'application/x-msdownload' }));
+    expect(err.statusCode).toBe(415);
+  });
+
+  it('should reject empty uploads and missing filenames', () => {
+    expect(uploadError(makeFile({ content: Buffer.alloc(0) })).statusCode).toBe(400);
+    expect(uploadError(makeFile({ filename: undefined })).statusCode).toBe(400);
+  });
+
+  it('should reject unknown categories and visibility values', () => {
+    expect(uploadError(makeFile(), { category: 'selfie' }).statusCode).toBe(400);
+    expect(uploadError(makeFile(), { visibility: 'public' }).statusCode).toBe(400);
+  });
+});
+
+describe('local storage backend', () => {
+  let root;
+  let storage;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'documents-'));
+    storage = createLocalStorage(root);
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should store and read back content by key', async () => {
+    await storage.put('referral/abc/doc-1', Buffer.from('hello'));
+    expect((await storage.get('referral/abc/doc-1')).toString()).toBe('hello');
+  });
+
+  it('should refuse to overwrite an existing object', async () => {
+    await storage.put('referral/abc/doc-1', Buffer.from('hello'));
+    await expect(storage.put('referral/abc/doc-1', Buffer.from('changed'))).rejects.toThrow();
+  });
+
+  it('should refuse keys that escape the storage root', async () => {
+    await expect(storage.put('../outside', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  });
+});
@@ -1,4 +1,16 @@
-const { checkEligibility, getExclusions, getVulnerabilityTypes } = require('../src/services/eligibilityService');
+jest.mock('pg', () => {
+  const pool = { query: jest.fn(), connect: jest.fn(), end: jest.fn() };
+  return { Pool: jest.fn(() => pool) };
+});
+
+const {
+  checkEligibility,
+  requiresVictimConsent,
+  getExclusions,
+  getVulnerabilityTypes,
+} = require('../src/services/eligibilityService');
+const { compareOutcomes } = require('../src/services/ruleSetService');
+const { BASELINE_RULE_SET, ELIGIBILITY_CRITERIA } = require('../src/config/pajsm');
 
 function makeEligibleData(overrides = {}) {
   return {
@@ -205,6 +217,14 @@ describe('getExclusions', () => {
   });
 });
 
+describe('requiresVictimConsent', () => {
+  it('should only require consent for conditionally-excluded offences', () => {
+    expect(requiresVictimConsent({ offence_category: 'domestic_violence' })).toBe(true);
+    expect(requiresVictimConsent({ offence_category: 'elder_abuse' })).toBe(true);
+    expect(requiresVictimConsent({ offence_category: 'theft' })).toBe(false);
+  });
+});
+
 describe('getVulnerabilityTypes', () => {
   it('should return vulnerability types with keys and labels', () => {
     const types = getVulnerabilityTypes();
@@ -216,3 +236,108 @@ describe('getVulnerabilityTypes', () => {
     });
   });
 });
+
+describe('per-criterion results', () => {
+  function criterion(result, name) {
+    return result.criteria.find((c) => c.criterion === name);
+  }
+
+  it('should report every criterion with a status, a reason code and its input', () => {
+    const result = checkEligibility(
+      makeEligibleData({ diagnosed: true, capacity_to_learn: true })
+    );
+    expect(result.criteria.map((c) => c.criterion)).toEqual(ELIGIBILITY_CRITERIA);
+    expect(result.criteria.every((c) => c.status === 'met')).toBe(true);
+    expect(result.provisional).toBe(false);
+    expect(criterion(result, 'admissible_offence')).toEqual({
+      criterion: 'admissible_offence',
+      status: 'met',
+      code: 'OFFENCE_ADMISSIBLE',
+      input: { offence_category: 'theft', prosecution_mode: 'summary', victim_consent: null },
+    });
+  });
+
+  it('should mark an undiagnosed vulnerability as provisional', () => {
+    const result = checkEligibility(
+      makeEligibleData({ diagnosed: false, capacity_to_learn: true })
+    );
+    expect(result.eligible).toBe(true);
+    expect(result.provisional).toBe(true);
+    expect(criterion(result, 'recognized_vulnerability')).toMatchObject({
+      status: 'needs_clinical_confirmation',
+      code: 'VULNERABILITY_NOT_DIAGNOSED',
+      input: { vulnerabilities: ['mental_health_disorder'], diagnosed: false },
+    });
+  });
+
+  it('should evaluate capacity to learn', () => {
+    const unassessed = checkEligibility(makeEligibleData({ diagnosed: true }));
+    expect(unassessed.provisional).toBe(true);
+    expect(criterion(unassessed, 'capacity_to_learn')).toMatchObject({
+      status: 'needs_clinical_confirmation',
+      code: 'CAPACITY_TO_LEARN_NOT_ASSESSED',
+    });
+
+    const lacking = checkEligibility(makeEligibleData({ capacity_to_learn: false }));
+    expect(lacking.eligible).toBe(false);
+    expect(lacking.provisional).toBe(false);
+    expect(criterion(lacking, 'capacity_to_learn')).toMatchObject({
+      status: 'not_met',
+      code: 'NO_CAPACITY_TO_LEARN',
+    });
+  });
+
+  it('should give conditional offences a single code covering both requirements', () => {
+    const result = checkEligibility(
+      makeEligibleData({ offence_category: 'elder_abuse', prosecution_mode: 'indictment' })
+    );
+    expect(criterion(result, 'admissible_offence')).toMatchObject({
+      status: 'not_met',
+      code: 'CONDITIONAL_OFFENCE_REQUIREMENTS_NOT_MET',
+    });
+    expect(result.reasons).toHaveLength(2);
+  });
+});
+
+describe('versioned rule sets', () => {
+  const stricter = {
+    ...BASELINE_RULE_SET,
+    version: 2,
+    absoluteExclusions: [...BASELINE_RULE_SET.absoluteExclusions, 'theft'],
+    districtOverrides: [
+      { district: 'north', absoluteExclusions: BASELINE_RULE_SET.absoluteExclusions },
+    ],
+  };
+
+  it('should record the rule set version a result was evaluated under', () => {
+    expect(checkEligibility(makeEligibleData()).ruleSetVersion).toBe(1);
+    expect(checkEligibility(makeEligibleData(), stricter)).toMatchObject({
+      eligible: false,
+      reasons: ['Offence category "theft" is absolutely excluded from PAJ-SM+'],
+      ruleSetVersion: 2,
+    });
+  });
+
+  it('should apply a district override in place of the default lists', () => {
+    expect(checkEligibility(makeEligibleData({ district: 'north' }), stricter).eligible).toBe(true);
+    expect(checkEligibility(makeEligibleData({ district: 'south' }), stricter).eligible).toBe(false);
+    expect(getExclusions(stricter, 'north')).not.toContain('theft');
+  });
+
+  it('should compare historical participants against the rules they were evaluated under', () => {
+    const participants = [
+      { id: 'a', district: 'south', eligibility_rule_set_version: 1, ...makeEligibleData() },
+      { id: 'b', district: 'north', eligibility_rule_set_version: 1, ...makeEligibleData() },
+      { id: 'c', eligibility_rule_set_version: 1, ...makeEligibleData({ offence_category: 'fraud' }) },
+    ];
+    const result = compareOutcomes(participants, stricter, new Map([[1, BASELINE_RULE_SET]]));
+
+    expect(result).toMatchObject({ evaluated: 3, newlyIneligible: 1, newlyEligible: 0, unchanged: 2 });
+    expect(result.changes).toHaveLength(1);
+    expect(result.changes[0]).toMatchObject({
+      participantId: 'a',
+      before: { eligible: true, ruleSetVersion: 1 },
+      after: { eligible: false, ruleSetVersion: 2 },
+    });
+  });
+});
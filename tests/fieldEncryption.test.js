@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  needsRotation,
+  blindIndex,
+  encryptRow,
+  decryptRow,
+} = require('../src/utils/fieldEncryption');
+
+const KEY_1 = crypto.randomBytes(32).toString('base64');
+const KEY_2 = crypto.randomBytes(32).toString('base64');
+
+beforeEach(() => {
+  process.env.FIELD_ENCRYPTION_KEYS = `1:${KEY_1}`;
+  delete process.env.FIELD_ENCRYPTION_KEY_VERSION;
+  process.env.BLIND_INDEX_KEY = 'test-blind-index-key';
+});
+
+describe('encrypt / decrypt', () => {
+  it('should round-trip text without storing it in the clear', () => {
+    const ciphertext = encrypt('Jane Doe');
+    expect(isEncrypted(ciphertext)).toBe(true);
+    expect(ciphertext).not.toContain('Jane');
+    expect(decrypt(ciphertext)).toBe('Jane Doe');
+  });
+
+  it('should use a fresh IV for every write', () => {
+    expect(encrypt('Jane Doe')).not.toBe(encrypt('Jane Doe'));
+  });
+
+  it('should pass null values and legacy plaintext through', () => {
+    expect(encrypt(null)).toBeNull();
+    expect(decrypt(null)).toBeNull();
+    expect(decrypt('legacy plaintext')).toBe('legacy plaintext');
+  });
+
+  it('should reject tampered ciphertext', () => {
+    const parts = encrypt('Jane Doe').split(':');
+    parts[4] = Buffer.from('tampered').toString('base64');
+    expect(() => decrypt(parts.join(':'))).toThrow();
+  });
+
+  it('should fail loudly when no keys are configured', () => {
+    delete process.env.FIELD_ENCRYPTION_KEYS;
+    expect(() => encrypt('Jane Doe')).toThrow('FIELD_ENCRYPTION_KEYS is not configured');
+  });
+});
+
+describe('key versioning', () => {
+  it('should keep decrypting old values after a new key becomes current', () => {
+    const old = encrypt('Jane Doe');
+    process.env.FIELD_ENCRYPTION_KEYS = `1:${KEY_1},2:${KEY_2}`;
+
+    expect(decrypt(old)).toBe('Jane Doe');
+    expect(encrypt('Jane Doe').startsWith('enc:v2:')).toBe(true);
+  });
+
+  it('should flag values on an old key or in plaintext for rotation', () => {
+    const old = encrypt('Jane Doe');
+    process.env.FIELD_ENCRYPTION_KEYS = `1:${KEY_1},2:${KEY_2}`;
+
+    expect(needsRotation(old)).toBe(true);
+    expect(needsRotation('legacy plaintext')).toBe(true);
+    expect(needsRotation(encrypt('Jane Doe'))).toBe(false);
+    expect(needsRotation(null)).toBe(false);
+  });
+
+  it('should honour an explicitly configured write version', () => {
+    process.env.FIELD_ENCRYPTION_KEYS = `1:${KEY_1},2:${KEY_2}`;
+    process.env.FIELD_ENCRYPTION_KEY_VERSION = '1';
+    expect(encrypt('Jane Doe').startsWith('enc:v1:')).toBe(true);
+  });
+});
+
+describe('blindIndex', () => {
+  it('should match regardless of case and surrounding whitespace', () => {
+    expect(blindIndex('  Jane   DOE ')).toBe(blindIndex('jane doe'));
+    expect(blindIndex('Jane Doe')).not.toBe(blindIndex('John Doe'));
+  });
+
+  it('should depend on the index key', () => {
+    const before = blindIndex('Jane Doe');
+    process.env.BLIND_INDEX_KEY = 'another-key';
+    expect(blindIndex('Jane Doe')).not.toBe(before);
+  });
+});
+
+describe('encryptRow / decryptRow', () => {
+  it('should encrypt configured columns, add blind indexes and reverse on read', () => {
+    const stored = encryptRow('referrals', {
+      patient_name: 'Jane Doe',
+      incident_summary: 'Summary',
+      urgency: 'high',
+    });
+    expect(isEncrypted(stored.patient_name)).toBe(true);
+    expect(isEncrypted(stored.incident_summary)).toBe(true);
+    expect(stored.urgency).toBe('high');
+    expect(stored.patient_name_index).toBe(blindIndex('Jane Doe'));
+
+    const read = decryptRow('referrals', stored);
+    expect(read).toEqual({ patient_name: 'Jane Doe', incident_summary: 'Summary', urgency: 'high' });
+  });
+});
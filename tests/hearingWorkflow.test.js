@@ -0,0 +1,70 @@
+jest.mock('pg', () => {
+  const pool = { query: jest.fn(), connect: jest.fn(), end: jest.fn() };
+  return { Pool: jest.fn(() => pool) };
+});
+
+const { pool } = require('../src/config/db');
+const { assertAction, schedule } = require('../src/services/tribunalService');
+
+function actionError(...args) {
+  try {
+    assertAction(...args);
+    return null;
+  } catch (err) {
+    return err;
+  }
+}
+
+describe('assertAction', () => {
+  it('should allow starting a scheduled hearing', () => {
+    expect(actionError('scheduled', 'start', 'tribunal_member')).toBeNull();
+    expect(actionError('scheduled', 'start', 'admin')).toBeNull();
+  });
+
+  it('should only record a decision on a hearing in progress', () => {
+    expect(actionError('in_progress', 'decide', 'tribunal_member')).toBeNull();
+    expect(actionError('scheduled', 'decide', 'tribunal_member').statusCode).toBe(400);
+  });
+
+  it('should not record a decision twice', () => {
+    expect(actionError('decided', 'decide', 'tribunal_member').statusCode).toBe(400);
+  });
+
+  it('should restrict decisions to tribunal members', () => {
+    expect(actionError('in_progress', 'decide', 'admin').statusCode).toBe(403);
+  });
+
+  it('should allow adjourning scheduled or in-progress hearings only', () => {
+    expect(actionError('scheduled', 'adjourn', 'admin')).toBeNull();
+    expect(actionError('in_progress', 'adjourn', 'tribunal_member')).toBeNull();
+    expect(actionError('decided', 'adjourn', 'admin').statusCode).toBe(400);
+    expect(actionError('adjourned', 'adjourn', 'admin').statusCode).toBe(400);
+  });
+
+  it('should not reschedule or cancel a hearing once it has started', () => {
+    expect(actionError('in_progress', 'reschedule', 'admin').statusCode).toBe(400);
+    expect(actionError('in_progress', 'cancel', 'admin').statusCode).toBe(400);
+    expect(actionError('cancelled', 'cancel', 'admin').statusCode).toBe(400);
+  });
+
+  it('should reject roles outside the action rules', () => {
+    expect(actionError('scheduled', 'cancel', 'police_officer').statusCode).toBe(403);
+    expect(actionError('scheduled', 'start', 'respondent').statusCode).toBe(403);
+  });
+});
+
+describe('schedule', () => {
+  it('should 404 for a referral that is missing or outside the scheduler scope', async () => {
+    pool.query.mockReset();
+    pool.query.mockResolvedValueOnce({ rows: [] });
+    const member = { id: 't1', role: 'tribunal_member' };
+    await expect(
+      schedule({ referralId: 'r1', scheduledDate: '2026-05-01T10:00:00Z' }, member)
+    ).rejects.toMatchObject({ statusCode: 404 });
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('FROM referrals r');
+    expect(params).toEqual(['r1', 't1']);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
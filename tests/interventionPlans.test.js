@@ -0,0 +1,120 @@
+const {
+  summarizeCompliance,
+  loadComplianceRecords,
+  writeVersion,
+} = require('../src/services/interventionPlanService');
+
+const now = new Date('2026-06-01T00:00:00Z');
+
+function objective(id, overrides = {}) {
+  return {
+    id,
+    domain: 'housing',
+    target: `Objective ${id}`,
+    responsible_party: 'Case worker',
+    due_date: null,
+    ...overrides,
+  };
+}
+
+function progress(objectiveId, status, followUpDate) {
+  return {
+    objective_id: objectiveId,
+    follow_up_id: `f-${followUpDate}`,
+    follow_up_date: followUpDate,
+    status,
+    note: null,
+  };
+}
+
+describe('summarizeCompliance', () => {
+  it('should report each objective at its latest progress entry', () => {
+    const summary = summarizeCompliance(
+      [objective('o1'), objective('o2')],
+      [
+        progress('o1', 'in_progress', '2026-04-01'),
+        progress('o1', 'achieved', '2026-05-01'),
+      ],
+      now
+    );
+    expect(summary.items.map((item) => item.status)).toEqual(['achieved', 'not_started']);
+    expect(summary.items[0].lastUpdate).toEqual({
+      followUpId: 'f-2026-05-01',
+      followUpDate: '2026-05-01',
+      note: null,
+    });
+    expect(summary.byStatus).toEqual({
+      not_started: 1,
+      in_progress: 0,
+      achieved: 1,
+      not_achieved: 0,
+    });
+    expect(summary.complianceRate).toBe(100);
+  });
+
+  it('should count overdue and unachieved objectives against compliance', () => {
+    const summary = summarizeCompliance(
+      [
+        objective('late', { due_date: '2026-05-15T00:00:00Z' }),
+        objective('done-late', { due_date: '2026-05-15T00:00:00Z' }),
+        objective('failed'),
+        objective('open', { due_date: '2026-07-01T00:00:00Z' }),
+      ],
+      [
+        progress('late', 'in_progress', '2026-05-01'),
+        progress('done-late', 'achieved', '2026-05-20'),
+        progress('failed', 'not_achieved', '2026-05-20'),
+      ],
+      now
+    );
+    expect(summary.items.map((item) => item.overdue)).toEqual([true, false, false, false]);
+    expect(summary.overdue).toBe(1);
+    expect(summary.complianceRate).toBe(50);
+  });
+
+  it('should have no compliance rate without objectives', () => {
+    expect(summarizeCompliance([], [], now)).toMatchObject({ objectives: 0, complianceRate: null });
+  });
+});
+
+describe('loadComplianceRecords', () => {
+  it('should load every participant in one pass and group the rows by participant', async () => {
+    const db = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM pajsm_intervention_plans')) {
+          return { rows: [{ participant_id: 'p1', version: 2 }] };
+        }
+        if (sql.includes('FROM pajsm_objective_progress')) {
+          return { rows: [{ ...progress('o1', 'achieved', '2026-05-01'), participant_id: 'p1' }] };
+        }
+        return { rows: [{ ...objective('o1'), participant_id: 'p1' }] };
+      }),
+    };
+
+    const records = await loadComplianceRecords(db, ['p1', 'p2']);
+    expect(db.query).toHaveBeenCalledTimes(3);
+    db.query.mock.calls.forEach(([, params]) => expect(params).toEqual([['p1', 'p2']]));
+    expect(records.get('p1').plan.version).toBe(2);
+    expect(records.get('p1').objectives.map((o) => o.id)).toEqual(['o1']);
+    expect(records.get('p1').progress).toHaveLength(1);
+    expect(records.get('p2')).toEqual({ plan: null, objectives: [], progress: [] });
+  });
+});
+
+describe('writeVersion', () => {
+  it('should change only the objective fields sent, clearing those sent as null', async () => {
+    const db = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM pajsm_plan_objectives')) return { rows: [objective('o1')] };
+        return { rows: [{ id: 'plan-2', version: 2 }] };
+      }),
+    };
+    const update = [{ id: 'o1', responsible_party: null, due_date: '2026-09-01T00:00:00Z' }];
+    await writeVersion(db, 'p1', 2, { update }, { id: 'u1' });
+
+    const [sql, params] = db.query.mock.calls.find(([text]) => text.includes('UPDATE'));
+    expect(sql).toContain('responsible_party = $2, due_date = $3, updated_at = NOW()');
+    expect(sql).not.toContain('target');
+    expect(params).toEqual(['o1', null, '2026-09-01T00:00:00Z']);
+  });
+});
@@ -0,0 +1,145 @@
+const {
+  parsePage,
+  keyset,
+  toPage,
+  encodeCursor,
+  decodeCursor,
+  parseEnumFilter,
+  parseDateFilter,
+} = require('../src/utils/listQuery');
+
+const ID_A = '11111111-1111-1111-1111-111111111111';
+const ID_B = '22222222-2222-2222-2222-222222222222';
+
+const SORT_FIELDS = {
+  created_at: { column: 'created_at', type: 'timestamp' },
+  urgency: { column: 'urgency', rank: ['low', 'medium', 'high', 'critical'] },
+  district: { column: 'district', type: 'text', coalesce: "''" },
+};
+
+describe('parsePage', () => {
+  it('should apply defaults', () => {
+    expect(parsePage({}, SORT_FIELDS, '-created_at')).toEqual({
+      limit: 25,
+      sort: { key: 'created_at', direction: 'desc' },
+      cursor: null,
+    });
+  });
+
+  it('should reject fields outside the allow-list', () => {
+    expect(() => parsePage({ sort: 'patient_name' }, SORT_FIELDS, '-created_at')).toThrow(
+      'Cannot sort by "patient_name"'
+    );
+  });
+
+  it('should reject out-of-range limits', () => {
+    expect(() => parsePage({ limit: '0' }, SORT_FIELDS, '-created_at')).toThrow('limit');
+    expect(() => parsePage({ limit: '101' }, SORT_FIELDS, '-created_at')).toThrow('limit');
+    expect(() => parsePage({ limit: 'ten' }, SORT_FIELDS, '-created_at')).toThrow('limit');
+  });
+});
+
+describe('cursors', () => {
+  it('should round-trip the sort value and id', () => {
+    const cursor = encodeCursor('2026-03-02 10:00:00.123456', ID_A);
+    expect(decodeCursor(cursor)).toEqual(['2026-03-02 10:00:00.123456', ID_A]);
+  });
+
+  it('should reject tampered cursors with a 400', () => {
+    try {
+      decodeCursor('not-a-cursor');
+    } catch (err) {
+      expect(err.statusCode).toBe(400);
+    }
+    expect.assertions(1);
+  });
+
+  it('should reject ids and sort values the query could not cast', () => {
+    const { created_at: createdAt, urgency } = SORT_FIELDS;
+    expect(() => decodeCursor(encodeCursor('x', 'abc'))).toThrow('Invalid cursor');
+    expect(() => decodeCursor(encodeCursor('x', ID_A), createdAt)).toThrow('Invalid cursor');
+    expect(() => decodeCursor(encodeCursor('high', ID_A), urgency)).toThrow('Invalid cursor');
+    expect(decodeCursor(encodeCursor('3', ID_A), urgency)).toEqual(['3', ID_A]);
+    const cursor = encodeCursor('x', ID_A);
+    expect(() => parsePage({ cursor }, SORT_FIELDS, '-created_at')).toThrow('Invalid cursor');
+  });
+});
+
+describe('keyset', () => {
+  it('should order by the field then id', () => {
+    const params = [];
+    const page = parsePage({ sort: 'created_at' }, SORT_FIELDS, '-created_at');
+    const order = keyset(page, SORT_FIELDS, 'r', params);
+    expect(order.orderBy).toBe('r.created_at ASC, r.id ASC');
+    expect(order.condition).toBeNull();
+    expect(params).toEqual([]);
+  });
+
+  it('should continue after the cursor in the sort direction', () => {
+    const params = ['scope'];
+    const cursor = encodeCursor('2026-03-02 10:00:00', ID_A);
+    const page = parsePage({ cursor }, SORT_FIELDS, '-created_at');
+    const order = keyset(page, SORT_FIELDS, 'r', params);
+    expect(order.condition).toBe('(r.created_at, r.id) < ($2::timestamp, $3::uuid)');
+    expect(params).toEqual(['scope', '2026-03-02 10:00:00', ID_A]);
+  });
+
+  it('should rank ordered fields and coalesce nullable ones', () => {
+    const params = [];
+    const byUrgency = parsePage({ sort: '-urgency' }, SORT_FIELDS, '');
+    const ranked = keyset(byUrgency, SORT_FIELDS, 'r', params);
+    expect(ranked.orderBy).toBe(
+      'COALESCE(array_position($1::text[], r.urgency::text), 0) DESC, r.id DESC'
+    );
+    expect(params[0]).toEqual(['low', 'medium', 'high', 'critical']);
+
+    const byDistrict = parsePage({ sort: 'district' }, SORT_FIELDS, '');
+    const nullable = keyset(byDistrict, SORT_FIELDS, 'p', []);
+    expect(nullable.orderBy).toBe("COALESCE(p.district, '') ASC, p.id ASC");
+  });
+});
+
+describe('toPage', () => {
+  const page = { limit: 2, sort: { key: 'created_at', direction: 'desc' } };
+
+  it('should report a next cursor when an extra row was fetched', () => {
+    const rows = [
+      { id: ID_A, sort_key: '3' },
+      { id: ID_B, sort_key: '2' },
+      { id: 'c', sort_key: '1' },
+    ];
+    const result = toPage(rows, page);
+    expect(result.data).toEqual([{ id: ID_A }, { id: ID_B }]);
+    expect(result.pagination.hasMore).toBe(true);
+    expect(decodeCursor(result.pagination.nextCursor)).toEqual(['2', ID_B]);
+    expect(result.pagination.sort).toBe('-created_at');
+  });
+
+  it('should end pagination on the last page', () => {
+    const result = toPage([{ id: 'a', sort_key: '3' }], page);
+    expect(result.pagination).toEqual({
+      limit: 2,
+      sort: '-created_at',
+      hasMore: false,
+      nextCursor: null,
+    });
+  });
+});
+
+describe('filters', () => {
+  it('should accept comma-separated enum values', () => {
+    expect(parseEnumFilter('low,high', ['low', 'high'], 'urgency')).toEqual(['low', 'high']);
+    expect(parseEnumFilter(undefined, ['low'], 'urgency')).toBeNull();
+  });
+
+  it('should reject unknown enum values', () => {
+    expect(() => parseEnumFilter('urgent', ['low', 'high'], 'urgency')).toThrow(
+      'Invalid urgency "urgent"'
+    );
+  });
+
+  it('should validate dates', () => {
+    expect(parseDateFilter('2026-03-02', 'from')).toEqual(new Date('2026-03-02'));
+    expect(() => parseDateFilter('yesterday', 'from')).toThrow('from must be a valid date');
+  });
+});
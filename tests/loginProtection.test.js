@@ -0,0 +1,80 @@
+const { assessAttempt, applyFailure } = require('../src/services/loginProtectionService');
+const { createMemoryStore } = require('../src/services/throttle/memoryStore');
+
+const policy = {
+  windowMinutes: 15,
+  delayAfter: 2,
+  baseDelaySeconds: 1,
+  maxDelaySeconds: 30,
+  lockAfter: 5,
+  lockMinutes: 15,
+};
+
+function failTimes(count, start, stepMs = 60 * 1000) {
+  let state = null;
+  for (let i = 0; i < count; i++) state = applyFailure(state, start + i * stepMs, policy);
+  return state;
+}
+
+describe('applyFailure', () => {
+  const now = Date.parse('2026-03-02T10:00:00Z');
+
+  it('should count failures within the window', () => {
+    expect(failTimes(3, now).failures).toBe(3);
+  });
+
+  it('should restart the count once the window has passed', () => {
+    const state = failTimes(3, now);
+    expect(applyFailure(state, now + 30 * 60 * 1000, policy).failures).toBe(1);
+  });
+
+  it('should lock the key at the threshold', () => {
+    const state = failTimes(5, now);
+    expect(state.lockedUntil).toBe(now + 4 * 60 * 1000 + 15 * 60 * 1000);
+    expect(state.failures).toBe(0);
+  });
+});
+
+describe('assessAttempt', () => {
+  const now = Date.parse('2026-03-02T10:00:00Z');
+
+  it('should allow the first attempts without delay', () => {
+    expect(assessAttempt(null, now, policy).allowed).toBe(true);
+    expect(assessAttempt(failTimes(2, now, 0), now, policy).allowed).toBe(true);
+  });
+
+  it('should impose growing delays past the free attempts', () => {
+    const third = assessAttempt(failTimes(3, now, 0), now, policy);
+    expect(third).toEqual({ allowed: false, reason: 'throttled', retryAfterSeconds: 1 });
+
+    const fourth = assessAttempt(failTimes(4, now, 0), now, policy);
+    expect(fourth.retryAfterSeconds).toBe(2);
+  });
+
+  it('should allow the attempt once the delay has elapsed', () => {
+    expect(assessAttempt(failTimes(3, now, 0), now + 1000, policy).allowed).toBe(true);
+  });
+
+  it('should refuse attempts while locked', () => {
+    const state = failTimes(5, now, 0);
+    const result = assessAttempt(state, now + 60 * 1000, policy);
+    expect(result.allowed).toBe(false);
+    expect(result.reason).toBe('account_locked');
+    expect(result.retryAfterSeconds).toBe(14 * 60);
+    expect(assessAttempt(state, now + 16 * 60 * 1000, policy).allowed).toBe(true);
+  });
+});
+
+describe('memory throttle store', () => {
+  it('should update, read and reset state', async () => {
+    const store = createMemoryStore();
+    await store.update('account:a@example.org', () => ({ failures: 1 }), 60000);
+    expect(await store.get('account:a@example.org')).toEqual({ failures: 1 });
+
+    await store.update('account:a@example.org', (s) => ({ failures: s.failures + 1 }), 60000);
+    expect((await store.get('account:a@example.org')).failures).toBe(2);
+
+    await store.reset('account:a@example.org');
+    expect(await store.get('account:a@example.org')).toBeNull();
+  });
+});
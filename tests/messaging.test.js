@@ -0,0 +1,118 @@
+jest.mock('pg', () => {
+  const pool = { query: jest.fn(), connect: jest.fn(), end: jest.fn() };
+  return { Pool: jest.fn(() => pool) };
+});
+
+const { pool } = require('../src/config/db');
+const {
+  assertCanPost,
+  listParticipants,
+  getThread,
+} = require('../src/services/messageService');
+const { threadRoutes } = require('../src/routes/messages');
+
+describe('assertCanPost', () => {
+  it('should let professionals post internal notes', () => {
+    expect(assertCanPost(true, { role: 'mental_health_professional' })).toBe(true);
+    expect(assertCanPost(true, { role: 'prosecutor' })).toBe(true);
+  });
+
+  it('should stop respondents from posting internal notes', () => {
+    expect(() => assertCanPost(true, { role: 'respondent' })).toThrow('internal notes');
+  });
+
+  it('should treat a missing flag as a message visible to all parties', () => {
+    expect(assertCanPost(undefined, { role: 'respondent' })).toBe(false);
+  });
+});
+
+describe('listParticipants', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.query.mockResolvedValue({ rows: [] });
+  });
+
+  it('should list everyone who can open the referral, by role', async () => {
+    await listParticipants('referral', 'ref-1');
+    const [sql, params] = pool.query.mock.calls[0];
+    ['referred_by', 'respondent_id', 'assigned_clinician_id', 'panel_members'].forEach((source) =>
+      expect(sql).toContain(source)
+    );
+    expect(params.slice(0, 2)).toEqual(['ref-1', 'active']);
+    expect(params).toEqual(expect.arrayContaining(['prosecutor', 'tribunal_member']));
+    expect(params).not.toContain('admin');
+  });
+
+  it('should list the worker, prosecutors and panel members of a PAJ-SM+ file', async () => {
+    await listParticipants('pajsm_participant', 'p-1');
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('c.victim_services_worker_id = u.id');
+    expect(sql).toContain('sh.pajsm_participant_id = c.id');
+    expect(params).toEqual(
+      expect.arrayContaining(['victim_services_worker', 'prosecutor', 'tribunal_member'])
+    );
+  });
+});
+
+describe('getThread', () => {
+  const clinician = { id: 'u-clinician', role: 'mental_health_professional' };
+  const respondent = { id: 'u-respondent', role: 'respondent' };
+  let messages;
+
+  beforeEach(() => {
+    messages = [
+      { id: 'm1', sender_id: 'u-other', body: 'Hello', internal: false, read_by: [] },
+      { id: 'm2', sender_id: clinician.id, body: 'Reply', internal: false, read_by: [] },
+      {
+        id: 'm3',
+        sender_id: 'u-other',
+        body: 'Seen',
+        internal: false,
+        read_by: [{ user_id: clinician.id, read_at: '2026-05-01T00:00:00Z' }],
+      },
+    ];
+    pool.query.mockReset();
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM referrals r')) return { rows: [{ id: 'ref-1' }] };
+      if (sql.includes('FROM message_threads')) return { rows: [{ id: 't1', subject: 'Hi' }] };
+      if (sql.includes('FROM messages m')) return { rows: messages };
+      return { rows: [] };
+    });
+  });
+
+  function callsTo(fragment) {
+    return pool.query.mock.calls.filter(([sql]) => sql.includes(fragment));
+  }
+
+  it('should hide internal notes from respondents only', async () => {
+    await getThread('referral', 'ref-1', 't1', respondent);
+    await getThread('referral', 'ref-1', 't1', clinician);
+    const [[sql, respondentParams], [, clinicianParams]] = callsTo('FROM messages m');
+    expect(sql).toContain('($2 OR NOT m.internal)');
+    expect(respondentParams).toEqual(['t1', false]);
+    expect(clinicianParams).toEqual(['t1', true]);
+  });
+
+  it("should record read receipts for others' messages not yet read", async () => {
+    const thread = await getThread('referral', 'ref-1', 't1', clinician);
+    expect(thread.messages.map((m) => m.id)).toEqual(['m1', 'm2', 'm3']);
+    const [[sql, params]] = callsTo('INSERT INTO message_reads');
+    expect(sql).toContain('ON CONFLICT DO NOTHING');
+    expect(params).toEqual([['m1'], clinician.id]);
+  });
+
+  it('should not write receipts when everything is already read', async () => {
+    messages = messages.filter((m) => m.id !== 'm1');
+    await getThread('referral', 'ref-1', 't1', clinician);
+    expect(callsTo('INSERT INTO message_reads')).toHaveLength(0);
+  });
+});
+
+describe('threadRoutes', () => {
+  it('should offer no way to edit or delete messages', () => {
+    const methods = threadRoutes('referral').stack.flatMap((layer) =>
+      Object.keys(layer.route.methods)
+    );
+    expect([...new Set(methods)].sort()).toEqual(['get', 'post']);
+  });
+});
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checksum, loadMigrations, plan, parseArgs } = require('../src/config/migrate');
+
+function writeMigration(dir, file, up, down = 'SELECT 1;') {
+  fs.writeFileSync(
+    path.join(dir, file),
+    `module.exports = { up: ${JSON.stringify(up)}, down: ${JSON.stringify(down)} };\n`
+  );
+}
+
+describe('loadMigrations', () => {
+  it('should load the repository migrations in version order with up and down SQL', () => {
+    const migrations = loadMigrations();
+    expect(migrations.length).toBeGreaterThan(0);
+    expect(migrations[0].file).toBe('001_initial_schema.js');
+
+    const versions = migrations.map((m) => Number(m.version));
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    migrations.forEach((m) => {
+      expect(m.up.trim()).not.toBe('');
+      expect(m.down.trim()).not.toBe('');
+      expect(m.checksum).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  it('should reject duplicate versions', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    writeMigration(dir, '001_first.js', 'SELECT 1;');
+    writeMigration(dir, '1_again.js', 'SELECT 2;');
+    expect(() => loadMigrations(dir)).toThrow('Duplicate migration version');
+  });
+});
+
+describe('plan', () => {
+  const first = { version: '001', name: 'first', file: '001_first.js', up: 'A', down: 'a' };
+  const second = { version: '002', name: 'second', file: '002_second.js', up: 'B', down: 'b' };
+  first.checksum = checksum(first);
+  second.checksum = checksum(second);
+
+  it('should list migrations that have not been applied as pending', () => {
+    const state = plan([first, second], [{ version: '001', name: 'first', checksum: first.checksum }]);
+    expect(state.pending).toEqual([second]);
+    expect(state.applied).toEqual([first]);
+    expect(state.modified).toEqual([]);
+  });
+
+  it('should detect an applied migration whose file was edited', () => {
+    const state = plan([first], [{ version: '001', name: 'first', checksum: 'f'.repeat(64) }]);
+    expect(state.modified).toEqual([first]);
+  });
+
+  it('should detect applied migrations missing from disk', () => {
+    const state = plan([first], [
+      { version: '001', name: 'first', checksum: first.checksum },
+      { version: '003', name: 'gone', checksum: 'x' },
+    ]);
+    expect(state.missing.map((row) => row.version)).toEqual(['003']);
+  });
+});
+
+describe('parseArgs', () => {
+  it('should default to applying migrations', () => {
+    expect(parseArgs([])).toEqual({ command: 'up', dryRun: false, steps: 1 });
+  });
+
+  it('should read the command, dry-run flag and step count', () => {
+    expect(parseArgs(['down', '--dry-run', '--steps=3'])).toEqual({
+      command: 'down',
+      dryRun: true,
+      steps: 3,
+    });
+  });
+});
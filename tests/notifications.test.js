@@ -0,0 +1,44 @@
+const {
+  NOTIFICATION_EVENT_TYPES,
+  buildNotification,
+} = require('../src/services/notificationService');
+const { DOMAIN_EVENTS } = require('../src/utils/domainEvents');
+
+describe('buildNotification', () => {
+  const referral = {
+    id: 'ref-1',
+    urgency: 'high',
+    patient_name: 'Jane Doe',
+    incident_summary: 'Sensitive details',
+  };
+
+  it('should link the notification to the referral', () => {
+    const notification = buildNotification(DOMAIN_EVENTS.REFERRAL_STATUS_CHANGED, {
+      referral,
+      fromStatus: 'accepted',
+      toStatus: 'in_assessment',
+    });
+    expect(notification.resourceType).toBe('referral');
+    expect(notification.resourceId).toBe('ref-1');
+    expect(notification.title).toBe('Referral in assessment');
+  });
+
+  it('should never include patient-identifying details', () => {
+    const notification = buildNotification(DOMAIN_EVENTS.REFERRAL_CREATED, { referral });
+    const text = `${notification.title} ${notification.body}`;
+    expect(text).not.toContain('Jane Doe');
+    expect(text).not.toContain('Sensitive details');
+  });
+
+  it('should describe hearing dates', () => {
+    const notification = buildNotification(DOMAIN_EVENTS.HEARING_SCHEDULED, {
+      hearing: { id: 'h-1', scheduled_date: '2026-03-02T10:00:00.000Z' },
+    });
+    expect(notification.resourceType).toBe('hearing');
+    expect(notification.body).toContain('2026-03-02T10:00:00.000Z');
+  });
+
+  it('should cover every domain event', () => {
+    expect(NOTIFICATION_EVENT_TYPES.sort()).toEqual(Object.values(DOMAIN_EVENTS).sort());
+  });
+});
@@ -0,0 +1,321 @@
+jest.mock('pg', () => {
+  const pool = { query: jest.fn(), connect: jest.fn(), end: jest.fn() };
+  return { Pool: jest.fn(() => pool) };
+});
+
+const { pool } = require('../src/config/db');
+const tribunalService = require('../src/services/tribunalService');
+const ruleSetService = require('../src/services/ruleSetService');
+const {
+  enroll,
+  recordVictimConsent,
+  assessStageExit,
+  buildCourtPackage,
+  appearanceStatus,
+  scheduleFollowUpHearing,
+  getDocket,
+} = require('../src/services/pajsmService');
+const { consentStatus } = require('../src/services/victimConsentService');
+
+function facts(stage, overrides = {}) {
+  return {
+    participant: { id: 'p1', stage, outcome: null },
+    evaluation: { eligible: true, provisional: false },
+    planCount: 0,
+    followUpCount: 0,
+    ...overrides,
+  };
+}
+
+function blockingRequirements(assessment) {
+  return assessment.blocking.map((b) => b.requirement);
+}
+
+describe('assessStageExit', () => {
+  it('should only let a prosecutor close prosecutor_evaluation', () => {
+    const stage = 'prosecutor_evaluation';
+    expect(assessStageExit(facts(stage), 'prosecutor')).toMatchObject({
+      nextStage: 'clinical_eligibility',
+      roleAllowed: true,
+      ready: true,
+    });
+    expect(assessStageExit(facts(stage), 'admin').roleAllowed).toBe(false);
+    expect(assessStageExit(facts(stage), 'mental_health_professional').roleAllowed).toBe(false);
+  });
+
+  it('should block leaving intervention_plan until a plan is on file', () => {
+    const blocked = assessStageExit(facts('intervention_plan'), 'mental_health_professional');
+    expect(blocked.ready).toBe(false);
+    expect(blockingRequirements(blocked)).toEqual(['intervention_plan_on_file']);
+    expect(blocked.blocking[0].message).toMatch(/intervention plan/);
+
+    const ready = assessStageExit(facts('intervention_plan', { planCount: 1 }), 'admin');
+    expect(ready).toMatchObject({ nextStage: 'hearing_followups', ready: true, blocking: [] });
+  });
+
+  it('should require clinical confirmation of a provisional evaluation', () => {
+    const provisional = facts('clinical_eligibility', {
+      evaluation: { eligible: true, provisional: true },
+    });
+    expect(blockingRequirements(assessStageExit(provisional, 'physician'))).toEqual([
+      'eligibility_confirmed',
+    ]);
+  });
+
+  it('should require an eligible evaluation before leaving referral', () => {
+    const unevaluated = assessStageExit(facts('referral', { evaluation: null }), 'prosecutor');
+    expect(blockingRequirements(unevaluated)).toEqual(['eligibility_evaluated']);
+  });
+
+  it('should block every move once the participant has an outcome', () => {
+    const withdrawn = facts('hearing_followups', {
+      participant: { id: 'p1', stage: 'hearing_followups', outcome: 'withdrawn' },
+      followUpCount: 2,
+    });
+    expect(blockingRequirements(assessStageExit(withdrawn, 'tribunal_member'))).toEqual([
+      'no_final_outcome',
+    ]);
+  });
+
+  it('should require current victim consent only when the offence needs it', () => {
+    const revoked = { consentRequired: true, consentStatus: 'revoked' };
+    expect(blockingRequirements(assessStageExit(facts('referral', revoked), 'admin'))).toEqual([
+      'victim_consent_current',
+    ]);
+
+    const notNeeded = { consentRequired: false, consentStatus: 'missing' };
+    expect(assessStageExit(facts('referral', notNeeded), 'admin').ready).toBe(true);
+  });
+
+  it('should report the final stage as terminal', () => {
+    expect(assessStageExit(facts('program_outcome'), 'admin')).toMatchObject({
+      nextStage: null,
+      ready: false,
+      blocking: [{ requirement: 'not_final_stage' }],
+    });
+  });
+});
+
+describe('buildCourtPackage', () => {
+  const participant = {
+    id: 'p1',
+    accused_name: 'Alex Doe',
+    district: 'Montreal',
+    offence_category: 'mischief',
+    stage: 'hearing_followups',
+    enrolled_at: '2026-01-10T00:00:00Z',
+    eligibility_rule_set_version: 1,
+    outcome: 'withdrawn',
+  };
+  const records = {
+    participant,
+    stageHistory: [
+      { created_at: '2026-01-05T00:00:00Z', from_stage: null, to_stage: 'referral' },
+      {
+        created_at: '2026-03-01T00:00:00Z',
+        from_stage: 'intervention_plan',
+        to_stage: 'hearing_followups',
+      },
+    ],
+    evaluations: [{ created_at: '2026-01-05T00:00:00Z', eligible: true, provisional: true }],
+    plans: [{ created_at: '2026-02-01T00:00:00Z', plan_details: 'Weekly sessions' }],
+    followUps: [
+      { follow_up_date: '2026-03-15T00:00:00Z', notes: 'Attended' },
+      { follow_up_date: '2026-04-15T00:00:00Z', notes: 'Missed' },
+    ],
+    outcomes: [
+      {
+        outcome: 'withdrawn',
+        reason_category: 'non_compliance',
+        reason: 'Missed two follow-ups',
+        effective_date: '2026-04-20T00:00:00Z',
+        authorized_by_name: 'Pat Prosecutor',
+        role: 'prosecutor',
+      },
+    ],
+  };
+
+  it('should report the closing outcome with its reason and actor', () => {
+    const courtPackage = buildCourtPackage(records);
+    expect(courtPackage.outcome).toEqual({
+      outcome: 'withdrawn',
+      reasonCategory: 'non_compliance',
+      reason: 'Missed two follow-ups',
+      effectiveDate: '2026-04-20T00:00:00Z',
+      authorizedBy: 'Pat Prosecutor',
+      role: 'prosecutor',
+    });
+    expect(courtPackage.participant).toMatchObject({ id: 'p1', stageReached: 'hearing_followups' });
+    expect(courtPackage.summary).toEqual({
+      interventionPlans: 1,
+      followUps: 2,
+      lastFollowUpDate: '2026-04-15T00:00:00Z',
+      missedAppearances: 0,
+      reinstatements: 0,
+    });
+  });
+
+  it('should list every program event in chronological order', () => {
+    const types = buildCourtPackage(records).timeline.map((event) => event.type);
+    expect(types).toEqual([
+      'stage_change',
+      'eligibility_evaluation',
+      'intervention_plan',
+      'stage_change',
+      'follow_up',
+      'follow_up',
+      'outcome',
+    ]);
+  });
+});
+
+describe('consentStatus', () => {
+  const now = new Date('2026-05-01T00:00:00Z');
+  const given = { given_at: '2026-02-01T00:00:00Z', expires_at: null, revoked_at: null };
+
+  it('should report missing, revoked and expired consent', () => {
+    const stage = { stage: 'referral' };
+    expect(consentStatus(null, stage, now)).toBe('missing');
+    expect(consentStatus({ ...given, revoked_at: '2026-03-01T00:00:00Z' }, stage, now)).toBe(
+      'revoked'
+    );
+    expect(consentStatus({ ...given, expires_at: '2026-04-01T00:00:00Z' }, stage, now)).toBe(
+      'expired'
+    );
+    expect(consentStatus({ ...given, expires_at: '2026-06-01T00:00:00Z' }, stage, now)).toBe(
+      'active'
+    );
+  });
+
+  it('should require reconfirmation once a reconfirmation stage begins', () => {
+    const entered = { stage: 'intervention_plan', stageEnteredAt: '2026-03-01T00:00:00Z' };
+    expect(consentStatus(given, entered, now)).toBe('reconfirmation_due');
+    expect(consentStatus({ ...given, given_at: '2026-03-02T00:00:00Z' }, entered, now)).toBe(
+      'active'
+    );
+
+    // Other stages accept consent given before they began
+    const clinical = { stage: 'clinical_eligibility', stageEnteredAt: '2026-03-01T00:00:00Z' };
+    expect(consentStatus(given, clinical, now)).toBe('active');
+  });
+});
+
+describe('appearanceStatus', () => {
+  const hearing = {
+    hearing_id: 'h1',
+    scheduled_date: '2026-05-01T10:00:00Z',
+    duration_minutes: 60,
+    hearing_status: 'scheduled',
+    appeared: null,
+  };
+
+  it('should use the recorded appearance when there is one', () => {
+    const later = new Date('2026-05-02T00:00:00Z');
+    expect(appearanceStatus({ ...hearing, appeared: true }, later)).toBe('attended');
+    expect(appearanceStatus({ ...hearing, appeared: false }, later)).toBe('missed');
+  });
+
+  it('should flag a missed appearance once the recording grace period has passed', () => {
+    // The hearing ends at 11:00 and appearances can be recorded for two more hours
+    expect(appearanceStatus(hearing, new Date('2026-05-01T12:59:00Z'))).toBe('pending');
+    expect(appearanceStatus(hearing, new Date('2026-05-01T13:01:00Z'))).toBe('missed');
+  });
+
+  it('should not flag cancelled hearings or follow-ups without a hearing', () => {
+    const later = new Date('2026-06-01T00:00:00Z');
+    expect(appearanceStatus({ ...hearing, hearing_status: 'cancelled' }, later)).toBe('cancelled');
+    expect(appearanceStatus({ hearing_id: null, follow_up_date: '2026-05-01' }, later)).toBeNull();
+  });
+});
+
+describe('scheduleFollowUpHearing', () => {
+  const participant = {
+    id: 'p1',
+    stage: 'hearing_followups',
+    outcome: null,
+    referral_id: null,
+    accused_name: 'Alex Doe',
+  };
+  const data = { scheduledDate: '2026-05-01T10:00:00Z', panelMembers: ['t1'] };
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    jest.spyOn(tribunalService, 'schedule').mockResolvedValue({ id: 'h1' });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should schedule through the tribunal for a participant in scope', async () => {
+    const member = { id: 't1', role: 'tribunal_member' };
+    pool.query.mockResolvedValueOnce({ rows: [participant] });
+    expect(await scheduleFollowUpHearing('p1', data, member)).toEqual({ id: 'h1' });
+    expect(tribunalService.schedule).toHaveBeenCalledWith(
+      { ...data, referralId: null, pajsmParticipantId: 'p1' },
+      member
+    );
+  });
+
+  it('should apply the participant scope to tribunal members too', async () => {
+    const member = { id: 't1', role: 'tribunal_member' };
+    pool.query.mockResolvedValueOnce({ rows: [] });
+    await expect(scheduleFollowUpHearing('p1', data, member)).rejects.toMatchObject({
+      statusCode: 404,
+    });
+    expect(pool.query.mock.calls[0][0]).toContain('panel_members');
+    expect(tribunalService.schedule).not.toHaveBeenCalled();
+  });
+});
+
+describe('getDocket', () => {
+  it("should select the day in the court's time zone", async () => {
+    pool.query.mockReset();
+    pool.query.mockResolvedValue({ rows: [] });
+    await getDocket({ id: 'a1', role: 'admin' }, { date: '2026-05-01' });
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain("::timestamp AT TIME ZONE $2) AT TIME ZONE 'UTC'");
+    expect(params.slice(0, 2)).toEqual(['2026-05-01', 'America/Montreal']);
+  });
+});
+
+describe('enroll', () => {
+  const admin = { id: 'a1', role: 'admin' };
+  const data = { accused_name: 'Alex Doe', assigned_clinician_id: 'u1' };
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    jest.spyOn(ruleSetService, 'evaluate').mockResolvedValue({ eligible: true });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should refuse an assigned clinician who is not an active clinician', async () => {
+    const users = [
+      [],
+      [{ role: 'police_officer', status: 'active' }],
+      [{ role: 'physician', status: 'deactivated' }],
+    ];
+    for (const rows of users) {
+      pool.query.mockResolvedValueOnce({ rows });
+      await expect(enroll(data, admin)).rejects.toMatchObject({
+        statusCode: 400,
+        message: expect.stringMatching(/assigned clinician/),
+      });
+    }
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
+
+describe('recordVictimConsent', () => {
+  it('should refuse a victim services worker id that is not an active worker', async () => {
+    const admin = { id: 'a1', role: 'admin' };
+    pool.query.mockReset();
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 'p1', accused_name: 'Alex Doe' }] })
+      .mockResolvedValueOnce({ rows: [{ role: 'police_officer', status: 'active' }] });
+
+    await expect(
+      recordVictimConsent('p1', { mode: 'verbal', victim_services_worker_id: 'u1' }, admin)
+    ).rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/victim services/) });
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,37 @@
+const { checkPolicy } = require('../src/services/passwordService');
+const { loadBreachedPasswords } = require('../src/config/passwordPolicy');
+
+describe('checkPolicy', () => {
+  const policy = { minLength: 12, maxLength: 128, historySize: 5 };
+  const breached = new Set(['password1234', 'welcome2026']);
+
+  it('should accept a long, unlisted password', () => {
+    expect(checkPolicy('correct horse battery staple', policy, breached)).toEqual([]);
+  });
+
+  it('should reject short passwords', () => {
+    expect(checkPolicy('a', policy, breached)).toEqual(['at least 12 characters']);
+  });
+
+  it('should reject overly long passwords', () => {
+    expect(checkPolicy('x'.repeat(129), policy, breached)).toEqual(['at most 128 characters']);
+  });
+
+  it('should reject breached passwords regardless of case', () => {
+    expect(checkPolicy('Password1234', policy, breached)).toEqual([
+      'not a known breached password',
+    ]);
+  });
+
+  it('should treat a missing password as too short', () => {
+    expect(checkPolicy(undefined, policy, breached)).toEqual(['at least 12 characters']);
+  });
+});
+
+describe('loadBreachedPasswords', () => {
+  it('should load the bundled list without comments', () => {
+    const list = loadBreachedPasswords();
+    expect(list.has('password123')).toBe(true);
+    expect([...list].some((entry) => entry.startsWith('#'))).toBe(false);
+  });
+});
@@ -0,0 +1,49 @@
+const { assertTransition } = require('../src/services/referralService');
+
+function transitionError(...args) {
+  try {
+    assertTransition(...args);
+    return null;
+  } catch (err) {
+    return err;
+  }
+}
+
+describe('assertTransition', () => {
+  it('should allow the forward lifecycle for clinicians', () => {
+    expect(transitionError('pending', 'accepted', 'physician')).toBeNull();
+    expect(transitionError('accepted', 'in_assessment', 'mental_health_professional')).toBeNull();
+    expect(transitionError('in_assessment', 'completed', 'physician')).toBeNull();
+  });
+
+  it('should reject moving a completed referral back to pending', () => {
+    const err = transitionError('completed', 'pending', 'admin');
+    expect(err.statusCode).toBe(400);
+  });
+
+  it('should reject skipping a stage', () => {
+    expect(transitionError('pending', 'completed', 'admin').statusCode).toBe(400);
+  });
+
+  it('should reject cancelling a terminal referral', () => {
+    expect(transitionError('completed', 'cancelled', 'admin', 'duplicate').statusCode).toBe(400);
+    expect(transitionError('cancelled', 'cancelled', 'admin', 'duplicate').statusCode).toBe(400);
+  });
+
+  it('should allow the referring officer to cancel with a reason', () => {
+    expect(transitionError('pending', 'cancelled', 'police_officer', 'Resolved on scene')).toBeNull();
+  });
+
+  it('should require a reason for cancellation', () => {
+    expect(transitionError('accepted', 'cancelled', 'admin').statusCode).toBe(400);
+  });
+
+  it('should reject roles not allowed to trigger the target status', () => {
+    expect(transitionError('pending', 'accepted', 'police_officer').statusCode).toBe(403);
+    expect(transitionError('pending', 'accepted', 'respondent').statusCode).toBe(403);
+  });
+
+  it('should reject unknown statuses', () => {
+    expect(transitionError('pending', 'archived', 'admin').statusCode).toBe(400);
+  });
+});
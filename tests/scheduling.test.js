@@ -0,0 +1,113 @@
+const {
+  findConflicts,
+  candidateSlots,
+  suggestFreeSlots,
+} = require('../src/services/schedulingService');
+
+const MEMBER_A = 'member-a';
+const MEMBER_B = 'member-b';
+const ROOM = 'room-1';
+
+// Monday 5 January 2026, local time
+function at(hour, minute = 0, day = 5) {
+  return new Date(2026, 0, day, hour, minute);
+}
+
+function makeSlot(overrides = {}) {
+  return {
+    start: at(10),
+    end: at(11),
+    panelMembers: [MEMBER_A],
+    roomId: ROOM,
+    ...overrides,
+  };
+}
+
+function makeHearing(overrides = {}) {
+  return {
+    id: 'hearing-1',
+    scheduled_date: at(10, 30),
+    duration_minutes: 60,
+    panel_members: [MEMBER_B],
+    room_id: 'room-2',
+    status: 'scheduled',
+    ...overrides,
+  };
+}
+
+describe('findConflicts', () => {
+  it('should report no conflicts for a free slot', () => {
+    expect(findConflicts(makeSlot(), { hearings: [], windows: [] })).toEqual([]);
+  });
+
+  it('should flag a panel member already sitting at an overlapping hearing', () => {
+    const context = { hearings: [makeHearing({ panel_members: [MEMBER_A] })], windows: [] };
+    expect(findConflicts(makeSlot(), context)).toEqual([
+      { type: 'panel_member_booked', userId: MEMBER_A, hearingId: 'hearing-1' },
+    ]);
+  });
+
+  it('should flag a room already booked at an overlapping hearing', () => {
+    const context = { hearings: [makeHearing({ room_id: ROOM })], windows: [] };
+    expect(findConflicts(makeSlot(), context)).toEqual([
+      { type: 'room_booked', roomId: ROOM, hearingId: 'hearing-1' },
+    ]);
+  });
+
+  it('should ignore back-to-back, cancelled and excluded hearings', () => {
+    const hearings = [
+      makeHearing({ id: 'before', scheduled_date: at(9), room_id: ROOM }),
+      makeHearing({ id: 'cancelled', status: 'cancelled', room_id: ROOM }),
+      makeHearing({ id: 'self', room_id: ROOM }),
+    ];
+    const slot = makeSlot({ excludeHearingId: 'self' });
+    expect(findConflicts(slot, { hearings, windows: [] })).toEqual([]);
+  });
+
+  it('should flag unavailability windows', () => {
+    const windows = [
+      { id: 'w1', user_id: MEMBER_A, kind: 'unavailable', starts_at: at(8), ends_at: at(10, 30) },
+    ];
+    expect(findConflicts(makeSlot(), { hearings: [], windows })).toEqual([
+      { type: 'panel_member_unavailable', userId: MEMBER_A, windowId: 'w1' },
+    ]);
+  });
+
+  it('should require the slot to sit inside declared availability on that day', () => {
+    const windows = [
+      { id: 'w1', user_id: MEMBER_A, kind: 'available', starts_at: at(13), ends_at: at(17) },
+    ];
+    expect(findConflicts(makeSlot(), { hearings: [], windows })).toEqual([
+      { type: 'panel_member_outside_availability', userId: MEMBER_A },
+    ]);
+    const inside = makeSlot({ start: at(14), end: at(15) });
+    expect(findConflicts(inside, { hearings: [], windows })).toEqual([]);
+  });
+});
+
+describe('candidateSlots', () => {
+  it('should only produce slots within sitting hours on sitting days', () => {
+    // Saturday 3 January 2026 at 16:10
+    const slots = candidateSlots(new Date(2026, 0, 3, 16, 10), 60, 3);
+    expect(slots[0].start).toEqual(at(9));
+    slots.forEach(({ start, end }) => {
+      expect([1, 2, 3, 4, 5]).toContain(start.getDay());
+      expect(start.getHours()).toBeGreaterThanOrEqual(9);
+      expect(end.getHours() * 60 + end.getMinutes()).toBeLessThanOrEqual(17 * 60);
+    });
+  });
+});
+
+describe('suggestFreeSlots', () => {
+  it('should skip slots that clash and return the requested count', () => {
+    const candidates = candidateSlots(at(9), 60, 1);
+    const context = {
+      hearings: [makeHearing({ scheduled_date: at(9), panel_members: [MEMBER_A] })],
+      windows: [],
+    };
+    const free = suggestFreeSlots(candidates, { panelMembers: [MEMBER_A] }, context, 2);
+    expect(free).toHaveLength(2);
+    expect(free[0].start).toEqual(at(10));
+    expect(free[1].start).toEqual(at(10, 30));
+  });
+});
@@ -0,0 +1,70 @@
+const {
+  base32Encode,
+  base32Decode,
+  totp,
+  verifyTotp,
+  provisioningUri,
+} = require('../src/utils/totp');
+const { generateRecoveryCodes, normaliseRecoveryCode } = require('../src/services/mfaService');
+
+// RFC 6238 appendix B test secret, "12345678901234567890" in base32
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('base32', () => {
+  it('should round-trip arbitrary bytes', () => {
+    const bytes = Buffer.from('12345678901234567890');
+    expect(base32Encode(bytes)).toBe(SECRET);
+    expect(base32Decode(SECRET).equals(bytes)).toBe(true);
+  });
+});
+
+describe('totp', () => {
+  it('should match the RFC 6238 SHA-1 test vectors', () => {
+    expect(totp(SECRET, 59 * 1000, 8)).toBe('94287082');
+    expect(totp(SECRET, 1111111109 * 1000, 8)).toBe('07081804');
+    expect(totp(SECRET, 1234567890 * 1000, 8)).toBe('89005924');
+    expect(totp(SECRET, 2000000000 * 1000, 8)).toBe('69279037');
+  });
+
+  it('should produce six-digit codes by default', () => {
+    expect(totp(SECRET, 59 * 1000)).toBe('287082');
+  });
+});
+
+describe('verifyTotp', () => {
+  const time = 1234567890 * 1000;
+
+  it('should return the matching time step', () => {
+    expect(verifyTotp(SECRET, totp(SECRET, time), { time })).toBe(Math.floor(time / 30000));
+  });
+
+  it('should tolerate one step of clock drift', () => {
+    expect(verifyTotp(SECRET, totp(SECRET, time - 30000), { time })).not.toBeNull();
+    expect(verifyTotp(SECRET, totp(SECRET, time - 90000), { time })).toBeNull();
+  });
+
+  it('should reject malformed codes', () => {
+    expect(verifyTotp(SECRET, '12ab56', { time })).toBeNull();
+    expect(verifyTotp(SECRET, undefined, { time })).toBeNull();
+  });
+});
+
+describe('provisioningUri', () => {
+  it('should build an otpauth URI for authenticator apps', () => {
+    const uri = provisioningUri(SECRET, 'member@example.org', 'MHT Liaison');
+    expect(uri).toMatch(/^otpauth:\/\/totp\/MHT%20Liaison%3Amember%40example\.org\?/);
+    expect(uri).toContain(`secret=${SECRET}`);
+  });
+});
+
+describe('recovery codes', () => {
+  it('should generate distinct formatted codes', () => {
+    const codes = generateRecoveryCodes(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach((code) => expect(code).toMatch(/^[A-Z2-7]{5}-[A-Z2-7]{5}$/));
+  });
+
+  it('should ignore case, spaces and dashes when comparing', () => {
+    expect(normaliseRecoveryCode(' abcde-fghij ')).toBe('ABCDEFGHIJ');
+  });
+});
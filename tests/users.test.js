@@ -0,0 +1,46 @@
+jest.mock('pg', () => {
+  const pool = { query: jest.fn(), connect: jest.fn(), end: jest.fn() };
+  return { Pool: jest.fn(() => pool) };
+});
+
+const { pool } = require('../src/config/db');
+const { assertStatusTransition, register } = require('../src/services/userService');
+
+describe('assertStatusTransition', () => {
+  it('should allow approving a pending registration', () => {
+    expect(() => assertStatusTransition('pending', 'active')).not.toThrow();
+  });
+
+  it('should allow deactivating and reactivating an account', () => {
+    expect(() => assertStatusTransition('active', 'deactivated')).not.toThrow();
+    expect(() => assertStatusTransition('deactivated', 'active')).not.toThrow();
+  });
+
+  it('should not let an invited user be activated without accepting the invitation', () => {
+    expect(() => assertStatusTransition('invited', 'active')).toThrow('Cannot change');
+  });
+
+  it('should reject unknown statuses with a 400', () => {
+    try {
+      assertStatusTransition('active', 'archived');
+    } catch (err) {
+      expect(err.statusCode).toBe(400);
+    }
+    expect.assertions(1);
+  });
+});
+
+describe('register', () => {
+  it('should reject an email that is already registered with a 409', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ id: 'u1' }] });
+    await expect(
+      register({
+        name: 'Sam Officer',
+        email: 'sam@example.org',
+        password: 'a long enough passphrase',
+        role: 'police_officer',
+      })
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
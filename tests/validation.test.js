@@ -0,0 +1,124 @@
+const express = require('express');
+const request = require('supertest');
+const {
+  object,
+  string,
+  integer,
+  boolean,
+  uuid,
+  oneOf,
+  oneOfList,
+  array,
+  optional,
+  nullable,
+  check,
+} = require('../src/utils/validation');
+const { validate } = require('../src/middleware/validate');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { createReferral } = require('../src/schemas/referrals');
+
+const ID = '11111111-1111-4111-8111-111111111111';
+
+function codes(result) {
+  return result.errors.map((e) => `${e.path}:${e.code}`);
+}
+
+describe('check', () => {
+  const schema = object({
+    name: string({ minLength: 1, maxLength: 5 }),
+    count: optional(integer({ min: 1 })),
+    tags: optional(array(oneOf(['a', 'b']), { maxItems: 2 })),
+    note: optional(nullable(string())),
+  });
+
+  it('should accept a valid object', () => {
+    const result = check(schema, { name: 'abc', count: 2, tags: ['a'], note: null }, 'body');
+    expect(result.errors).toEqual([]);
+    expect(result.value).toEqual({ name: 'abc', count: 2, tags: ['a'], note: null });
+  });
+
+  it('should report missing required fields and unknown fields with their paths', () => {
+    expect(codes(check(schema, { extra: 1 }, 'body'))).toEqual([
+      'body.extra:unknown_field',
+      'body.name:required',
+    ]);
+  });
+
+  it('should report type, range and enum failures on nested values', () => {
+    const result = check(schema, { name: 'abcdef', count: 0, tags: ['a', 'c', 'b'] }, 'body');
+    expect(codes(result)).toEqual([
+      'body.name:too_long',
+      'body.count:too_small',
+      'body.tags:too_many_items',
+      'body.tags[1]:invalid_value',
+    ]);
+    expect(codes(check(schema, { name: 5 }, 'body'))).toEqual(['body.name:invalid_type']);
+  });
+
+  it('should only coerce strings when asked to', () => {
+    const query = object({ limit: integer(), unread: boolean() });
+    expect(check(query, { limit: '10', unread: 'true' }, 'query', { coerce: true })).toEqual({
+      value: { limit: 10, unread: true },
+      errors: [],
+    });
+    expect(codes(check(query, { limit: '10', unread: true }, 'body'))).toEqual([
+      'body.limit:invalid_type',
+    ]);
+  });
+
+  it('should check formats and comma-separated lists', () => {
+    expect(codes(check(uuid(), 'nope', 'params.id'))).toEqual(['params.id:invalid_format']);
+    expect(check(oneOfList(['x', 'y']), 'x,y', 'query.status').errors).toEqual([]);
+    expect(codes(check(oneOfList(['x', 'y']), 'x,z', 'query.status'))).toEqual([
+      'query.status:invalid_value',
+    ]);
+  });
+});
+
+describe('validation error envelope', () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/referrals', validate(createReferral), (req, res) => res.json(req.body));
+  app.get(
+    '/items/:id',
+    validate({ params: object({ id: uuid() }), query: object({ limit: optional(integer()) }) }),
+    (req, res) => res.json({ id: req.params.id, limit: req.query.limit })
+  );
+  app.use(errorHandler);
+
+  it('should return 400 with a stable code and field paths', async () => {
+    const res = await request(app)
+      .post('/referrals')
+      .send({ patientName: 'A', incidentSummary: 'B', urgency: 'extreme', role: 'admin' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_FAILED');
+    expect(res.body.error.fields).toEqual([
+      { path: 'body.role', code: 'unknown_field', message: 'is not an allowed field' },
+      expect.objectContaining({ path: 'body.urgency', code: 'invalid_value' }),
+    ]);
+  });
+
+  it('should pass validated and coerced values to the handler', async () => {
+    const res = await request(app).get(`/items/${ID}?limit=5`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ id: ID, limit: 5 });
+  });
+
+  it('should reject malformed ids before the handler runs', async () => {
+    const res = await request(app).get('/items/42');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.fields).toEqual([
+      expect.objectContaining({ path: 'params.id', code: 'invalid_format' }),
+    ]);
+  });
+
+  it('should use the envelope for malformed JSON', async () => {
+    const res = await request(app)
+      .post('/referrals')
+      .set('Content-Type', 'application/json')
+      .send('{"patientName":');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_JSON');
+  });
+});